@@ -0,0 +1,222 @@
+/**
+ * `audit-query` command: search and export the audit trail.
+ *
+ * Usage:
+ *   node src/index.js audit-query [--from <date>] [--to <date>] [--domain <name>]
+ *     [--type <SPF|DMARC|...>] [--action <DNS_UPDATE|...>] [--success | --failed]
+ *     [--format table|json|csv] [--timeline]
+ *
+ * Dates are ISO 8601; a plain `--to` date includes that whole day (UTC).
+ * `--timeline` groups the entries by domain and shows what each change
+ * removed and added.
+ *
+ * @module commands/audit-query
+ */
+
+import { parseArgs } from 'util';
+import { queryAuditEntries, diffAuditValues } from '../utils/audit.js';
+import { colors } from '../utils/helpers.js';
+
+const USAGE = 'Usage: audit-query [--from <date>] [--to <date>] [--domain <name>] ' +
+  '[--type <type>] [--action <action>] [--success|--failed] ' +
+  '[--format table|json|csv] [--timeline]';
+
+const FORMATS = ['table', 'json', 'csv'];
+
+const CSV_COLUMNS = [
+  'timestamp', 'action', 'domain', 'recordType', 'success',
+  'before', 'after', 'error', 'runId', 'account', 'apiUser',
+];
+
+/**
+ * Parse a date option.
+ *
+ * @param {string|undefined} value - Option value
+ * @param {boolean} endOfDay - Whether a plain date means the end of that day
+ * @returns {Date|undefined} Parsed date (undefined if not given)
+ * @throws {Error} If the date is invalid
+ */
+function parseDateOption(value, endOfDay) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const isPlainDate = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(isPlainDate && endOfDay ? `${value}T23:59:59.999Z` : value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return date;
+}
+
+/**
+ * Render an audited value as a single line.
+ *
+ * @param {*} value - Before/after value
+ * @returns {string} Display text
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Shorten text to a column width.
+ *
+ * @param {string} text - Text to shorten
+ * @param {number} width - Maximum length
+ * @returns {string} Text of at most `width` characters
+ */
+function truncate(text, width) {
+  return text.length > width ? `${text.slice(0, width - 1)}…` : text;
+}
+
+/**
+ * Escape a CSV field (RFC 4180).
+ *
+ * @param {*} value - Field value
+ * @returns {string} Escaped field
+ */
+function csvField(value) {
+  const text = formatValue(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {import('../utils/audit.js').AuditEntry[]} entries
+ * @returns {string} CSV document with header row
+ */
+function formatCsv(entries) {
+  const rows = entries.map((entry) => {
+    const fields = { ...entry.metadata, ...entry };
+    return CSV_COLUMNS.map((column) => csvField(fields[column])).join(',');
+  });
+  return [CSV_COLUMNS.join(','), ...rows].join('\n');
+}
+
+/**
+ * @param {import('../utils/audit.js').AuditEntry[]} entries
+ * @returns {string} Fixed-width table
+ */
+function formatTable(entries) {
+  const header = [
+    'TIMESTAMP'.padEnd(24), 'ACTION'.padEnd(14), 'DOMAIN'.padEnd(28),
+    'TYPE'.padEnd(18), 'OK ', 'CHANGE',
+  ].join(' ');
+  const rows = entries.map((entry) => {
+    const change = entry.action === 'DNS_UPDATE' || entry.action === 'CONFIG_CHANGE'
+      ? `${formatValue(entry.before) || '(none)'} → ${formatValue(entry.after) || '(none)'}`
+      : formatValue(entry.error || entry.metadata?.runId);
+    return [
+      entry.timestamp.padEnd(24),
+      truncate(entry.action || '', 14).padEnd(14),
+      truncate(entry.domain || entry.configKey || '-', 28).padEnd(28),
+      truncate(entry.recordType || '-', 18).padEnd(18),
+      (entry.success ? 'yes' : 'no').padEnd(3),
+      truncate(change, 80),
+    ].join(' ');
+  });
+  return [header, ...rows].join('\n');
+}
+
+/**
+ * @param {import('../utils/audit.js').AuditEntry[]} entries
+ * @returns {string} Change history per domain with before/after diffs
+ */
+function formatTimeline(entries) {
+  const byDomain = new Map();
+  for (const entry of entries) {
+    const key = entry.domain || entry.configKey || '(run)';
+    if (!byDomain.has(key)) {
+      byDomain.set(key, []);
+    }
+    byDomain.get(key).push(entry);
+  }
+
+  const lines = [];
+  for (const [domain, domainEntries] of [...byDomain].sort(([a], [b]) => a.localeCompare(b))) {
+    lines.push(`${colors.bold}${domain}${colors.reset}`);
+    for (const entry of domainEntries) {
+      const status = entry.success
+        ? `${colors.green}✓${colors.reset}`
+        : `${colors.red}✗${colors.reset}`;
+      const source = entry.metadata?.runId
+        ? ` run ${entry.metadata.runId}${entry.metadata.account ? ` (${entry.metadata.account})` : ''}`
+        : '';
+      const record = entry.metadata?.record ? ` ${entry.metadata.record}` : '';
+      lines.push(`  ${entry.timestamp}  ${entry.recordType || entry.action} ${status}${record}${source}`);
+
+      const { removed, added } = diffAuditValues(entry.before, entry.after);
+      removed.forEach((part) => lines.push(`      ${colors.red}- ${part}${colors.reset}`));
+      added.forEach((part) => lines.push(`      ${colors.green}+ ${part}${colors.reset}`));
+      if (entry.error) {
+        lines.push(`      error: ${entry.error}`);
+      }
+    }
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Run the audit-query command.
+ *
+ * @async
+ * @param {string[]} args - Command arguments (after the command name)
+ * @returns {Promise<number>} Exit code
+ */
+export async function auditQueryCommand(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      from: { type: 'string' },
+      to: { type: 'string' },
+      domain: { type: 'string' },
+      type: { type: 'string' },
+      action: { type: 'string' },
+      success: { type: 'boolean' },
+      failed: { type: 'boolean' },
+      format: { type: 'string', default: 'table' },
+      timeline: { type: 'boolean' },
+      // Global flag; this command only reads the audit log
+      'dry-run': { type: 'boolean' },
+    },
+  });
+
+  if (!FORMATS.includes(values.format) || (values.success && values.failed)) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  let from;
+  let to;
+  try {
+    from = parseDateOption(values.from, false);
+    to = parseDateOption(values.to, true);
+  } catch (error) {
+    console.error(error.message);
+    return 1;
+  }
+
+  const entries = await queryAuditEntries({
+    from,
+    to,
+    domain: values.domain,
+    recordType: values.type,
+    action: values.action,
+    success: values.success ? true : values.failed ? false : undefined,
+  });
+
+  if (values.format === 'json') {
+    console.log(JSON.stringify(entries, null, 2));
+  } else if (values.format === 'csv') {
+    console.log(formatCsv(entries));
+  } else if (entries.length === 0) {
+    console.log('No matching audit entries.');
+  } else {
+    console.log(values.timeline ? formatTimeline(entries) : formatTable(entries));
+    console.log(`${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}`);
+  }
+  return 0;
+}
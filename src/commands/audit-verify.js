@@ -0,0 +1,62 @@
+/**
+ * `audit-verify` command: check the audit log hash chain and checkpoints.
+ *
+ * Usage:
+ *   node src/index.js audit-verify [--strict]
+ *
+ * Exits with 1 at the first broken link. With `--strict`, warnings (such as
+ * the current day's log not ending with a checkpoint yet) fail the check as well.
+ *
+ * @module commands/audit-verify
+ */
+
+import { parseArgs } from 'util';
+import { verifyAuditLogs } from '../utils/audit.js';
+import { colors } from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Run the audit-verify command.
+ *
+ * @async
+ * @param {string[]} args - Command arguments (after the command name)
+ * @returns {Promise<number>} Exit code
+ */
+export async function auditVerifyCommand(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      strict: { type: 'boolean' },
+      // Global flag; accepted so it does not fail parsing, nothing is written here
+      'dry-run': { type: 'boolean' },
+    },
+  });
+
+  const result = await verifyAuditLogs();
+  logger.info(
+    {
+      valid: result.valid,
+      files: result.files,
+      entries: result.entries,
+      brokenLink: result.brokenLink,
+    },
+    'Audit log verification finished',
+  );
+
+  console.log(
+    `Checked ${result.entries} entries in ${result.files} file(s), ` +
+      `${result.checkpoints} checkpoint(s).`,
+  );
+  result.warnings.forEach(({ file, reason }) => {
+    console.log(`${colors.yellow}⚠${colors.reset} ${file ? `${file}: ` : ''}${reason}`);
+  });
+
+  if (!result.valid) {
+    const { file, line, reason } = result.brokenLink;
+    console.error(`${colors.red}✗${colors.reset} Broken link at ${file}:${line}: ${reason}`);
+    return 1;
+  }
+
+  console.log(`${colors.green}✓${colors.reset} Audit log chain is intact.`);
+  return values.strict && result.warnings.length > 0 ? 1 : 0;
+}
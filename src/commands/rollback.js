@@ -0,0 +1,180 @@
+/**
+ * `rollback` command: restore zones from the snapshots taken before a run
+ * changed them.
+ *
+ * Usage:
+ *   node src/index.js rollback --list
+ *   node src/index.js rollback <runId> [--zone <zone>] [--account <name>] [--dry-run]
+ *
+ * @module commands/rollback
+ */
+
+import { parseArgs } from 'util';
+import { getAndValidateZone, updateZone } from '../lib/autodns-client.js';
+import { config, getAuditContext } from '../lib/config.js';
+import { listSnapshotRuns, loadRunSnapshots } from '../lib/snapshots.js';
+import { auditDNSUpdate } from '../utils/audit.js';
+import { colors } from '../utils/helpers.js';
+import { logger, logError } from '../utils/logger.js';
+
+const USAGE = 'Usage: rollback --list | rollback <runId> ' +
+  '[--zone <zone>] [--account <name>] [--dry-run]';
+
+/**
+ * Print the runs that have snapshots, with the zones each one changed.
+ *
+ * @async
+ * @returns {Promise<number>} Exit code
+ */
+async function listRuns() {
+  const runs = await listSnapshotRuns();
+  if (runs.length === 0) {
+    console.log(`No snapshots found in ${config.snapshotDir}/`);
+    return 0;
+  }
+
+  for (const runId of runs) {
+    const snapshots = await loadRunSnapshots(runId);
+    console.log(`${colors.bold}${runId}${colors.reset} (${snapshots.length} zone(s))`);
+    snapshots.forEach((s) => console.log(`    ${s.zoneName} [${s.account}]`));
+  }
+  return 0;
+}
+
+/**
+ * Restore a single zone snapshot with a full zone update.
+ *
+ * The restore is audited with the zone's records before and after. In
+ * dry-run mode the zone is only read; nothing is written or audited.
+ *
+ * @async
+ * @param {import('../lib/snapshots.js').ZoneSnapshot} snapshot - Snapshot to restore
+ * @returns {Promise<boolean>} True if the zone was restored
+ */
+async function restoreSnapshot(snapshot) {
+  const account = config.accounts.find((a) => a.name === snapshot.account);
+  if (!account) {
+    console.error(
+      `${colors.red}✗${colors.reset} ${snapshot.zoneName}: ` +
+        `account profile "${snapshot.account}" is not configured`,
+    );
+    return false;
+  }
+
+  const audit = {
+    domain: snapshot.zoneName,
+    recordType: 'ZONE',
+    before: null,
+    after: snapshot.zone.resourceRecords,
+    metadata: {
+      ...getAuditContext(account),
+      reason: 'rollback',
+      sourceRunId: snapshot.runId,
+      snapshotTakenAt: snapshot.takenAt,
+    },
+  };
+
+  try {
+    audit.before = (await getAndValidateZone(snapshot.zoneName, account)).resourceRecords;
+    if (config.dryRun) {
+      logger.info(
+        { zone: snapshot.zoneName, account: snapshot.account },
+        '[DRY-RUN] Would restore zone',
+      );
+      console.log(
+        `[DRY-RUN] Would restore ${snapshot.zoneName} [${snapshot.account}] ` +
+          `to state of ${snapshot.takenAt}`,
+      );
+      return true;
+    }
+    await updateZone(snapshot.zoneName, snapshot.zone, account);
+    await auditDNSUpdate({ ...audit, success: true });
+    console.log(
+      `${colors.green}✓${colors.reset} Restored ${snapshot.zoneName} ` +
+        `[${snapshot.account}] to state of ${snapshot.takenAt}`,
+    );
+    return true;
+  } catch (error) {
+    if (!config.dryRun) {
+      await auditDNSUpdate({ ...audit, success: false, error: error.message });
+    }
+    logError(logger, error, 'Zone rollback failed', {
+      zone: snapshot.zoneName,
+      account: snapshot.account,
+    });
+    console.error(
+      `${colors.red}✗${colors.reset} ${snapshot.zoneName}: ${error.message}`,
+    );
+    return false;
+  }
+}
+
+/**
+ * Run the rollback command.
+ *
+ * Restores every zone changed by the given run (or only the selected zone
+ * and/or account) to its pre-run state. The restore itself is a zone write
+ * and is snapshotted under the current run ID, so it can be undone as well.
+ * With `--dry-run`, the zones are only read and no update is sent.
+ *
+ * @async
+ * @param {string[]} args - Command arguments (after the command name)
+ * @returns {Promise<number>} Exit code
+ */
+export async function rollbackCommand(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      list: { type: 'boolean' },
+      zone: { type: 'string' },
+      account: { type: 'string' },
+      'dry-run': { type: 'boolean' },
+    },
+  });
+
+  if (values['dry-run']) {
+    config.dryRun = true;
+  }
+  if (values.list) {
+    return listRuns();
+  }
+
+  const [runId] = positionals;
+  if (!runId) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  const zoneFilter = values.zone?.toLowerCase();
+  const snapshots = (await loadRunSnapshots(runId)).filter((s) =>
+    (!zoneFilter || s.zoneName === zoneFilter) &&
+    (!values.account || s.account === values.account));
+
+  if (snapshots.length === 0) {
+    console.error(`No matching snapshots for run ${runId}`);
+    return 1;
+  }
+
+  console.log(
+    `${config.dryRun ? '[DRY-RUN] ' : ''}Rolling back ${snapshots.length} zone(s) ` +
+      `changed by run ${runId}...\n`,
+  );
+  logger.info(
+    { runId, zones: snapshots.map((s) => s.zoneName), dryRun: config.dryRun },
+    'Rolling back zones from snapshots',
+  );
+
+  let failed = 0;
+  for (const snapshot of snapshots) {
+    if (!(await restoreSnapshot(snapshot))) {
+      failed++;
+    }
+  }
+
+  console.log(
+    `\n${config.dryRun ? 'Would restore' : 'Restored'} ` +
+      `${snapshots.length - failed} of ${snapshots.length} zone(s).`,
+  );
+  return failed > 0 ? 1 : 0;
+}
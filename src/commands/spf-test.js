@@ -0,0 +1,96 @@
+/**
+ * `spf-test` command: evaluate SPF for a client IP (RFC 7208 check_host()).
+ *
+ * Usage:
+ *   node src/index.js spf-test <domain> <ip> [helo] [sender] [--record <spf>] [--json]
+ *
+ * Prints the result (pass, fail, softfail, neutral, none, permerror or
+ * temperror), the mechanism that matched and the evaluation trace. With
+ * `--record`, the given record is evaluated for the domain instead of the
+ * published one, e.g. to test a change before applying it. Exits with 0 on
+ * pass and 1 otherwise.
+ *
+ * @module commands/spf-test
+ */
+
+import net from 'net';
+import { parseArgs } from 'util';
+import { checkHost } from '../lib/spf-evaluator.js';
+import { SPF_LOOKUP_LIMIT, SPF_VOID_LOOKUP_LIMIT } from '../lib/spf-analyzer.js';
+import { colors } from '../utils/helpers.js';
+
+const USAGE = 'Usage: spf-test <domain> <ip> [helo] [sender] [--record <spf>] [--json]';
+
+/**
+ * Console color per result
+ */
+const RESULT_COLORS = {
+  pass: colors.green,
+  fail: colors.red,
+  softfail: colors.yellow,
+  neutral: colors.yellow,
+  none: colors.gray,
+  permerror: colors.red,
+  temperror: colors.red,
+};
+
+/**
+ * Run the spf-test command.
+ *
+ * @async
+ * @param {string[]} args - Command arguments (after the command name)
+ * @returns {Promise<number>} Exit code
+ */
+export async function spfTestCommand(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      record: { type: 'string' },
+      json: { type: 'boolean' },
+      // Global flag; the test only queries DNS
+      'dry-run': { type: 'boolean' },
+    },
+  });
+
+  const [domain, ip, helo, sender] = positionals;
+  if (!domain || !ip || positionals.length > 4) {
+    console.error(USAGE);
+    return 1;
+  }
+  if (!net.isIP(ip)) {
+    console.error(`Invalid IP address: ${ip}`);
+    return 1;
+  }
+
+  const check = await checkHost({ ip, domain, helo, sender, record: values.record });
+
+  if (values.json) {
+    console.log(JSON.stringify(check, null, 2));
+    return check.result === 'pass' ? 0 : 1;
+  }
+
+  console.log(`SPF check of ${ip} for ${domain}${values.record ? ' (given record)' : ''}\n`);
+  check.trace.forEach((line) => console.log(`  ${line}`));
+
+  const color = RESULT_COLORS[check.result];
+  console.log(`\nResult:  ${color}${check.result}${colors.reset}`);
+  if (check.matches.length > 0) {
+    const path = check.matches.map(({ domain: owner, term }) => `${term} (${owner})`);
+    console.log(`Matched: ${path.join(' → ')}`);
+  } else if (check.result === 'neutral') {
+    console.log('Matched: nothing (default result)');
+  }
+  if (check.error) {
+    console.log(`Reason:  ${check.error}`);
+  }
+  if (check.explanation) {
+    console.log(`Explanation: ${check.explanation}`);
+  }
+  console.log(
+    `Lookups: ${check.lookups}/${SPF_LOOKUP_LIMIT}, ` +
+      `void ${check.voidLookups}/${SPF_VOID_LOOKUP_LIMIT}`,
+  );
+
+  return check.result === 'pass' ? 0 : 1;
+}
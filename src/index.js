@@ -1,27 +1,140 @@
 #!/usr/bin/env node
 
-import { config, validateConfig, ConfigurationError } from './lib/config.js';
 import {
-  queryDomains,
+  config,
+  validateConfig,
+  getAuditContext,
+  ConfigurationError,
+} from './lib/config.js';
+import {
+  queryAllAccounts,
   shutdownAutoDNSRateLimiter,
+  clearZoneCache,
 } from './lib/autodns-client.js';
 import { buildFlattenedSpfRecord, updateMainSPFRecord } from './lib/spf.js';
+import {
+  loadSpfState,
+  saveSpfState,
+  computeSpfDrift,
+  checkSpfSafety,
+} from './lib/spf-drift.js';
 import { processDomains } from './lib/domain-processor.js';
+import { rollbackCommand } from './commands/rollback.js';
+import { auditVerifyCommand } from './commands/audit-verify.js';
+import { auditQueryCommand } from './commands/audit-query.js';
+import { spfTestCommand } from './commands/spf-test.js';
 import { saveReport, sendReportByEmail } from './lib/reporting.js';
+import { auditApplicationEvent, writeAuditCheckpoint } from './utils/audit.js';
 import { colors } from './utils/helpers.js';
 import { logger, logError } from './utils/logger.js';
 
+/**
+ * CLI subcommands, invoked as `node src/index.js <command> [args]`. Without a
+ * command, the domain health check runs. `needsConfig` commands talk to
+ * AutoDNS and require a valid configuration.
+ *
+ * @type {Object<string, {run: function(string[]): Promise<number>, needsConfig: boolean}>}
+ */
+const COMMANDS = {
+  rollback: { run: rollbackCommand, needsConfig: true },
+  'audit-verify': { run: auditVerifyCommand, needsConfig: false },
+  'audit-query': { run: auditQueryCommand, needsConfig: false },
+  'spf-test': { run: spfTestCommand, needsConfig: false },
+};
+
+/**
+ * Validate configuration, exiting with a readable message if it is invalid.
+ *
+ * @throws {Error} If validation fails for a reason other than bad configuration
+ */
+function validateConfigOrExit() {
+  try {
+    validateConfig();
+    logger.info('Configuration validated successfully');
+  } catch (error) {
+    if (error instanceof ConfigurationError) {
+      console.error(`${colors.red}Configuration Error:${colors.reset}`);
+      console.error(error.message);
+      console.error(
+        '\nPlease check your .env file. ' + 'See .env.example for reference',
+      );
+      logError(logger, error, 'Configuration validation failed');
+      process.exit(1);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Load the state of the last published flattening.
+ *
+ * An unreadable state file is treated like a missing one, so the run
+ * continues and the file is rewritten afterwards.
+ *
+ * @async
+ * @returns {Promise<import('./lib/spf-drift.js').SpfState|null>} Stored state
+ */
+async function loadPreviousSpfState() {
+  try {
+    return await loadSpfState();
+  } catch (error) {
+    logger.warn({ error: error.message }, 'Could not read flattened SPF state, using a new baseline');
+    return null;
+  }
+}
+
+/**
+ * Compare the flattened SPF record with the last published result and decide
+ * whether it is safe to publish.
+ *
+ * @param {import('./lib/spf-drift.js').SpfState|null} previous - Stored state
+ * @param {Object} spfData - Result of buildFlattenedSpfRecord
+ * @returns {{drift: import('./lib/spf-drift.js').SpfDrift,
+ *   safety: import('./lib/spf-drift.js').SpfSafetyCheck}} Changes since the
+ *   last run and the safety guard result
+ */
+function compareWithPreviousSpf(previous, spfData) {
+  const drift = computeSpfDrift(previous, spfData);
+  logger.info(
+    {
+      baseline: drift.baseline,
+      changedSources: drift.sources.map((s) => s.source),
+      recordChanged: drift.recordChanged,
+    },
+    'Flattened SPF compared with previous run',
+  );
+  if (drift.sources.length > 0) {
+    console.log(
+      `${colors.yellow}⚠${colors.reset} SPF provider ranges changed: ` +
+        `${drift.sources.map((s) => s.source).join(', ')}`,
+    );
+  }
+
+  const safety = checkSpfSafety(previous, spfData);
+  if (!safety.safe) {
+    logger.error({ reasons: safety.reasons }, 'Flattened SPF record failed the safety guard');
+    console.log(
+      `${colors.red}✗${colors.reset} Flattened SPF record will not be published: ` +
+        `${safety.reasons.join('; ')}`,
+    );
+  }
+
+  return { drift, safety };
+}
+
 /**
  * Main execution function for AutoDNS domain health monitoring.
  *
  * This function orchestrates the entire domain health check workflow:
  * 1. Validates configuration
- * 2. Queries domains from AutoDNS API
+ * 2. Queries domains of every configured account from AutoDNS API
  * 3. Builds flattened SPF record
  * 4. Processes domains and performs health checks
  * 5. Updates DNS records as needed
  * 6. Generates and sends report
  *
+ * Run start and end are recorded in the audit trail.
+ *
  * @async
  * @returns {Promise<void>}
  * @throws {ConfigurationError} If configuration is invalid
@@ -39,51 +152,74 @@ async function main() {
     logger.info('Running in DRY-RUN mode');
   }
 
-  try {
-    validateConfig();
-    logger.info('Configuration validated successfully');
-  } catch (error) {
-    if (error instanceof ConfigurationError) {
-      console.error(`${colors.red}Configuration Error:${colors.reset}`);
-      console.error(error.message);
-      console.error(
-        '\nPlease check your .env file. ' + 'See .env.example for reference',
-      );
-      logError(logger, error, 'Configuration validation failed');
-      process.exit(1);
-    }
-    throw error;
-  }
+  validateConfigOrExit();
 
-  console.log(`Querying domains from ${config.apiUrl}...`);
-  logger.info({ apiUrl: config.apiUrl }, 'Querying domains from AutoDNS');
+  const accountNames = config.accounts.map((a) => a.name);
+  const startedAt = Date.now();
+  await auditApplicationEvent({
+    action: 'RUN_START',
+    success: true,
+    metadata: { ...getAuditContext(), accounts: accountNames },
+  });
 
+  console.log(
+    `Querying domains from ${config.apiUrl} ` +
+      `(account(s): ${accountNames.join(', ')})...`,
+  );
+  logger.info(
+    { apiUrl: config.apiUrl, accounts: accountNames },
+    'Querying domains from AutoDNS',
+  );
+
+  const runSummary = {};
+  let runError = null;
   try {
-    const data = await queryDomains();
-    logger.info({ domainCount: data?.length || 0 }, 'Domains retrieved');
+    const data = await queryAllAccounts();
+    runSummary.domainCount = data?.data?.length || 0;
+    logger.info({ domainCount: runSummary.domainCount }, 'Domains retrieved');
 
     // Resolve all SPF includes and build flattened record
     logger.debug('Building flattened SPF record');
-    const spfData = await buildFlattenedSpfRecord(config.mainSpfRecordValue);
+    const previousSpf = await loadPreviousSpfState();
+    const spfData = await buildFlattenedSpfRecord(
+      config.mainSpfRecordValue,
+      previousSpf?.pinned,
+    );
     logger.info(
       {
         record: spfData.mainRecord,
         needsSplit: spfData.needsSplit,
         chunks: spfData.chunkRecords.length,
+        lookups: spfData.lookups,
       },
       'Flattened SPF record built',
     );
 
+    const { drift: spfDrift, safety: spfSafety } = compareWithPreviousSpf(previousSpf, spfData);
+
     // Generate the main report with flattening info included
     logger.info('Processing domains and performing health checks');
     const { reportContent, hasFailures } = await processDomains(
       data,
       config.mainSpfRecordValue,
       spfData,
+      spfDrift,
+      spfSafety,
     );
+    runSummary.hasFailures = hasFailures;
 
-    logger.debug('Updating main SPF record');
-    await updateMainSPFRecord(config.mainSpfRecordName, spfData);
+    // Keep the previous record (and state) if the flattening is incomplete
+    if (spfSafety.safe) {
+      logger.debug('Updating main SPF record');
+      const { retiredChunks } = await updateMainSPFRecord(
+        config.mainSpfRecordName,
+        spfData,
+        previousSpf?.retiredChunks,
+      );
+      if (!config.dryRun) {
+        await saveSpfState(config.mainSpfRecordValue, { ...spfData, retiredChunks });
+      }
+    }
 
     // Save report to file
     logger.debug('Saving report to file');
@@ -108,6 +244,12 @@ async function main() {
       logger.info('Email not configured, skipping notification');
     }
 
+    if (!spfSafety.safe) {
+      throw new Error(
+        `Flattened SPF record not published: ${spfSafety.reasons.join('; ')}`,
+      );
+    }
+
     logger.info('Domain health check completed successfully');
   } catch (error) {
     console.error(
@@ -119,12 +261,66 @@ async function main() {
       console.error(error.stack);
     }
     logError(logger, error, 'Domain processing failed');
-    process.exit(1);
+    runError = error;
   } finally {
     // Ensure timers are cleared so the process can exit cleanly
     shutdownAutoDNSRateLimiter();
+    clearZoneCache();
     logger.debug('AutoDNS rate limiter shutdown');
   }
+
+  await auditApplicationEvent({
+    action: 'RUN_END',
+    success: !runError,
+    error: runError?.message,
+    metadata: { ...getAuditContext(), ...runSummary, durationMs: Date.now() - startedAt },
+  });
+  await writeAuditCheckpoint();
+  if (runError) {
+    process.exit(1);
+  }
 }
 
-main();
+/**
+ * Run a CLI subcommand and exit with its exit code.
+ *
+ * @async
+ * @param {string} name - Command name
+ * @param {string[]} args - Command arguments
+ * @returns {Promise<void>}
+ */
+async function runCommand(name, args) {
+  const command = COMMANDS[name];
+  if (!command) {
+    console.error(`Unknown command: ${name}`);
+    console.error(`Available commands: ${Object.keys(COMMANDS).join(', ')}`);
+    process.exit(1);
+  }
+
+  if (command.needsConfig) {
+    if (config.dryRun) {
+      console.log(`${colors.bold}*** DRY-RUN MODE ENABLED ***${colors.reset}\n`);
+    }
+    validateConfigOrExit();
+  }
+
+  let exitCode = 1;
+  try {
+    exitCode = await command.run(args);
+  } catch (error) {
+    console.error(`${colors.red}Error:${colors.reset} ${error.message}`);
+    logError(logger, error, `Command ${name} failed`);
+  } finally {
+    shutdownAutoDNSRateLimiter();
+    clearZoneCache();
+  }
+  await writeAuditCheckpoint();
+  process.exit(exitCode);
+}
+
+const [commandName, ...commandArgs] = process.argv.slice(2);
+if (commandName && !commandName.startsWith('-')) {
+  runCommand(commandName, commandArgs);
+} else {
+  main();
+}
@@ -3,6 +3,7 @@ import pRetry, { AbortError } from 'p-retry';
 import { config } from './config.js';
 import { logger, logError } from '../utils/logger.js';
 import { sanitizeDomainName } from '../utils/validators.js';
+import { saveZoneSnapshot } from './snapshots.js';
 
 /**
  * @typedef {Object} RateLimiter
@@ -38,24 +39,35 @@ const RETRY_CONFIG = {
 };
 
 /**
- * Rate limiter for AutoDNS API: max 3 requests per second.
+ * Rate limiters for AutoDNS API, one per account profile: max 3 requests
+ * per second each.
  *
- * @type {RateLimiter}
+ * @type {Map<string, RateLimiter>}
  */
-const autodnsRate = {
-  capacity: RATE_LIMIT.CAPACITY,
-  tokens: RATE_LIMIT.CAPACITY,
-  queue: [],
-};
+const rateLimiters = new Map();
 
-// Refill tokens every second
+/**
+ * Per-run cache of zone GET responses, keyed by account name and sanitized
+ * zone name.
+ *
+ * Holds the in-flight or settled request promise so concurrent lookups of the
+ * same zone share one API call. Entries are dropped whenever the zone is
+ * written, so the next read reflects the updated state.
+ *
+ * @type {Map<string, Promise<Object>>}
+ */
+const zoneCache = new Map();
+
+// Refill tokens of every account every second
 let refillTimer = setInterval(() => {
-  autodnsRate.tokens = autodnsRate.capacity;
   const processed = [];
-  while (autodnsRate.tokens > 0 && autodnsRate.queue.length > 0) {
-    autodnsRate.tokens--;
-    const resolve = autodnsRate.queue.shift();
-    processed.push(resolve);
+  for (const limiter of rateLimiters.values()) {
+    limiter.tokens = limiter.capacity;
+    while (limiter.tokens > 0 && limiter.queue.length > 0) {
+      limiter.tokens--;
+      const resolve = limiter.queue.shift();
+      processed.push(resolve);
+    }
   }
   // Process resolves after updating state to avoid race conditions
   processed.forEach((resolve) => resolve());
@@ -66,37 +78,90 @@ if (typeof refillTimer.unref === 'function') {
   refillTimer.unref();
 }
 
+/**
+ * Get (or create) the rate limiter for an account profile.
+ *
+ * @param {import('./config.js').AccountProfile} account - Account profile
+ * @returns {RateLimiter} The account's token bucket
+ */
+function getRateLimiter(account) {
+  let limiter = rateLimiters.get(account.name);
+  if (!limiter) {
+    limiter = {
+      capacity: RATE_LIMIT.CAPACITY,
+      tokens: RATE_LIMIT.CAPACITY,
+      queue: [],
+    };
+    rateLimiters.set(account.name, limiter);
+  }
+  return limiter;
+}
+
 /**
  * Rate limit AutoDNS API calls to comply with API limits.
  *
- * Implements a token bucket algorithm with 3 tokens refilled per second.
- * If tokens are available, resolves immediately. Otherwise, queues the
- * request until tokens become available.
+ * Implements a token bucket algorithm with 3 tokens refilled per second,
+ * kept separately for each account profile. If tokens are available,
+ * resolves immediately. Otherwise, queues the request until tokens become
+ * available.
  *
  * @async
+ * @param {import('./config.js').AccountProfile} account - Account the call is made for
  * @returns {Promise<void>} Resolves when rate limit allows request
  *
  * @example
- * await rateLimitAutoDNS();
+ * await rateLimitAutoDNS(account);
  * // Now safe to make API call
  * const response = await axios.get(...);
  */
-function rateLimitAutoDNS() {
-  if (autodnsRate.tokens > 0) {
-    autodnsRate.tokens--;
+function rateLimitAutoDNS(account) {
+  const limiter = getRateLimiter(account);
+
+  if (limiter.tokens > 0) {
+    limiter.tokens--;
     logger.trace(
-      { tokensRemaining: autodnsRate.tokens },
+      { account: account.name, tokensRemaining: limiter.tokens },
       'Rate limit token consumed',
     );
     return Promise.resolve();
   }
 
   logger.debug(
-    { queueLength: autodnsRate.queue.length + 1 },
+    { account: account.name, queueLength: limiter.queue.length + 1 },
     'Rate limit reached, queueing request',
   );
 
-  return new Promise((resolve) => autodnsRate.queue.push(resolve));
+  return new Promise((resolve) => limiter.queue.push(resolve));
+}
+
+/**
+ * Build axios request options (credentials and context header) for an account.
+ *
+ * @param {import('./config.js').AccountProfile} account - Account profile
+ * @returns {Object} axios request config
+ */
+function requestOptions(account) {
+  return {
+    auth: {
+      username: account.user,
+      password: account.password,
+    },
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Domainrobot-Context': account.context,
+    },
+  };
+}
+
+/**
+ * Build the zone cache key for an account and zone.
+ *
+ * @param {import('./config.js').AccountProfile} account - Account profile
+ * @param {string} sanitizedZone - Sanitized zone name
+ * @returns {string} Cache key
+ */
+function zoneCacheKey(account, sanitizedZone) {
+  return `${account.name}/${sanitizedZone}`;
 }
 
 /**
@@ -119,6 +184,19 @@ export function shutdownAutoDNSRateLimiter() {
   }
 }
 
+/**
+ * Drop all cached zones.
+ *
+ * Should be called at the end of a run so a long-lived process never serves
+ * zone data fetched by a previous run.
+ */
+export function clearZoneCache() {
+  if (zoneCache.size > 0) {
+    logger.debug({ zones: zoneCache.size }, 'Zone cache cleared');
+  }
+  zoneCache.clear();
+}
+
 /**
  * Determine if an error is retryable.
  *
@@ -210,61 +288,128 @@ function buildRetryConfig(retryMessage, extraMetaFn = () => ({})) {
 }
 
 /**
- * Query all domains from AutoDNS API with retry logic.
+ * @typedef {Object} QueryFilter
+ * @property {string} [key] - Domain field to filter on
+ * @property {string} [value] - Value to compare against (`*` is a wildcard for LIKE)
+ * @property {string} [operator] - Comparison operator (EQUAL, LIKE, GREATER_EQUAL, ...)
+ * @property {'AND'|'OR'} [link] - How this filter combines with its siblings
+ * @property {QueryFilter[]} [filters] - Nested filter group
+ */
+
+/**
+ * Combine alternative filters into one OR group (or a single filter).
  *
- * Retrieves all domains from the AutoDNS account with automatic retry
- * on transient failures. Rate-limited to comply with API restrictions.
+ * @param {QueryFilter[]} alternatives - Filters of which any may match
+ * @returns {QueryFilter} Filter matching if any alternative matches
+ */
+function anyOf(alternatives) {
+  if (alternatives.length === 1) {
+    return alternatives[0];
+  }
+  return {
+    link: 'AND',
+    filters: alternatives.map((f) => ({ ...f, link: 'OR' })),
+  };
+}
+
+/**
+ * Build AutoDNS domain query filters from the configured restrictions.
  *
- * @async
- * @returns {Promise<Object>} API response with domain data
- * @throws {Error} If all retry attempts fail or non-retryable error occurs
+ * Every configured restriction must match (AND); multiple values for the
+ * same restriction are alternatives (OR).
+ *
+ * @param {import('./config.js').DomainFilterConfig} domainFilters - Filter config
+ * @param {string[]} [exactNames=[]] - Exact domain names to restrict to
+ * @returns {QueryFilter[]} Filters for the `_search` request body
  *
  * @example
- * try {
- *   const response = await queryDomains();
- *   const domains = response.data;
- *   console.log(`Retrieved ${domains.length} domains`);
- * } catch (error) {
- *   console.error('Failed to query domains:', error.message);
- * }
+ * buildDomainQueryFilters({ names: [], tlds: ['de'], statuses: [] });
+ * // [{ key: 'name', value: '*.de', operator: 'LIKE', link: 'AND' }]
  */
-export async function queryDomains() {
-  logger.info('Querying domains from AutoDNS API');
+export function buildDomainQueryFilters(domainFilters, exactNames = []) {
+  const { names = [], tlds = [], statuses = [] } = domainFilters;
+  const filters = [];
+
+  if (exactNames.length > 0) {
+    filters.push(anyOf(exactNames.map((name) => ({
+      key: 'name', value: name.toLowerCase(), operator: 'EQUAL',
+    }))));
+  }
+
+  if (names.length > 0) {
+    filters.push(anyOf(names.map((pattern) => ({
+      key: 'name',
+      value: pattern.toLowerCase(),
+      operator: pattern.includes('*') ? 'LIKE' : 'EQUAL',
+    }))));
+  }
+
+  if (tlds.length > 0) {
+    filters.push(anyOf(tlds.map((tld) => ({
+      key: 'name', value: `*.${tld}`, operator: 'LIKE',
+    }))));
+  }
+
+  if (domainFilters.createdAfter) {
+    filters.push({
+      key: 'created', value: domainFilters.createdAfter, operator: 'GREATER_EQUAL',
+    });
+  }
+
+  if (domainFilters.createdBefore) {
+    filters.push({
+      key: 'created', value: domainFilters.createdBefore, operator: 'LESS_EQUAL',
+    });
+  }
+
+  if (statuses.length > 0) {
+    filters.push(anyOf(statuses.map((status) => ({
+      key: 'registryStatus', value: status, operator: 'EQUAL',
+    }))));
+  }
 
+  return filters.map((f) => ({ ...f, link: 'AND' }));
+}
+
+/**
+ * Query one page of domains from the AutoDNS API with retry logic.
+ *
+ * @async
+ * @param {QueryFilter[]} filters - Query filters
+ * @param {number} offset - Index of the first domain to return
+ * @param {number} limit - Maximum number of domains to return
+ * @param {import('./config.js').AccountProfile} account - Account to query
+ * @returns {Promise<Object>} API response for this page
+ * @throws {Error} If all retry attempts fail or non-retryable error occurs
+ */
+async function queryDomainPage(filters, offset, limit, account) {
   return pRetry(
     async () => {
-      await rateLimitAutoDNS();
+      await rateLimitAutoDNS(account);
 
       try {
         const response = await axios.post(
-          `${config.apiUrl}/domain/_search`,
+          `${account.apiUrl}/domain/_search`,
           {
-            filters: [],
+            filters,
             view: {
               children: true,
-              limit: 10000,
-            },
-          },
-          {
-            auth: {
-              username: config.user,
-              password: config.password,
-            },
-            headers: {
-              'Content-Type': 'application/json',
-              'X-Domainrobot-Context': config.context,
+              offset,
+              limit,
             },
           },
+          requestOptions(account),
         );
 
-        logger.info(
-          { count: response.data?.data?.length || 0 },
-          'Successfully retrieved domains',
+        logger.debug(
+          { offset, count: response.data?.data?.length || 0 },
+          'Retrieved domain page',
         );
 
         return response.data;
       } catch (error) {
         handleApiError(error, {
+          metadata: { account: account.name, offset },
           responseMessage: 'AutoDNS API error',
           networkMessage: 'Network error querying domains',
         });
@@ -272,19 +417,139 @@ export async function queryDomains() {
     },
     buildRetryConfig(
       'Domain query attempt failed, retrying',
-      (err) => ({ error: err.message }),
+      (err) => ({ error: err.message, account: account.name, offset }),
     ),
   );
 }
 
+/**
+ * Query all domains from AutoDNS API with retry logic.
+ *
+ * Retrieves all domains from the AutoDNS account page by page (see
+ * DOMAIN_PAGE_SIZE), following the API's offset/limit paging until the
+ * reported total is reached. Configured DOMAIN_FILTER_* restrictions and,
+ * when enabled, TEST_DOMAINS are applied on the server. Each page is
+ * fetched with automatic retry and rate limiting.
+ *
+ * @async
+ * @param {import('./config.js').AccountProfile} [account] - Account to query
+ *   (defaults to the primary account)
+ * @returns {Promise<Object>} API response with the domains of all pages in `data`
+ * @throws {Error} If all retry attempts fail or non-retryable error occurs
+ *
+ * @example
+ * try {
+ *   const response = await queryDomains();
+ *   const domains = response.data;
+ *   console.log(`Retrieved ${domains.length} domains`);
+ * } catch (error) {
+ *   console.error('Failed to query domains:', error.message);
+ * }
+ */
+export async function queryDomains(account = config.accounts[0]) {
+  logger.info({ account: account.name }, 'Querying domains from AutoDNS API');
+
+  const filters = buildDomainQueryFilters(
+    config.domainFilters,
+    config.testDomainsEnabled ? config.testDomains : [],
+  );
+  const pageSize = config.domainPageSize;
+  const domains = [];
+  let page;
+
+  for (let offset = 0; ; offset += pageSize) {
+    page = await queryDomainPage(filters, offset, pageSize, account);
+    if (page?.status?.type === 'ERROR') {
+      return page;
+    }
+
+    const items = page?.data || [];
+    domains.push(...items);
+
+    const total = page?.object?.summary;
+    const reachedTotal = typeof total === 'number' && domains.length >= total;
+    if (items.length < pageSize || reachedTotal) {
+      break;
+    }
+  }
+
+  logger.info(
+    { account: account.name, count: domains.length, filters: filters.length },
+    'Successfully retrieved domains',
+  );
+
+  return { ...page, data: domains };
+}
+
+/**
+ * Query the domains of every configured account profile.
+ *
+ * Each returned domain is tagged with the name of the account it belongs to
+ * (`domain.account`). A failing account does not stop the others; its error
+ * is reported in `accountErrors`. Only if every account fails is the run
+ * treated as failed.
+ *
+ * @async
+ * @param {import('./config.js').AccountProfile[]} [accounts] - Accounts to query
+ *   (defaults to all configured profiles)
+ * @returns {Promise<Object>} Combined response with tagged domains in `data`
+ *   and `accountErrors` listing `{ account, error }` for failed accounts
+ * @throws {Error} If the query of every account throws
+ */
+export async function queryAllAccounts(accounts = config.accounts) {
+  const domains = [];
+  const accountErrors = [];
+  let lastError = null;
+
+  for (const account of accounts) {
+    try {
+      const response = await queryDomains(account);
+      if (response?.status?.type === 'ERROR') {
+        accountErrors.push({
+          account: account.name,
+          error: response.status.text || 'Unknown error',
+        });
+        continue;
+      }
+      domains.push(
+        ...(response?.data || []).map((d) => ({ ...d, account: account.name })),
+      );
+    } catch (error) {
+      lastError = error;
+      logError(logger, error, 'Failed to query account domains', {
+        account: account.name,
+      });
+      accountErrors.push({ account: account.name, error: error.message });
+    }
+  }
+
+  if (accountErrors.length === accounts.length) {
+    if (lastError) {
+      throw lastError;
+    }
+    return {
+      status: {
+        type: 'ERROR',
+        text: accountErrors.map((e) => `${e.account}: ${e.error}`).join('; '),
+      },
+    };
+  }
+
+  return { status: { type: 'SUCCESS' }, data: domains, accountErrors };
+}
+
 /**
  * Get zone information for a domain with retry logic.
  *
  * Retrieves DNS zone configuration including all records for the specified
- * domain. Validates domain name before making API call.
+ * domain. Validates domain name before making API call. Responses are cached
+ * for the rest of the run (until the zone is updated), and every caller gets
+ * its own deep copy so in-place edits never leak into the cache.
  *
  * @async
  * @param {string} zoneName - Domain name (will be sanitized)
+ * @param {import('./config.js').AccountProfile} [account] - Account owning the
+ *   zone (defaults to the primary account)
  * @returns {Promise<Object>} Zone data from API
  * @throws {Error} If zone retrieval fails or domain name is invalid
  *
@@ -292,27 +557,49 @@ export async function queryDomains() {
  * const zone = await getZone('example.com');
  * console.log('Zone has', zone.data.records.length, 'DNS records');
  */
-export async function getZone(zoneName) {
+export async function getZone(zoneName, account = config.accounts[0]) {
   const sanitizedZone = sanitizeDomainName(zoneName);
-  logger.debug({ zone: sanitizedZone }, 'Getting zone information');
+  const cacheKey = zoneCacheKey(account, sanitizedZone);
+
+  if (zoneCache.has(cacheKey)) {
+    logger.trace({ zone: sanitizedZone }, 'Zone served from cache');
+  } else {
+    const request = fetchZone(sanitizedZone, account);
+    zoneCache.set(cacheKey, request);
+    // Never cache failures; the next caller should try the API again
+    request.catch(() => {
+      if (zoneCache.get(cacheKey) === request) {
+        zoneCache.delete(cacheKey);
+      }
+    });
+  }
+
+  return structuredClone(await zoneCache.get(cacheKey));
+}
+
+/**
+ * Fetch zone information from the AutoDNS API, bypassing the zone cache.
+ *
+ * @async
+ * @param {string} sanitizedZone - Already sanitized zone name
+ * @param {import('./config.js').AccountProfile} account - Account owning the zone
+ * @returns {Promise<Object>} Zone data from API
+ * @throws {Error} If zone retrieval fails
+ */
+async function fetchZone(sanitizedZone, account) {
+  logger.debug(
+    { account: account.name, zone: sanitizedZone },
+    'Getting zone information',
+  );
 
   return pRetry(
     async () => {
-      await rateLimitAutoDNS();
+      await rateLimitAutoDNS(account);
 
       try {
         const response = await axios.get(
-          `${config.apiUrl}/zone/${sanitizedZone}`,
-          {
-            auth: {
-              username: config.user,
-              password: config.password,
-            },
-            headers: {
-              'Content-Type': 'application/json',
-              'X-Domainrobot-Context': config.context,
-            },
-          },
+          `${account.apiUrl}/zone/${sanitizedZone}`,
+          requestOptions(account),
         );
 
         logger.debug(
@@ -340,16 +627,42 @@ export async function getZone(zoneName) {
   );
 }
 
+/**
+ * Save the current state of a zone before it is written.
+ *
+ * Uses the cached zone when available, i.e. the state the caller based its
+ * changes on. The first snapshot per zone and run is kept (see snapshots.js),
+ * so a rollback restores the state from before the run.
+ *
+ * @async
+ * @param {string} sanitizedZone - Sanitized zone name
+ * @param {import('./config.js').AccountProfile} account - Account owning the zone
+ * @returns {Promise<void>}
+ * @throws {Error} If the zone cannot be read or the snapshot cannot be written
+ */
+async function snapshotZone(sanitizedZone, account) {
+  const zoneInfo = await getZone(sanitizedZone, account);
+  const zone = Array.isArray(zoneInfo?.data) ? zoneInfo.data[0] : null;
+  if (!zone) {
+    throw new Error(`Cannot snapshot zone ${sanitizedZone}: invalid zone data`);
+  }
+  await saveZoneSnapshot(sanitizedZone, zone, account.name);
+}
+
 /**
  * Update zone with new/updated DNS record with retry logic.
  *
  * Updates DNS zone configuration. In dry-run mode, logs the intended
  * change without making actual API call. Automatically removes read-only
- * fields from the payload.
+ * fields from the payload. The zone's previous state is snapshotted first
+ * (the update is refused if that fails). The cached copy of the zone is
+ * invalidated once the request settles, whether it succeeded or not.
  *
  * @async
  * @param {string} zoneName - Domain name (will be sanitized)
  * @param {Object} zoneData - Complete zone data to update
+ * @param {import('./config.js').AccountProfile} [account] - Account owning the
+ *   zone (defaults to the primary account)
  * @returns {Promise<AutoDNSResponse>} API response
  * @throws {Error} If zone update fails
  *
@@ -363,7 +676,7 @@ export async function getZone(zoneName) {
  * });
  * await updateZone('example.com', zone.data);
  */
-export async function updateZone(zoneName, zoneData) {
+export async function updateZone(zoneName, zoneData, account = config.accounts[0]) {
   const sanitizedZone = sanitizeDomainName(zoneName);
 
   if (config.dryRun) {
@@ -381,10 +694,29 @@ export async function updateZone(zoneName, zoneData) {
   }
 
   logger.info({ zone: sanitizedZone }, 'Updating zone');
+  await snapshotZone(sanitizedZone, account);
+
+  try {
+    return await putZone(sanitizedZone, zoneData, account);
+  } finally {
+    zoneCache.delete(zoneCacheKey(account, sanitizedZone));
+  }
+}
 
+/**
+ * PUT a complete zone object to the AutoDNS API with retry logic.
+ *
+ * @async
+ * @param {string} sanitizedZone - Already sanitized zone name
+ * @param {Object} zoneData - Complete zone data to update
+ * @param {import('./config.js').AccountProfile} account - Account owning the zone
+ * @returns {Promise<AutoDNSResponse>} API response
+ * @throws {Error} If zone update fails
+ */
+async function putZone(sanitizedZone, zoneData, account) {
   return pRetry(
     async () => {
-      await rateLimitAutoDNS();
+      await rateLimitAutoDNS(account);
 
       try {
         // Send complete zone object to preserve all settings
@@ -400,18 +732,9 @@ export async function updateZone(zoneName, zoneData) {
         readOnlyFields.forEach((field) => delete updatePayload[field]);
 
         const response = await axios.put(
-          `${config.apiUrl}/zone/${sanitizedZone}`,
+          `${account.apiUrl}/zone/${sanitizedZone}`,
           updatePayload,
-          {
-            auth: {
-              username: config.user,
-              password: config.password,
-            },
-            headers: {
-              'Content-Type': 'application/json',
-              'X-Domainrobot-Context': config.context,
-            },
-          },
+          requestOptions(account),
         );
 
         logger.info(
@@ -436,6 +759,104 @@ export async function updateZone(zoneName, zoneData) {
   );
 }
 
+/**
+ * Apply record-level changes to a zone via the AutoDNS zone stream endpoint.
+ *
+ * Unlike updateZone, only the listed records are sent, so concurrent edits
+ * to other records (e.g. made in the AutoDNS UI between our GET and this
+ * call) are preserved. In dry-run mode, logs the intended change without
+ * making an API call. The zone's previous state is snapshotted first. The
+ * cached copy of the zone is invalidated once the request settles.
+ *
+ * @async
+ * @param {string} zoneName - Domain name (will be sanitized)
+ * @param {Object} changes - Record changes
+ * @param {Object[]} [changes.adds=[]] - Records to add
+ * @param {Object[]} [changes.rems=[]] - Records to remove (must match exactly)
+ * @param {import('./config.js').AccountProfile} [account] - Account owning the
+ *   zone (defaults to the primary account)
+ * @returns {Promise<AutoDNSResponse>} API response
+ * @throws {Error} If the stream request fails
+ *
+ * @example
+ * await streamZoneChanges('example.com', {
+ *   adds: [{ name: '_dmarc', type: 'TXT', value: 'v=DMARC1;p=reject', ttl: 300 }],
+ *   rems: [{ name: '_dmarc', type: 'TXT', value: 'v=DMARC1;p=none', ttl: 300 }],
+ * });
+ */
+export async function streamZoneChanges(zoneName, { adds = [], rems = [] },
+  account = config.accounts[0]) {
+  const sanitizedZone = sanitizeDomainName(zoneName);
+
+  if (config.dryRun) {
+    logger.info(
+      { zone: sanitizedZone, adds: adds.length, rems: rems.length },
+      '[DRY-RUN] Would stream zone changes',
+    );
+    console.log(`[DRY-RUN] Would update zone: ${sanitizedZone}`);
+    return {
+      status: {
+        type: 'SUCCESS',
+        text: 'Dry-run mode: no changes made',
+      },
+    };
+  }
+
+  logger.info(
+    { zone: sanitizedZone, adds: adds.length, rems: rems.length },
+    'Streaming zone changes',
+  );
+  await snapshotZone(sanitizedZone, account);
+
+  try {
+    return await pRetry(
+      async () => {
+        await rateLimitAutoDNS(account);
+
+        try {
+          const response = await axios.post(
+            `${account.apiUrl}/zone/${sanitizedZone}/_stream`,
+            { adds, rems },
+            requestOptions(account),
+          );
+
+          logger.info(
+            { zone: sanitizedZone },
+            'Zone changes streamed successfully',
+          );
+
+          return response.data;
+        } catch (error) {
+          handleApiError(error, {
+            metadata: { zone: sanitizedZone },
+            responseMessage: 'API error streaming zone changes',
+            networkMessage: 'Network error streaming zone changes',
+            includeResponseData: true,
+          });
+        }
+      },
+      buildRetryConfig(
+        'Zone stream attempt failed, retrying',
+        () => ({ zone: sanitizedZone }),
+      ),
+    );
+  } finally {
+    zoneCache.delete(zoneCacheKey(account, sanitizedZone));
+  }
+}
+
+/**
+ * Determine whether an error means the zone stream endpoint is unavailable
+ * (as opposed to the request itself being rejected).
+ *
+ * @param {Error} error - Error thrown by streamZoneChanges
+ * @returns {boolean} True if callers should fall back to a full zone update
+ */
+export function isZoneStreamUnavailable(error) {
+  const status = error?.response?.status;
+  return status === 404 || status === 405 || status === 501;
+}
+
 /**
  * Get and validate a zone from AutoDNS, returning the first zone object.
  *
@@ -444,11 +865,13 @@ export async function updateZone(zoneName, zoneData) {
  *
  * @async
  * @param {string} domainName - Domain name to fetch zone for
+ * @param {import('./config.js').AccountProfile} [account] - Account owning the
+ *   zone (defaults to the primary account)
  * @returns {Promise<Object>} Zone object with resourceRecords guaranteed to be an array
  * @throws {Error} If zone data is invalid or missing
  */
-export async function getAndValidateZone(domainName) {
-  const zoneInfo = await getZone(domainName);
+export async function getAndValidateZone(domainName, account = config.accounts[0]) {
+  const zoneInfo = await getZone(domainName, account);
 
   if (
     !zoneInfo.data ||
@@ -0,0 +1,192 @@
+/**
+ * IPv4/IPv6 network arithmetic.
+ *
+ * Networks are handled as inclusive BigInt ranges so that IPv4 and IPv6 share
+ * the same code. Used to aggregate the ip4/ip6 mechanisms of flattened SPF
+ * records without changing the authorized address set.
+ *
+ * @module lib/cidr
+ */
+
+import net from 'net';
+
+/**
+ * @typedef {Object} Network
+ * @property {4|6} version - IP version
+ * @property {bigint} start - First address
+ * @property {bigint} end - Last address
+ */
+
+/**
+ * Address width in bits by IP version
+ */
+const ADDRESS_BITS = { 4: 32n, 6: 128n };
+
+/**
+ * Expand an IPv6 address to its 32 hex nibbles.
+ *
+ * @param {string} ip - IPv6 address (embedded IPv4 notation allowed)
+ * @returns {string[]} Nibbles, most significant first
+ *
+ * @example
+ * ipv6Nibbles('2001:db8::1').join(''); // '20010db8000000000000000000000001'
+ */
+export function ipv6Nibbles(ip) {
+  let address = ip;
+  const embedded = address.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (embedded) {
+    const octets = embedded[1].split('.').map(Number);
+    const hex = (a, b) => ((a << 8) | b).toString(16);
+    const ipv4Groups = `${hex(octets[0], octets[1])}:${hex(octets[2], octets[3])}`;
+    address = address.slice(0, -embedded[1].length) + ipv4Groups;
+  }
+  const [head, tail = ''] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const missing = address.includes('::') ? 8 - headGroups.length - tailGroups.length : 0;
+  const groups = [...headGroups, ...Array(missing).fill('0'), ...tailGroups];
+  return groups.flatMap((group) => group.padStart(4, '0').split(''));
+}
+
+/**
+ * Convert an IP address to a number.
+ *
+ * @param {string} ip - IPv4 or IPv6 address
+ * @returns {{version: 4|6, value: bigint}}
+ * @throws {Error} If the address is invalid
+ */
+function addressToBigInt(ip) {
+  const version = net.isIP(ip);
+  if (version === 4) {
+    const value = ip.split('.').reduce((acc, octet) => (acc << 8n) + BigInt(octet), 0n);
+    return { version, value };
+  }
+  if (version === 6) {
+    return { version, value: BigInt(`0x${ipv6Nibbles(ip).join('')}`) };
+  }
+  throw new Error(`Invalid IP address: ${ip}`);
+}
+
+/**
+ * Format a number as an IP address (IPv6 in RFC 5952 compressed form).
+ *
+ * @param {bigint} value - Address
+ * @param {4|6} version - IP version
+ * @returns {string} Address text
+ */
+function bigIntToAddress(value, version) {
+  if (version === 4) {
+    return [24n, 16n, 8n, 0n].map((shift) => String((value >> shift) & 0xffn)).join('.');
+  }
+
+  const groups = [];
+  for (let shift = 112n; shift >= 0n; shift -= 16n) {
+    groups.push(((value >> shift) & 0xffffn).toString(16));
+  }
+
+  // Replace the longest run (of at least two) zero groups with '::'
+  let best = { start: -1, length: 1 };
+  for (let i = 0; i < groups.length; i++) {
+    let length = 0;
+    while (groups[i + length] === '0') {
+      length++;
+    }
+    if (length > best.length) {
+      best = { start: i, length };
+    }
+  }
+  if (best.start === -1) {
+    return groups.join(':');
+  }
+  const head = groups.slice(0, best.start).join(':');
+  const tail = groups.slice(best.start + best.length).join(':');
+  return `${head}::${tail}`;
+}
+
+/**
+ * Parse a network.
+ *
+ * Host bits below the prefix are ignored, like SPF does when matching.
+ *
+ * @param {string} address - Network address
+ * @param {number|null} [prefix] - Prefix length (null = single address)
+ * @returns {Network}
+ * @throws {Error} If the address or prefix length is invalid
+ */
+export function parseNetwork(address, prefix = null) {
+  const { version, value } = addressToBigInt(address);
+  const bits = ADDRESS_BITS[version];
+  const length = BigInt(prefix ?? bits);
+  if (length < 0n || length > bits) {
+    throw new Error(`Invalid prefix length: ${address}/${prefix}`);
+  }
+  const hostMask = (1n << (bits - length)) - 1n;
+  const start = value & ~hostMask;
+  return { version, start, end: start | hostMask };
+}
+
+/**
+ * Split an address range into the fewest CIDR blocks covering exactly it.
+ *
+ * @param {bigint} start - First address
+ * @param {bigint} end - Last address
+ * @param {4|6} version - IP version
+ * @returns {Array<{address: string, prefix: number}>} CIDR blocks in order
+ */
+function rangeToCidrs(start, end, version) {
+  const bits = ADDRESS_BITS[version];
+  const blocks = [];
+  let current = start;
+
+  while (current <= end) {
+    // Largest block aligned at `current` that does not extend past `end`
+    let size = 0n;
+    while (size < bits &&
+      (current & ((1n << (size + 1n)) - 1n)) === 0n &&
+      current + (1n << (size + 1n)) - 1n <= end) {
+      size++;
+    }
+    blocks.push({ address: bigIntToAddress(current, version), prefix: Number(bits - size) });
+    current += 1n << size;
+  }
+
+  return blocks;
+}
+
+/**
+ * Aggregate networks: merge overlapping and adjacent ranges and express the
+ * result as the fewest CIDR blocks. The covered address set is unchanged.
+ *
+ * @param {Network[]} networks - Networks of one or both IP versions
+ * @returns {Array<{version: 4|6, address: string, prefix: number}>} CIDR
+ *   blocks, IPv4 first, in address order
+ *
+ * @example
+ * aggregateNetworks([parseNetwork('192.0.2.0', 25), parseNetwork('192.0.2.128', 25)]);
+ * // [{ version: 4, address: '192.0.2.0', prefix: 24 }]
+ */
+export function aggregateNetworks(networks) {
+  const blocks = [];
+
+  for (const version of [4, 6]) {
+    const sorted = networks
+      .filter((n) => n.version === version)
+      .sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+
+    const ranges = [];
+    for (const { start, end } of sorted) {
+      const last = ranges.at(-1);
+      if (last && start <= last.end + 1n) {
+        last.end = end > last.end ? end : last.end;
+      } else {
+        ranges.push({ start, end });
+      }
+    }
+
+    for (const { start, end } of ranges) {
+      blocks.push(...rangeToCidrs(start, end, version).map((b) => ({ version, ...b })));
+    }
+  }
+
+  return blocks;
+}
@@ -1,4 +1,6 @@
 import 'dotenv/config';
+import { readFileSync } from 'fs';
+import path from 'path';
 import {
   isValidEmail,
   isValidPort,
@@ -7,6 +9,9 @@ import {
   isSafeFilePath,
   isValidDomainName,
 } from '../utils/validators.js';
+import { getTimestamp } from '../utils/helpers.js';
+import { validateSpfSyntax } from './spf-parser.js';
+import { validateDmarcSyntax } from './dmarc-parser.js';
 
 /**
  * @typedef {Object} SMTPConfig
@@ -24,12 +29,36 @@ import {
  * @property {string} subject - Email subject line
  */
 
+/**
+ * @typedef {Object} AccountProfile
+ * @property {string} name - Profile name, used to tag domains in reports
+ * @property {string} user - AutoDNS API username
+ * @property {string} password - AutoDNS API password
+ * @property {number} context - AutoDNS API context ID
+ * @property {string} apiUrl - AutoDNS API base URL
+ */
+
+/**
+ * @typedef {Object} DomainFilterConfig
+ * @property {string[]} names - Domain name patterns (`*` as wildcard)
+ * @property {string[]} tlds - Top-level domains without leading dot
+ * @property {string|null} createdAfter - Only domains created on/after this date
+ * @property {string|null} createdBefore - Only domains created on/before this date
+ * @property {string[]} statuses - AutoDNS registry status values (e.g. ACTIVE)
+ */
+
 /**
  * @typedef {Object} AppConfig
  * @property {string} user - AutoDNS API username
  * @property {string} password - AutoDNS API password
  * @property {number} context - AutoDNS API context ID
  * @property {string} apiUrl - AutoDNS API base URL
+ * @property {string|null} accountsPath - Path to the account profiles JSON file
+ * @property {AccountProfile[]} accounts - Account profiles to process; the first
+ *   one is the primary account that owns the main SPF and DMARC report zones
+ * @property {boolean} zoneStream - Whether to prefer record-level zone stream updates
+ * @property {number} domainPageSize - Domains requested per query page
+ * @property {DomainFilterConfig} domainFilters - Server-side domain query filters
  * @property {string} mainSpfRecordName - Main SPF record name
  * @property {string} mainSpfRecordValue - Main SPF record value
  * @property {SMTPConfig} smtp - SMTP server configuration
@@ -39,7 +68,19 @@ import {
  * @property {string} dmarcReportAuthDomain - Domain for DMARC report authorization
  * @property {string[]} dkimSelectors - DKIM selector names to check
  * @property {string} dkimConfigPath - Path to DKIM configuration file
+ * @property {string} domainGroupsPath - Path to the domain groups file
+ * @property {string} zoneTemplatesPath - Path to the zone templates file
+ * @property {string} spfPoliciesPath - Path to the SPF policies file
+ * @property {string} spfStatePath - Path to the last flattened SPF state
+ * @property {Object<string, string>} spfIncludeModes - Flattening mode per include
+ *   domain (`flatten`, `keep-include` or `pin`; unlisted includes are flattened)
+ * @property {number} spfMaxDropPercent - Largest allowed drop of flattened
+ *   mechanisms (percent) before publishing is refused
+ * @property {number} spfChunkVerifyTimeout - Seconds to wait for new SPF chunk
+ *   records to appear on the authoritative name servers
  * @property {boolean} dryRun - Whether to run in dry-run mode (no changes)
+ * @property {string} runId - Identifier of this run (used for zone snapshots)
+ * @property {string} snapshotDir - Directory for pre-change zone snapshots
  * @property {boolean} testDomainsEnabled - Whether to use test domains only
  * @property {string[]} testDomains - List of test domains to process
  */
@@ -83,6 +124,165 @@ function parseContext() {
   return context;
 }
 
+/**
+ * Split a comma-separated environment value into trimmed, non-empty entries
+ * @param {string|undefined} value - Raw environment value
+ * @returns {string[]} List entries
+ */
+function parseList(value) {
+  return value ? value.split(',').map((s) => s.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Flattening modes of SPF includes: resolve to addresses on every run, keep
+ * the include: verbatim, or resolve once and reuse the stored addresses
+ */
+export const SPF_INCLUDE_MODES = ['flatten', 'keep-include', 'pin'];
+
+/**
+ * Parse SPF_INCLUDE_MODES (`domain=mode` pairs, comma-separated). Entries are
+ * validated by validateConfig().
+ * @param {string|undefined} value - Raw environment value
+ * @returns {Object<string, string>} Mode per lower-case include domain
+ */
+function parseIncludeModes(value) {
+  return Object.fromEntries(parseList(value).map((entry) => {
+    const [domain, mode = ''] = entry.split('=').map((s) => s.trim());
+    return [domain.toLowerCase().replace(/\.$/, ''), mode];
+  }));
+}
+
+/**
+ * Error raised while loading account profiles. Loading happens at import
+ * time, so the error is kept here and reported by validateConfig().
+ * @type {string|null}
+ */
+let accountProfilesError = null;
+
+/**
+ * Build a single account profile from the AUTODNS_* environment variables
+ * @param {string} apiUrl - Default API URL
+ * @returns {AccountProfile} Default account profile
+ */
+function defaultAccountProfile(apiUrl) {
+  return {
+    name: 'default',
+    user: process.env.AUTODNS_USER,
+    password: process.env.AUTODNS_PASSWORD,
+    context: parseContext(),
+    apiUrl,
+  };
+}
+
+/**
+ * Load account profiles from AUTODNS_ACCOUNTS_PATH, or fall back to the
+ * single account configured via AUTODNS_USER/AUTODNS_PASSWORD/AUTODNS_CONTEXT.
+ *
+ * The file holds a JSON array of profiles. Passwords can be given inline
+ * (`password`) or, preferably, as the name of an environment variable
+ * (`passwordEnv`) so the file itself contains no secrets.
+ *
+ * @param {string|null} accountsPath - Path to the profiles file
+ * @param {string} apiUrl - Default API URL for profiles without `apiUrl`
+ * @returns {AccountProfile[]} Account profiles (empty if loading failed)
+ */
+function loadAccountProfiles(accountsPath, apiUrl) {
+  if (!accountsPath) {
+    return [defaultAccountProfile(apiUrl)];
+  }
+
+  try {
+    const raw = JSON.parse(
+      readFileSync(path.resolve(process.cwd(), accountsPath), 'utf8'),
+    );
+    if (!Array.isArray(raw) || raw.length === 0) {
+      throw new Error('expected a non-empty array of account profiles');
+    }
+    return raw.map((profile) => ({
+      name: profile.name,
+      user: profile.user,
+      password: profile.passwordEnv ?
+        process.env[profile.passwordEnv] :
+        profile.password,
+      context: parseInteger(profile.context, 4, 1, 999),
+      apiUrl: profile.apiUrl || apiUrl,
+    }));
+  } catch (error) {
+    accountProfilesError =
+      `Failed to load AUTODNS_ACCOUNTS_PATH (${accountsPath}): ${error.message}`;
+    return [];
+  }
+}
+
+/**
+ * Collect validation errors for the loaded account profiles
+ * @param {AccountProfile[]} accounts - Loaded profiles
+ * @param {string|null} accountsPath - Path the profiles were loaded from
+ * @returns {string[]} Validation error messages
+ */
+function validateAccountProfiles(accounts, accountsPath) {
+  if (accountProfilesError) {
+    return [accountProfilesError];
+  }
+
+  if (!accountsPath) {
+    const [account] = accounts;
+    return account.user && account.password ?
+      [] :
+      ['Missing AutoDNS credentials (AUTODNS_USER and AUTODNS_PASSWORD)'];
+  }
+
+  const errors = [];
+  if (!isSafeFilePath(accountsPath, process.cwd())) {
+    errors.push(`Unsafe accounts path: ${accountsPath}`);
+  }
+
+  const seen = new Set();
+  accounts.forEach((account, index) => {
+    const label = account.name || `#${index + 1}`;
+    if (!account.name) {
+      errors.push(`Account profile ${label} has no name`);
+    } else if (seen.has(account.name)) {
+      errors.push(`Duplicate account profile name: ${account.name}`);
+    }
+    seen.add(account.name);
+    if (!account.user || !account.password) {
+      errors.push(`Missing credentials for account profile ${label}`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Look up a configured account profile by name.
+ *
+ * @param {string} [name] - Profile name; omitted or unknown names yield the
+ *   primary account
+ * @returns {AccountProfile} Matching account profile
+ */
+export function getAccount(name) {
+  return config.accounts.find((a) => a.name === name) || config.accounts[0];
+}
+
+/**
+ * Build the audit metadata identifying the run and API identity behind a
+ * change.
+ *
+ * @param {AccountProfile} [account] - Account used for the change (defaults
+ *   to the primary account)
+ * @returns {{runId: string, account: string, apiUser: string, context: number,
+ *   dryRun: boolean}} Audit metadata
+ */
+export function getAuditContext(account = config.accounts[0]) {
+  return {
+    runId: config.runId,
+    account: account?.name,
+    apiUser: account?.user,
+    context: account?.context,
+    dryRun: config.dryRun,
+  };
+}
+
 /**
  * Validate email address with proper error message
  * @param {string|undefined} email - Email address to validate (or comma-separated list)
@@ -130,11 +330,27 @@ function validateDomain(domain, fieldName) {
  * import { config } from './config.js';
  * console.log(config.apiUrl); // 'https://api.autodns.com/v1'
  */
+const apiUrl = process.env.AUTODNS_API_URL || 'https://api.autodns.com/v1';
+const accountsPath = process.env.AUTODNS_ACCOUNTS_PATH || null;
+
 export const config = {
   user: process.env.AUTODNS_USER,
   password: process.env.AUTODNS_PASSWORD,
   context: parseContext(),
-  apiUrl: process.env.AUTODNS_API_URL || 'https://api.autodns.com/v1',
+  apiUrl,
+  accountsPath,
+  accounts: loadAccountProfiles(accountsPath, apiUrl),
+  zoneStream: parseBoolean(process.env.AUTODNS_ZONE_STREAM, true),
+  domainPageSize: parseInteger(process.env.DOMAIN_PAGE_SIZE, 1000, 1, 10000),
+  domainFilters: {
+    names: parseList(process.env.DOMAIN_FILTER_NAMES),
+    tlds: parseList(process.env.DOMAIN_FILTER_TLDS)
+      .map((t) => t.replace(/^\./, '').toLowerCase()),
+    createdAfter: process.env.DOMAIN_FILTER_CREATED_AFTER || null,
+    createdBefore: process.env.DOMAIN_FILTER_CREATED_BEFORE || null,
+    statuses: parseList(process.env.DOMAIN_FILTER_STATUS)
+      .map((s) => s.toUpperCase()),
+  },
   mainSpfRecordName: process.env.MAIN_SPF_RECORD_NAME,
   mainSpfRecordValue: process.env.MAIN_SPF_RECORD_VALUE,
   smtp: {
@@ -156,8 +372,17 @@ export const config = {
     process.env.DKIM_SELECTORS.split(',').map((s) => s.trim()) :
     ['s1', 's2'],
   dkimConfigPath: process.env.DKIM_CONFIG_PATH || 'dkim.config.json',
+  domainGroupsPath: process.env.DOMAIN_GROUPS_PATH || 'domain-groups.json',
+  zoneTemplatesPath: process.env.ZONE_TEMPLATES_PATH || 'zone-templates.json',
+  spfPoliciesPath: process.env.SPF_POLICIES_PATH || 'spf-policies.json',
+  spfStatePath: process.env.SPF_STATE_PATH || 'state/spf-flattened.json',
+  spfIncludeModes: parseIncludeModes(process.env.SPF_INCLUDE_MODES),
+  spfMaxDropPercent: parseInteger(process.env.SPF_MAX_DROP_PERCENT, 20, 0, 100),
+  spfChunkVerifyTimeout: parseInteger(process.env.SPF_CHUNK_VERIFY_TIMEOUT, 120, 0, 3600),
   dryRun: parseBoolean(process.env.DRY_RUN, false) ||
     process.argv.includes('--dry-run'),
+  runId: process.env.RUN_ID || getTimestamp(),
+  snapshotDir: process.env.SNAPSHOT_DIR || 'snapshots',
   testDomainsEnabled: parseBoolean(process.env.TEST_DOMAINS_ENABLED, false),
   testDomains: process.env.TEST_DOMAINS ?
     process.env.TEST_DOMAINS.split(',').map((s) => s.trim()) :
@@ -181,10 +406,8 @@ export const config = {
 export function validateConfig() {
   const errors = [];
 
-  // Validate AutoDNS credentials
-  if (!config.user || !config.password) {
-    errors.push('Missing AutoDNS credentials (AUTODNS_USER and AUTODNS_PASSWORD)');
-  }
+  // Validate AutoDNS credentials (single account or account profiles)
+  errors.push(...validateAccountProfiles(config.accounts, config.accountsPath));
 
   // Validate SPF record configuration
   if (!config.mainSpfRecordName || !config.mainSpfRecordValue) {
@@ -192,6 +415,36 @@ export function validateConfig() {
       '(MAIN_SPF_RECORD_NAME and MAIN_SPF_RECORD_VALUE)');
   }
 
+  // Validate SPF record syntax
+  const spfRecords = [
+    ['MAIN_SPF_RECORD_VALUE', config.mainSpfRecordValue],
+    ['EXPECTED_SPF', config.expectedSpf],
+  ];
+  for (const [name, value] of spfRecords) {
+    if (value) {
+      errors.push(...validateSpfSyntax(value).map((problem) => `Invalid ${name}: ${problem}`));
+    }
+  }
+
+  // Validate DMARC policy syntax
+  if (config.expectedDmarc) {
+    errors.push(...validateDmarcSyntax(config.expectedDmarc)
+      .map((problem) => `Invalid EXPECTED_DMARC: ${problem}`));
+  }
+
+  // Validate SPF include flattening modes
+  for (const [domain, mode] of Object.entries(config.spfIncludeModes)) {
+    if (!isValidDomainName(domain)) {
+      errors.push(`Invalid SPF_INCLUDE_MODES domain: ${domain}`);
+    }
+    if (!SPF_INCLUDE_MODES.includes(mode)) {
+      errors.push(
+        `Invalid SPF_INCLUDE_MODES mode for ${domain}: ${mode || '(missing)'} ` +
+          `(expected ${SPF_INCLUDE_MODES.join(', ')})`,
+      );
+    }
+  }
+
   // Validate email addresses if provided
   if (config.email.from) {
     try {
@@ -216,6 +469,26 @@ export function validateConfig() {
     }
   }
 
+  // Validate domain group, zone template, SPF policy and SPF state paths are safe
+  for (const [name, filePath] of [
+    ['DOMAIN_GROUPS_PATH', config.domainGroupsPath],
+    ['ZONE_TEMPLATES_PATH', config.zoneTemplatesPath],
+    ['SPF_POLICIES_PATH', config.spfPoliciesPath],
+    ['SPF_STATE_PATH', config.spfStatePath],
+  ]) {
+    if (!isSafeFilePath(filePath, process.cwd())) {
+      errors.push(`Unsafe ${name}: ${filePath}`);
+    }
+  }
+
+  // Validate snapshot location and run ID (both become path segments)
+  if (!isSafeFilePath(config.snapshotDir, process.cwd())) {
+    errors.push(`Unsafe snapshot directory: ${config.snapshotDir}`);
+  }
+  if (!/^[A-Za-z0-9_-][A-Za-z0-9._-]*$/.test(config.runId)) {
+    errors.push(`Invalid RUN_ID: ${config.runId}`);
+  }
+
   // Validate DMARC report auth domain
   if (config.dmarcReportAuthDomain) {
     try {
@@ -238,6 +511,22 @@ export function validateConfig() {
     });
   }
 
+  // Validate server-side domain filters
+  const { domainFilters } = config;
+  domainFilters.tlds.forEach((tld) => {
+    if (!isValidDomainName(tld)) {
+      errors.push(`Invalid DOMAIN_FILTER_TLDS entry: ${tld}`);
+    }
+  });
+  for (const [key, value] of [
+    ['DOMAIN_FILTER_CREATED_AFTER', domainFilters.createdAfter],
+    ['DOMAIN_FILTER_CREATED_BEFORE', domainFilters.createdBefore],
+  ]) {
+    if (value && isNaN(Date.parse(value))) {
+      errors.push(`Invalid ${key} date: ${value}`);
+    }
+  }
+
   if (errors.length > 0) {
     throw new ConfigurationError(
       `Configuration validation failed:\n  - ${errors.join('\n  - ')}`,
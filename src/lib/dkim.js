@@ -1,7 +1,7 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { resolveTxt } from './dns-operations.js';
-import { updateZone, getAndValidateZone } from './autodns-client.js';
+import { getAndValidateZone } from './autodns-client.js';
 import { config } from './config.js';
 import { logger } from '../utils/logger.js';
 
@@ -51,11 +51,12 @@ export async function checkDKIMRecords(domain) {
 /**
  * List DKIM records directly from AutoDNS zone
  * @param {string} domainName - Domain name
+ * @param {object} [account] - AutoDNS account profile owning the zone
  * @returns {Promise<Array>} Array of DKIM records found in zone
  */
-export async function listZoneDKIMRecords(domainName) {
+export async function listZoneDKIMRecords(domainName, account) {
   try {
-    const zone = await getAndValidateZone(domainName);
+    const zone = await getAndValidateZone(domainName, account);
     const out = [];
     for (const rr of zone.resourceRecords || []) {
       if (rr.type === 'TXT' && typeof rr.name === 'string' &&
@@ -99,6 +100,7 @@ export async function loadDkimConfig() {
 /**
  * Save DKIM config to JSON file (sorted alphabetically)
  * @param {object} dkimConfig - DKIM configuration object
+ * @throws {Error} If the file cannot be written
  */
 export async function saveDkimConfig(dkimConfig) {
   try {
@@ -118,47 +120,23 @@ export async function saveDkimConfig(dkimConfig) {
     );
   } catch (error) {
     logger.error({ error: error.message }, 'Failed to save DKIM config file');
+    throw error;
   }
 }
 
 /**
- * Create or update DKIM TXT record in the domain's zone
- * @param {string} domainName - Domain name
+ * Stage a DKIM TXT record on the domain's zone changeset
+ * @param {import('./zone-changeset.js').ZoneChangeset} changeset
+ *   Changeset for the domain's zone
  * @param {string} selector - DKIM selector
  * @param {string} dkimValue - DKIM TXT record value
- * @returns {Promise<boolean>} Success status
  */
-export async function updateDomainDKIMRecord(domainName, selector,
-  dkimValue) {
-  try {
-    const zone = await getAndValidateZone(domainName);
-
-    const recordName = `${selector}._domainkey`;
-    let updated = false;
-    for (const rr of zone.resourceRecords) {
-      if (rr.type === 'TXT' && rr.name === recordName) {
-        rr.value = dkimValue;
-        rr.ttl = 300;
-        updated = true;
-        break;
-      }
-    }
-    if (!updated) {
-      zone.resourceRecords.push({
-        name: recordName,
-        type: 'TXT',
-        value: dkimValue,
-        ttl: 300,
-      });
-    }
-
-    await updateZone(domainName, zone);
-    return true;
-  } catch (error) {
-    logger.error(
-      { domain: domainName, selector, error: error.message },
-      'Failed to update DKIM record',
-    );
-    return false;
-  }
+export function stageDomainDKIMRecord(changeset, selector, dkimValue) {
+  changeset.upsert({
+    name: `${selector}._domainkey`,
+    type: 'TXT',
+    value: dkimValue,
+    label: `DKIM ${selector}`,
+    recordType: 'DKIM',
+  });
 }
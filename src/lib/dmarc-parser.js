@@ -0,0 +1,260 @@
+/**
+ * RFC 7489 DMARC record parser.
+ *
+ * Turns a DMARC TXT value into normalized tag values and parsed report URIs,
+ * and collects one error per invalid tag instead of rejecting the whole
+ * record on the first problem. Unknown tags are ignored as §6.3 requires
+ * and only reported as warnings. `np` (non-existent subdomain policy) is
+ * accepted as well, as introduced by the DMARCbis drafts.
+ *
+ * @module lib/dmarc-parser
+ * @see https://www.rfc-editor.org/rfc/rfc7489#section-6.3
+ */
+
+import { isValidEmail } from '../utils/validators.js';
+
+/**
+ * @typedef {Object} DmarcReportUri
+ * @property {string} uri - URI without the size limit (scheme in lower case)
+ * @property {string} scheme - URI scheme (lower case)
+ * @property {string|null} address - Mailbox of mailto: URIs
+ * @property {string|null} maxSize - Size limit (e.g. '10m'), null if none
+ */
+
+/**
+ * @typedef {Object} DmarcRecord
+ * @property {Object<string, string>} tags - Valid tags (lower-case names) and
+ *   their normalized values, in record order
+ * @property {{rua: DmarcReportUri[], ruf: DmarcReportUri[]}} reportUris - Parsed
+ *   report destinations
+ * @property {DmarcSyntaxError[]} errors - Syntax errors (empty if the record is valid)
+ * @property {DmarcSyntaxError[]} warnings - Ignored unknown tags
+ */
+
+/**
+ * DMARC syntax error for a single tag.
+ */
+export class DmarcSyntaxError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string|null} [tag] - Offending tag name
+   */
+  constructor(message, tag = null) {
+    super(tag !== null ? `${tag}: ${message}` : message);
+    this.name = 'DmarcSyntaxError';
+    this.tag = tag;
+  }
+}
+
+const POLICIES = ['none', 'quarantine', 'reject'];
+
+const ALIGNMENT_MODES = ['r', 's'];
+
+const FAILURE_OPTIONS = ['0', '1', 'd', 's'];
+
+const REPORT_FORMATS = ['afrf'];
+
+/**
+ * Largest value of ri (32-bit unsigned integer)
+ */
+const MAX_INTERVAL = 4294967295;
+
+/**
+ * Parse a keyword tag value.
+ *
+ * @param {string[]} allowed - Allowed keywords (lower case)
+ * @returns {function(string): string} Normalizer throwing on invalid values
+ */
+function keyword(allowed) {
+  return (value) => {
+    const normalized = value.toLowerCase();
+    if (!allowed.includes(normalized)) {
+      throw new Error(`"${value}" is not one of ${allowed.join(', ')}`);
+    }
+    return normalized;
+  };
+}
+
+/**
+ * Parse a colon-separated keyword list (order and duplicates do not matter).
+ *
+ * @param {string[]} allowed - Allowed keywords (lower case)
+ * @returns {function(string): string} Normalizer throwing on invalid values
+ */
+function keywordList(allowed) {
+  const parseKeyword = keyword(allowed);
+  return (value) => [...new Set(value.split(':').map((item) => parseKeyword(item.trim())))]
+    .sort()
+    .join(':');
+}
+
+/**
+ * Parse an integer tag value.
+ *
+ * @param {number} max - Largest allowed value
+ * @returns {function(string): string} Normalizer throwing on invalid values
+ */
+function integer(max) {
+  return (value) => {
+    if (!/^\d+$/.test(value) || Number(value) > max) {
+      throw new Error(`"${value}" is not a number between 0 and ${max}`);
+    }
+    return String(Number(value));
+  };
+}
+
+/**
+ * Parse a DMARC URI: `URI [ "!" size [ "k" / "m" / "g" / "t" ] ]`.
+ *
+ * Any scheme is accepted (§6.2); the mailbox of mailto: URIs is validated.
+ *
+ * @param {string} text - URI as written
+ * @returns {DmarcReportUri}
+ * @throws {Error} If the URI is invalid or a mailto: URI has an invalid mailbox
+ */
+export function parseDmarcUri(text) {
+  const match = text.trim().match(/^([a-z][a-z0-9+.-]*):([^!]+)(?:!(\d+[kmgt]?))?$/i);
+  if (!match) {
+    throw new Error(`invalid report URI "${text.trim()}"`);
+  }
+  const scheme = match[1].toLowerCase();
+
+  let address = null;
+  if (scheme === 'mailto') {
+    try {
+      address = decodeURIComponent(match[2]);
+    } catch {
+      address = match[2];
+    }
+    if (!isValidEmail(address)) {
+      throw new Error(`invalid mailbox "${address}"`);
+    }
+  }
+  return {
+    uri: `${scheme}:${match[2]}`,
+    scheme,
+    address,
+    maxSize: match[3]?.toLowerCase() ?? null,
+  };
+}
+
+/**
+ * Parse a comma-separated list of DMARC URIs.
+ *
+ * @param {string} value - Tag value
+ * @returns {DmarcReportUri[]}
+ * @throws {Error} If the list is empty or a URI is invalid
+ */
+function parseUriList(value) {
+  const uris = value.split(',').filter((uri) => uri.trim() !== '');
+  if (uris.length === 0) {
+    throw new Error('no report URI given');
+  }
+  return uris.map(parseDmarcUri);
+}
+
+/**
+ * Format a list of report URIs as a tag value.
+ *
+ * @param {DmarcReportUri[]} uris - Parsed URIs
+ * @returns {string} Normalized tag value
+ */
+function formatUriList(uris) {
+  return uris.map(({ uri, maxSize }) => (maxSize ? `${uri}!${maxSize}` : uri)).join(',');
+}
+
+/**
+ * Normalizers per known tag (v is handled separately)
+ */
+const TAG_PARSERS = {
+  p: keyword(POLICIES),
+  sp: keyword(POLICIES),
+  np: keyword(POLICIES),
+  pct: integer(100),
+  adkim: keyword(ALIGNMENT_MODES),
+  aspf: keyword(ALIGNMENT_MODES),
+  fo: keywordList(FAILURE_OPTIONS),
+  rf: keywordList(REPORT_FORMATS),
+  ri: integer(MAX_INTERVAL),
+};
+
+/**
+ * Parse a DMARC record.
+ *
+ * Never throws; invalid tags are reported in `errors` and left out of
+ * `tags`, unknown tags are reported in `warnings` and ignored. The record
+ * must start with `v=DMARC1` and carry a `p` tag.
+ *
+ * @param {string} record - DMARC TXT value
+ * @returns {DmarcRecord} Parsed record
+ *
+ * @example
+ * const dmarc = parseDmarcRecord('v=DMARC1; p=Reject; rua=mailto:dmarc@example.com!10m');
+ * dmarc.tags.p; // 'reject'
+ * dmarc.reportUris.rua[0].maxSize; // '10m'
+ */
+export function parseDmarcRecord(record) {
+  /** @type {DmarcRecord} */
+  const result = { tags: {}, reportUris: { rua: [], ruf: [] }, errors: [], warnings: [] };
+
+  const parts = String(record ?? '').split(';').map((part) => part.trim());
+  if (parts.at(-1) === '') {
+    parts.pop();
+  }
+
+  const [version, ...rest] = parts;
+  if (!/^v\s*=\s*DMARC1$/.test(version ?? '')) {
+    result.errors.push(new DmarcSyntaxError('Record does not start with v=DMARC1'));
+    return result;
+  }
+
+  const seen = new Set();
+  for (const part of rest) {
+    const match = part.match(/^([a-z0-9_]+)\s*=\s*(.*)$/i);
+    if (!match) {
+      result.errors.push(new DmarcSyntaxError(`Invalid tag "${part}"`));
+      continue;
+    }
+    const tag = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (seen.has(tag)) {
+      result.errors.push(new DmarcSyntaxError('duplicate tag', tag));
+      continue;
+    }
+    seen.add(tag);
+
+    if (tag !== 'rua' && tag !== 'ruf' && !TAG_PARSERS[tag]) {
+      result.warnings.push(new DmarcSyntaxError('unknown tag ignored', tag));
+      continue;
+    }
+    try {
+      if (tag === 'rua' || tag === 'ruf') {
+        result.reportUris[tag] = parseUriList(value);
+        result.tags[tag] = formatUriList(result.reportUris[tag]);
+      } else {
+        result.tags[tag] = TAG_PARSERS[tag](value);
+      }
+    } catch (error) {
+      result.errors.push(new DmarcSyntaxError(error.message, tag));
+    }
+  }
+
+  if (!seen.has('p')) {
+    result.errors.push(new DmarcSyntaxError('required tag is missing', 'p'));
+  } else if (rest[0] && !/^p\s*=/i.test(rest[0])) {
+    result.errors.push(new DmarcSyntaxError('must directly follow v=DMARC1', 'p'));
+  }
+
+  return result;
+}
+
+/**
+ * Check a DMARC record for syntax errors.
+ *
+ * @param {string} record - DMARC TXT value
+ * @returns {string[]} Error messages (empty if the record is valid)
+ */
+export function validateDmarcSyntax(record) {
+  return parseDmarcRecord(record).errors.map((error) => error.message);
+}
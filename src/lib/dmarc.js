@@ -1,7 +1,24 @@
+import { getDomain } from 'tldts';
 import { resolveTxtRecord } from './dns-operations.js';
-import { updateZone, getAndValidateZone } from './autodns-client.js';
-import { config } from './config.js';
-import { logger } from '../utils/logger.js';
+import { parseDmarcRecord } from './dmarc-parser.js';
+
+/**
+ * Values receivers assume for tags a record leaves out (sp and np default to
+ * the p and sp in effect)
+ */
+const DMARC_DEFAULTS = {
+  pct: '100',
+  adkim: 'r',
+  aspf: 'r',
+  fo: '0',
+  rf: 'afrf',
+  ri: '86400',
+};
+
+/**
+ * Order in which differing tags are reported
+ */
+const DMARC_TAG_ORDER = ['p', 'sp', 'np', 'pct', 'adkim', 'aspf', 'rua', 'ruf', 'fo', 'rf', 'ri'];
 
 /**
  * Get DMARC record for a domain
@@ -24,88 +41,215 @@ export function normalizeDMARC(dmarc) {
 }
 
 /**
- * Update domain's DMARC record
- * @param {string} domainName - Domain name
- * @param {string} dmarcValue - New DMARC value
- * @returns {Promise<boolean>} Success status
+ * @typedef {Object} DmarcComparison
+ * @property {boolean} equal - Whether the records are equivalent
+ * @property {string[]} differences - Per-tag differences (e.g. "p=none instead
+ *   of p=reject"), or the syntax errors of an invalid current record
  */
-export async function updateDomainDMARCRecord(domainName, dmarcValue) {
-  try {
-    const zone = await getAndValidateZone(domainName);
-
-    // Find existing DMARC record (_dmarc) or create new one
-    let recordFound = false;
-
-    for (const record of zone.resourceRecords) {
-      if (record.type === 'TXT' && record.name === '_dmarc') {
-        // Update existing record
-        record.value = dmarcValue;
-        record.ttl = 300;
-        recordFound = true;
-        break;
-      }
-    }
 
-    if (!recordFound) {
-      // Add new DMARC record
-      zone.resourceRecords.push({
-        name: '_dmarc',
-        type: 'TXT',
-        value: dmarcValue,
-        ttl: 300,
-      });
+/**
+ * Get the tag values a receiver applies, defaults included. Report URI lists
+ * are sorted since their order does not matter.
+ *
+ * @param {import('./dmarc-parser.js').DmarcRecord} parsed - Parsed record
+ * @returns {Object<string, string>} Effective value per tag
+ */
+function getEffectiveTags(parsed) {
+  const tags = { ...DMARC_DEFAULTS, ...parsed.tags };
+  tags.sp = parsed.tags.sp ?? tags.p;
+  tags.np = parsed.tags.np ?? tags.sp;
+  for (const tag of ['rua', 'ruf']) {
+    if (tags[tag]) {
+      tags[tag] = tags[tag].split(',').sort().join(',');
     }
+  }
+  return tags;
+}
 
-    // Update the zone
-    await updateZone(domainName, zone);
-    return true;
-  } catch (error) {
-    logger.error(
-      { domain: domainName, error: error.message },
-      'Failed to update DMARC record',
-    );
-    return false;
+/**
+ * Compare two DMARC records tag by tag.
+ *
+ * Tag order, case of names and keywords, whitespace, unknown tags and tags
+ * written with their default value do not matter. Invalid records only match if they are
+ * identical after whitespace normalization.
+ *
+ * @param {string|null} current - Current record
+ * @param {string|null} expected - Expected record
+ * @returns {DmarcComparison}
+ *
+ * @example
+ * compareDmarcRecords('v=DMARC1; p=none; pct=100', 'v=DMARC1;p=reject');
+ * // { equal: false, differences: ['p=none instead of p=reject'] }
+ */
+export function compareDmarcRecords(current, expected) {
+  if (!current || !expected) {
+    return { equal: !current && !expected, differences: [] };
+  }
+
+  const parsedCurrent = parseDmarcRecord(current);
+  const parsedExpected = parseDmarcRecord(expected);
+  if (parsedCurrent.errors.length > 0 || parsedExpected.errors.length > 0) {
+    return {
+      equal: normalizeDMARC(current) === normalizeDMARC(expected),
+      differences: parsedCurrent.errors.map((error) => error.message),
+    };
   }
+
+  const have = getEffectiveTags(parsedCurrent);
+  const want = getEffectiveTags(parsedExpected);
+  const differences = [];
+  for (const tag of DMARC_TAG_ORDER) {
+    // sp and np follow p and sp unless written; their difference is reported there
+    const written = tag in parsedCurrent.tags || tag in parsedExpected.tags;
+    if (have[tag] === want[tag] || !written) {
+      continue;
+    }
+    if (have[tag] === undefined || !(tag in parsedCurrent.tags)) {
+      differences.push(`missing ${tag}=${want[tag]}`);
+    } else if (want[tag] === undefined) {
+      differences.push(`unexpected ${tag}=${have[tag]}`);
+    } else {
+      differences.push(`${tag}=${have[tag]} instead of ${tag}=${want[tag]}`);
+    }
+  }
+
+  return { equal: differences.length === 0, differences };
+}
+
+/**
+ * Stage the domain's DMARC record on a zone changeset
+ * @param {import('./zone-changeset.js').ZoneChangeset} changeset
+ *   Changeset for the domain's zone
+ * @param {string} dmarcValue - New DMARC value
+ */
+export function stageDomainDMARCRecord(changeset, dmarcValue) {
+  changeset.upsert({
+    name: '_dmarc',
+    type: 'TXT',
+    value: dmarcValue,
+    label: 'DMARC',
+  });
 }
 
 /**
- * Add DMARC reporting authorization record
+ * Stage the DMARC reporting authorization record for a domain
+ * @param {import('./zone-changeset.js').ZoneChangeset} changeset
+ *   Changeset for the report auth zone (DMARC_REPORT_AUTH_DOMAIN)
  * @param {string} domainName - Domain requesting authorization
- * @returns {Promise<boolean>} Success status
  */
-export async function addDMARCReportAuthRecord(domainName) {
-  const recordName = `${domainName}._report._dmarc`;
-  const recordValue = 'v=DMARC1';
+export function stageDMARCReportAuthRecord(changeset, domainName) {
+  changeset.upsert({
+    name: `${domainName}._report._dmarc`,
+    type: 'TXT',
+    value: 'v=DMARC1',
+    label: `DMARC report auth ${domainName}`,
+    recordType: 'DMARC_REPORT_AUTH',
+  });
+}
 
-  try {
-    const zone = await getAndValidateZone(config.dmarcReportAuthDomain);
+/**
+ * @typedef {Object} DmarcReportDestination
+ * @property {'rua'|'ruf'} tag - Tag listing the destination
+ * @property {string} uri - Report URI
+ * @property {string} host - Domain of the mailbox (lower case)
+ * @property {string} authRecord - Name of the authorization record
+ *   (`<domain>._report._dmarc.<host>`)
+ * @property {boolean|null} authorized - Whether the host authorizes the
+ *   domain's reports (null if the lookup failed)
+ * @property {string|null} error - Why the authorization could not be checked
+ * @property {boolean} managed - Whether the host is one of our domains or below one
+ */
+
+/**
+ * Check whether a name is a domain or below it.
+ *
+ * @param {string} name - Name to check
+ * @param {string} domain - Domain
+ * @returns {boolean}
+ */
+function isWithinDomain(name, domain) {
+  return name === domain || name.endsWith(`.${domain}`);
+}
 
-    // Check if record already exists
-    let recordFound = false;
+/**
+ * Get the Organizational Domain of a name (RFC 7489 §3.2): the public
+ * suffix plus one label.
+ *
+ * @param {string} name - Domain name (lower case)
+ * @returns {string} Organizational Domain, the name itself if it has none
+ */
+function getOrganizationalDomain(name) {
+  return getDomain(name) ?? name;
+}
 
-    for (const record of zone.resourceRecords) {
-      if (record.type === 'TXT' && record.name === recordName) {
-        recordFound = true;
-        break;
-      }
+/**
+ * Get the domain a report URI delivers to.
+ *
+ * @param {string} uri - Report URI
+ * @param {string|null} address - Mailbox of mailto: URIs
+ * @returns {string|null} Lower-case domain, null if the URI names none
+ */
+function getReportHost(uri, address) {
+  let host = null;
+  if (address) {
+    host = address.slice(address.lastIndexOf('@') + 1);
+  } else {
+    try {
+      host = new URL(uri).hostname || null;
+    } catch {
+      return null;
     }
+  }
+  return host?.toLowerCase().replace(/\.$/, '') ?? null;
+}
 
-    if (!recordFound) {
-      // Add new reporting authorization record
-      zone.resourceRecords.push({
-        name: recordName,
-        type: 'TXT',
-        value: recordValue,
-        ttl: 300,
-      });
+/**
+ * Check the external report destinations of a DMARC record (RFC 7489 §7.1).
+ *
+ * A destination whose Organizational Domain differs from that of the domain
+ * publishing the record only receives reports if it publishes a `v=DMARC1`
+ * TXT record at `<domain>._report._dmarc.<destination domain>`. Destinations
+ * within the same organization (e.g. a subdomain reporting to its parent)
+ * need no authorization and are not returned.
+ *
+ * @async
+ * @param {string} domainName - Domain publishing the record
+ * @param {string|null} record - DMARC record
+ * @param {string[]} [managedDomains] - Domains under our control
+ * @returns {Promise<DmarcReportDestination[]>} External destinations
+ */
+export async function checkDMARCReportDestinations(domainName, record, managedDomains = []) {
+  if (!record) {
+    return [];
+  }
+  const domain = domainName.toLowerCase();
+  const organization = getOrganizationalDomain(domain);
+  const { reportUris } = parseDmarcRecord(record);
+  const lookups = new Map();
+  const destinations = [];
 
-      // Update the zone
-      await updateZone(config.dmarcReportAuthDomain, zone);
-      return true;
-    } else {
-      return true;
+  for (const tag of ['rua', 'ruf']) {
+    for (const { uri, address } of reportUris[tag]) {
+      const host = getReportHost(uri, address);
+      if (!host || getOrganizationalDomain(host) === organization) {
+        continue;
+      }
+
+      if (!lookups.has(host)) {
+        lookups.set(host, resolveTxtRecord(host, 'v=DMARC1', `${domain}._report._dmarc`)
+          .then((auth) => ({ authorized: auth !== null, error: null }))
+          .catch((error) => ({ authorized: null, error: error.message })));
+      }
+      destinations.push({
+        tag,
+        uri,
+        host,
+        authRecord: `${domain}._report._dmarc.${host}`,
+        ...(await lookups.get(host)),
+        managed: managedDomains.some((managed) => isWithinDomain(host, managed.toLowerCase())),
+      });
     }
-  } catch (_error) {
-    return false;
   }
+
+  return destinations;
 }
@@ -5,7 +5,7 @@ import { logger } from '../utils/logger.js';
 export const resolveTxt = promisify(dns.resolveTxt);
 export const resolve4 = promisify(dns.resolve4);
 export const resolve6 = promisify(dns.resolve6);
-const resolveMx = promisify(dns.resolveMx);
+export const resolveMx = promisify(dns.resolveMx);
 export const resolveNs = promisify(dns.resolveNs);
 export const resolveSoa = promisify(dns.resolveSoa);
 export const resolveCaa = promisify(dns.resolveCaa);
@@ -18,6 +18,24 @@ export async function safeResolveTxt(name) {
   try { return await resolveTxt(name); } catch { return []; }
 }
 
+/**
+ * Query DNS, treating NXDOMAIN and empty answers as an empty result.
+ * @param {Function} resolver - Promisified dns resolver (e.g. resolve4)
+ * @param {string} name - Name to query
+ * @returns {Promise<Array>} Answers (empty if the name has no such records)
+ * @throws {Error} On other DNS errors (timeouts, SERVFAIL, ...)
+ */
+export async function queryDnsRecords(resolver, name) {
+  try {
+    return await resolver(name);
+  } catch (error) {
+    if (error.code === 'ENODATA' || error.code === 'ENOTFOUND') {
+      return [];
+    }
+    throw error;
+  }
+}
+
 /**
  * Resolve A and AAAA records for a hostname
  * @param {string} hostname - Hostname to resolve
@@ -194,3 +212,55 @@ export async function nsHostsResolvable(nsHosts) {
   }
   return ok;
 }
+
+/**
+ * Find the zone a name belongs to: the closest enclosing name with an SOA record.
+ *
+ * Works for multi-label public suffixes (example.co.uk) and delegated
+ * subzones (_spf.mail.example.com in mail.example.com) alike.
+ *
+ * @param {string} name - Fully qualified name
+ * @returns {Promise<string|null>} Zone apex, or null if no enclosing name below
+ *   the TLD has an SOA record
+ * @throws {Error} On DNS errors other than missing names or records
+ */
+export async function findZoneApex(name) {
+  const labels = name.toLowerCase().replace(/\.$/, '').split('.');
+  for (let i = 0; i < labels.length - 1; i++) {
+    const candidate = labels.slice(i).join('.');
+    try {
+      await resolveSoa(candidate);
+      return candidate;
+    } catch (error) {
+      if (error.code !== 'ENODATA' && error.code !== 'ENOTFOUND') {
+        throw error;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Create a resolver that queries a zone's authoritative name servers directly,
+ * so freshly published records are seen without waiting for resolver caches
+ * (including negative caching of names that did not exist before).
+ *
+ * @param {string} zone - Zone apex
+ * @returns {Promise<dns.promises.Resolver>} Resolver using the zone's name servers
+ * @throws {Error} If the name servers cannot be resolved
+ */
+export async function createAuthoritativeResolver(zone) {
+  const addresses = [];
+  for (const host of await resolveNs(zone)) {
+    addresses.push(
+      ...(await queryDnsRecords(resolve4, host)),
+      ...(await queryDnsRecords(resolve6, host)),
+    );
+  }
+  if (addresses.length === 0) {
+    throw new Error(`No name server addresses found for ${zone}`);
+  }
+  const resolver = new dns.promises.Resolver();
+  resolver.setServers(addresses);
+  return resolver;
+}
@@ -0,0 +1,122 @@
+/**
+ * Named groups of domains.
+ *
+ * Groups are defined in a JSON file (DOMAIN_GROUPS_PATH) mapping a group
+ * name to domain names or patterns, where `*` matches any characters:
+ *
+ * @example
+ * {
+ *   "customers": ["example.com", "*.example.org"],
+ *   "germany": ["*.de"]
+ * }
+ *
+ * Other configuration (zone templates, ...) assigns settings to domains by
+ * name or by group through a {@link DomainSelector}.
+ *
+ * @module lib/domain-groups
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from './config.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * @typedef {Object<string, string[]>} DomainGroups
+ */
+
+/**
+ * @typedef {Object} DomainSelector
+ * @property {string[]} [domains] - Domain names or patterns
+ * @property {string[]} [groups] - Group names
+ */
+
+/**
+ * Check whether a domain matches a name or pattern (case-insensitive).
+ *
+ * @param {string} domainName - Domain to test
+ * @param {string} pattern - Domain name, `*` wildcards allowed
+ * @returns {boolean}
+ *
+ * @example
+ * matchesDomainPattern('shop.example.org', '*.example.org'); // true
+ */
+export function matchesDomainPattern(domainName, pattern) {
+  const escaped = pattern.toLowerCase().split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${escaped}$`).test(domainName.toLowerCase());
+}
+
+/**
+ * Validate the structure of a domain groups definition.
+ *
+ * @param {*} groups - Parsed groups file
+ * @returns {string[]} Problems found (empty if valid)
+ */
+export function validateDomainGroups(groups) {
+  if (!groups || typeof groups !== 'object' || Array.isArray(groups)) {
+    return ['domain groups must be an object of group name to domain list'];
+  }
+  return Object.entries(groups)
+    .filter(([, patterns]) =>
+      !Array.isArray(patterns) || !patterns.every((p) => typeof p === 'string' && p))
+    .map(([name]) => `group "${name}" must be a list of domain names or patterns`);
+}
+
+/**
+ * Load domain groups from DOMAIN_GROUPS_PATH.
+ *
+ * A missing file means no groups are defined.
+ *
+ * @async
+ * @param {string} [filePath] - Groups file (defaults to DOMAIN_GROUPS_PATH)
+ * @returns {Promise<DomainGroups>} Group definitions
+ * @throws {Error} If the file cannot be parsed or is invalid
+ */
+export async function loadDomainGroups(filePath = config.domainGroupsPath) {
+  let content;
+  try {
+    content = await fs.readFile(path.resolve(process.cwd(), filePath), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw error;
+  }
+
+  const groups = JSON.parse(content);
+  const problems = validateDomainGroups(groups);
+  if (problems.length > 0) {
+    throw new Error(`Invalid domain groups in ${filePath}: ${problems.join('; ')}`);
+  }
+  logger.debug({ groups: Object.keys(groups) }, 'Domain groups loaded');
+  return groups;
+}
+
+/**
+ * List the groups a domain belongs to.
+ *
+ * @param {string} domainName - Domain name
+ * @param {DomainGroups} groups - Group definitions
+ * @returns {string[]} Names of matching groups
+ */
+export function getDomainGroups(domainName, groups) {
+  return Object.entries(groups)
+    .filter(([, patterns]) => patterns.some((p) => matchesDomainPattern(domainName, p)))
+    .map(([name]) => name);
+}
+
+/**
+ * Check whether a domain is selected by name/pattern or group membership.
+ *
+ * @param {string} domainName - Domain name
+ * @param {DomainSelector} selector - Domains and groups to match
+ * @param {DomainGroups} groups - Group definitions
+ * @returns {boolean}
+ */
+export function isDomainSelected(domainName, { domains = [], groups: groupNames = [] }, groups) {
+  return domains.some((p) => matchesDomainPattern(domainName, p)) ||
+    groupNames.some((name) =>
+      (groups[name] || []).some((p) => matchesDomainPattern(domainName, p)));
+}
@@ -1,19 +1,42 @@
 import { getZone } from './autodns-client.js';
-import { getSPFRecord, updateDomainSPFRecord } from './spf.js';
+import { ZoneChangeset, commitChangeset } from './zone-changeset.js';
+import {
+  getSPFRecords,
+  findSpfRecordProblems,
+  isLegacySpfRecord,
+  stageDomainSPFRecord,
+} from './spf.js';
+import { validateSpfSyntax } from './spf-parser.js';
+import {
+  analyzeSpf,
+  formatSpfLookupSummary,
+  formatSpfTree,
+  SPF_LOOKUP_LIMIT,
+} from './spf-analyzer.js';
+import { formatSpfDriftReport, formatSpfSafetyReport } from './spf-drift.js';
 import {
   getDMARCRecord,
-  normalizeDMARC,
-  updateDomainDMARCRecord,
-  addDMARCReportAuthRecord,
+  compareDmarcRecords,
+  checkDMARCReportDestinations,
+  stageDomainDMARCRecord,
+  stageDMARCReportAuthRecord,
 } from './dmarc.js';
 import {
   checkDKIMRecords,
   listZoneDKIMRecords,
-  updateDomainDKIMRecord,
+  stageDomainDKIMRecord,
   loadDkimConfig,
   saveDkimConfig,
 } from './dkim.js';
 import { getARecords, getAAAARecords, getMXRecords } from './dns-operations.js';
+import { loadDomainGroups } from './domain-groups.js';
+import { loadZoneTemplates, getDomainTemplates, stageZoneTemplates } from './zone-templates.js';
+import {
+  loadSpfPolicies,
+  getDomainSpfPolicy,
+  getExpectedSpfRecord,
+  compareSpfRecords,
+} from './spf-policies.js';
 import {
   checkNS,
   checkSOA,
@@ -26,16 +49,21 @@ import {
   usesAutoDNSNameservers,
 } from './health-checks.js';
 import { colors, formatTimestamp } from '../utils/helpers.js';
-import { config } from './config.js';
+import { auditConfigChange } from '../utils/audit.js';
+import { config, getAccount, getAuditContext } from './config.js';
 
 /**
  * Process and check all domains
- * @param {object} data - API response with domain data
+ * @param {object} data - API response with domain data (domains tagged with
+ *   their account name, plus `accountErrors` for accounts that failed)
  * @param {string} originalSpf - Original SPF value
  * @param {object} spfData - SPF data object with mainRecord, chunkRecords, needsSplit
+ * @param {import('./spf-drift.js').SpfDrift} [spfDrift] - Changes since the last flattening
+ * @param {import('./spf-drift.js').SpfSafetyCheck} [spfSafety] - Safety guard result; a
+ *   refused flattening is reported and counts as a failure
  * @returns {Promise<{reportContent: string, hasFailures: boolean}>} Report content and failure flag
  */
-export async function processDomains(data, originalSpf, spfData) {
+export async function processDomains(data, originalSpf, spfData, spfDrift, spfSafety) {
   // Check for errors
   if (!data || data.status?.type === 'ERROR') {
     console.log(
@@ -103,23 +131,62 @@ export async function processDomains(data, originalSpf, spfData) {
   // Load desired DKIM config
   const dkimConfig = await loadDkimConfig();
 
+  // Load zone templates, SPF policies and the domain groups they are assigned by;
+  // DMARC report destinations are checked against all domains of the accounts
+  const domainSettings = {
+    groups: {},
+    zoneTemplates: { templates: {}, assignments: [] },
+    spfPolicies: null,
+    managedDomains: [
+      ...(data.data || []).map((d) => d.name || d.origin),
+      config.dmarcReportAuthDomain,
+    ].filter(Boolean),
+  };
+  let templateLoadError = null;
+  let spfPolicyLoadError = null;
+  try {
+    domainSettings.groups = await loadDomainGroups();
+    domainSettings.zoneTemplates = await loadZoneTemplates(domainSettings.groups);
+  } catch (error) {
+    templateLoadError = error;
+    console.error(`Failed to load zone templates: ${error.message}\n`);
+  }
+  try {
+    domainSettings.spfPolicies = await loadSpfPolicies(domainSettings.groups);
+  } catch (error) {
+    // Without its policies no domain's SPF can be checked safely
+    spfPolicyLoadError = error;
+    console.error(`Failed to load SPF policies: ${error.message}\n`);
+  }
+  if (domainSettings.zoneTemplates.assignments.length > 0) {
+    failuresByType.TEMPLATES = [];
+  }
+
   // Ensure all domains have an entry in dkimConfig with default selector
-  let configUpdated = false;
+  const addedDkimEntries = {};
   for (const domain of domains) {
     const domainName = domain.name || domain.origin;
     if (!dkimConfig[domainName]) {
       dkimConfig[domainName] = { default: '' };
-      configUpdated = true;
+      addedDkimEntries[domainName] = dkimConfig[domainName];
     }
   }
 
   // Save updated config if new domains were added
-  if (configUpdated) {
+  if (Object.keys(addedDkimEntries).length > 0) {
+    const audit = {
+      configKey: config.dkimConfigPath,
+      before: {},
+      after: addedDkimEntries,
+      metadata: getAuditContext(),
+    };
     try {
       await saveDkimConfig(dkimConfig);
       console.log('Updated dkim.config.json with new domains\n');
+      await auditConfigChange({ ...audit, success: true });
     } catch (e) {
       console.error('Failed to save dkim.config.json:', e.message);
+      await auditConfigChange({ ...audit, success: false, error: e.message });
     }
   }
 
@@ -130,7 +197,8 @@ export async function processDomains(data, originalSpf, spfData) {
 
     try {
       console.log(`Processing ${domainName}...`);
-      const result = await checkDomain(domainName, dkimConfig);
+      const account = getAccount(domain.account);
+      const result = await checkDomain(domainName, dkimConfig, account, domainSettings);
 
       // Parse health summary
       const healthParts = {};
@@ -162,6 +230,9 @@ export async function processDomains(data, originalSpf, spfData) {
       if (healthParts.CAA === 'fail') {
         failuresByType.CAA.push(domainName);
       }
+      if (isFailureStatus(result.templateStatus)) {
+        failuresByType.TEMPLATES.push(domainName);
+      }
 
       // Check for any failures or errors (SPF/DMARC/DKIM and A/AAAA;
       // MTA, TLS, PTR are informational only and don't trigger email)
@@ -169,6 +240,7 @@ export async function processDomains(data, originalSpf, spfData) {
         isFailureStatus(result.spfStatus) ||
         isFailureStatus(result.dmarcStatus) ||
         isFailureStatus(result.dkimStatus) ||
+        isFailureStatus(result.templateStatus) ||
         aStatus === 'fail' ||
         aaaaStatus === 'fail'
       ) {
@@ -183,11 +255,14 @@ export async function processDomains(data, originalSpf, spfData) {
       console.log('');
     } catch (err) {
       const msg = err?.message || String(err);
-      console.error(`${timestamp} ${domainName}`);
-      console.error(`    ERROR: processing failed: ${msg}`);
+      const errorLines = [
+        `${timestamp} ${domainName}`,
+        ...formatAccountLines(domain.account),
+        `    ERROR: processing failed: ${msg}`,
+      ];
+      errorLines.forEach((line) => console.error(line));
       console.log(''); // Empty line
-      domainDetailsOutput += `${timestamp} ${domainName}\n`;
-      domainDetailsOutput += `    ERROR: processing failed: ${msg}\n\n`;
+      domainDetailsOutput += `${errorLines.join('\n')}\n\n`;
       hasFailures = true; // Mark as failure due to processing error
       counts.spf.error++;
       counts.dmarc.error++;
@@ -231,6 +306,31 @@ export async function processDomains(data, originalSpf, spfData) {
     reportContent += '\n';
   }
 
+  // Accounts whose domains could not be queried at all
+  const accountErrors = data.accountErrors || [];
+  if (accountErrors.length > 0) {
+    hasFailures = true;
+    reportContent += '==============\nAccount Errors\n==============\n';
+    for (const { account, error } of accountErrors) {
+      reportContent += `  - ${account}: ${error}\n`;
+    }
+    reportContent += '\n';
+  }
+
+  // Templates file that could not be loaded (no template was checked)
+  if (templateLoadError) {
+    hasFailures = true;
+    reportContent += '====================\nZone Template Errors\n====================\n';
+    reportContent += `  - ${templateLoadError.message}\n\n`;
+  }
+
+  // SPF policies file that could not be loaded (no SPF was checked)
+  if (spfPolicyLoadError) {
+    hasFailures = true;
+    reportContent += '=================\nSPF Policy Errors\n=================\n';
+    reportContent += `  - ${spfPolicyLoadError.message}\n\n`;
+  }
+
   // Section 3: Domain Check Results
   reportContent += `Expected SPF:   ${config.expectedSpf}\n`;
   reportContent += `Expected DMARC: ${config.expectedDmarc}\n\n`;
@@ -251,6 +351,18 @@ export async function processDomains(data, originalSpf, spfData) {
     } else {
       reportContent += `Flattened (single record):\n${spfData.mainRecord}\n`;
     }
+    if (spfData.lookups !== undefined) {
+      reportContent += `\nDNS lookups: ${spfData.lookups}/${SPF_LOOKUP_LIMIT}\n`;
+    }
+  }
+
+  if (spfDrift) {
+    reportContent += formatSpfDriftReport(spfDrift);
+  }
+
+  if (spfSafety && !spfSafety.safe) {
+    hasFailures = true;
+    reportContent += formatSpfSafetyReport(spfSafety);
   }
 
   return { reportContent, hasFailures };
@@ -263,18 +375,18 @@ export async function processDomains(data, originalSpf, spfData) {
  * or missing (no record). Populates the result object's checkConsole, record, and
  * status fields for the given label.
  *
- * @param {string|null} current - Current parsed value (normalized for comparison)
- * @param {string} expected - Expected value (normalized)
+ * @param {Object} comparison - Outcome of comparing the record with the expected value
+ * @param {string|null} comparison.current - Current record (null if there is none)
+ * @param {boolean} comparison.matches - Whether it matches the expected value
+ * @param {string[]} [comparison.differences] - What differs, shown with the record
  * @param {'spf'|'dmarc'} label - Lowercase protocol label
  * @param {Object} result - Check-domain result object (populated in place)
- * @param {string} [displayValue] - Original value for display (falls back to current)
  * @returns {{needsUpdate: boolean, currentValue: string}}
  */
-function evaluateCheckResult(current, expected, label, result, displayValue) {
-  const shown = displayValue !== undefined ? displayValue : current;
+function evaluateCheckResult({ current, matches, differences = [] }, label, result) {
   const upper = label.toUpperCase();
 
-  if (current === expected) {
+  if (matches) {
     result[`${label}CheckConsole`] = `${colors.green}✓${colors.reset}`;
     result[`${label}Record`] = `${upper}: Correct`;
     result[`${label}Status`] = 'ok';
@@ -283,15 +395,123 @@ function evaluateCheckResult(current, expected, label, result, displayValue) {
 
   result[`${label}CheckConsole`] = `${colors.red}✗${colors.reset}`;
   if (current) {
-    result[`${label}Record`] = `${upper}: ${shown}`;
+    const details = differences.length > 0 ? ` (${differences.join('; ')})` : '';
+    result[`${label}Record`] = `${upper}: ${current}${details}`;
     result[`${label}Status`] = 'needs-update';
-    return { needsUpdate: true, currentValue: shown };
+    return { needsUpdate: true, currentValue: current };
   }
   result[`${label}Record`] = `${upper}: No record`;
   result[`${label}Status`] = 'needs-update';
   return { needsUpdate: true, currentValue: `No ${upper} record` };
 }
 
+/**
+ * Report the external DMARC report destinations that lack authorization or
+ * are not under our control, and fail a matching DMARC check for
+ * destinations that do not authorize the domain.
+ *
+ * Missing authorizations in DMARC_REPORT_AUTH_DOMAIN are not failures: the
+ * caller adds them.
+ *
+ * @param {import('./dmarc.js').DmarcReportDestination[]} destinations - Result of
+ *   checkDMARCReportDestinations
+ * @param {Object} result - Check-domain result object (populated in place)
+ * @returns {boolean} Whether the authorization record in DMARC_REPORT_AUTH_DOMAIN
+ *   must be added
+ */
+function evaluateReportDestinations(destinations, result) {
+  const findings = [];
+  let authMissing = false;
+  let unauthorized = false;
+
+  for (const { uri, host, authRecord, authorized, error, managed } of destinations) {
+    if (authorized === null) {
+      findings.push(`${uri} authorization could not be checked (${error})`);
+    } else if (!authorized && host === config.dmarcReportAuthDomain.toLowerCase()) {
+      findings.push(`${uri} not authorized yet, adding ${authRecord}`);
+      authMissing = true;
+    } else if (!authorized) {
+      findings.push(`${uri} not authorized (no v=DMARC1 record at ${authRecord})`);
+      unauthorized = true;
+    }
+    if (!managed) {
+      findings.push(`${host} is not under our control`);
+    }
+  }
+
+  result.dmarcReportAuth = [...new Set(findings)].join('; ');
+  if (unauthorized && result.dmarcStatus === 'ok') {
+    result.dmarcCheckConsole = `${colors.red}✗${colors.reset}`;
+    result.dmarcStatus = 'fail - unauthorized report destinations';
+  }
+  return authMissing;
+}
+
+/**
+ * Count the apex records of the deprecated SPF type in a domain's zone.
+ *
+ * Best effort: a zone that cannot be read counts as having none (the error
+ * surfaces when the zone is updated or its records are listed).
+ *
+ * @param {string} domainName - Domain name
+ * @param {Object} account - AutoDNS account profile owning the zone
+ * @returns {Promise<number>} Number of SPF (type 99) records
+ */
+async function countLegacySpfRecords(domainName, account) {
+  try {
+    const zone = (await getZone(domainName, account)).data?.[0];
+    return (zone?.resourceRecords ?? []).filter(isLegacySpfRecord).length;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Analyze the DNS-lookup budget of a domain's live SPF record.
+ *
+ * A record that would make receivers return permerror fails the SPF check
+ * even if it matches the expected policy; when an update is already staged
+ * the reason is only added to the displayed record. Analysis errors (e.g. a
+ * timeout) are shown but do not fail the check.
+ *
+ * @param {string} domainName - Domain name
+ * @param {string} currentSpf - The domain's SPF record
+ * @param {Object} result - Check-domain result object (populated in place)
+ * @returns {Promise<void>}
+ */
+async function checkSpfLookups(domainName, currentSpf, result) {
+  let timer;
+  let analysis;
+  try {
+    analysis = await Promise.race([
+      analyzeSpf(domainName, currentSpf),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error('SPF lookup analysis timeout')), 15000);
+      }),
+    ]);
+  } catch (error) {
+    result.spfRecord += ` (lookup analysis failed: ${error.message})`;
+    return;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  result.spfTree = formatSpfTree(analysis);
+  if (!analysis.permerror) {
+    if (result.spfStatus === 'ok') {
+      result.spfStatus = `ok (${formatSpfLookupSummary(analysis)})`;
+    }
+    return;
+  }
+
+  const reason = `permerror: ${analysis.errors.join('; ')}`;
+  result.spfCheckConsole = `${colors.red}✗${colors.reset}`;
+  result.spfRecord += ` (${reason})`;
+  if (result.spfStatus === 'ok') {
+    result.spfStatus = `fail "${reason}"`;
+  }
+}
+
 /**
  * Return true if a status string represents a failure condition.
  *
@@ -336,31 +556,107 @@ function countCheckResult(statusField, type, counts, failuresByType, domainName)
 }
 
 /**
- * Attempt to apply a DNS record update and update status fields.
+ * Record the outcome of a staged SPF/DMARC update in the result fields.
  *
  * @param {'spf'|'dmarc'} label - Lowercase protocol label
- * @param {boolean} needsUpdate - Whether an update is required
- * @param {Function} updateFn - Async function performing the update
  * @param {string} currentValue - Previous value for status message
+ * @param {Error|null} error - Commit error, or null if the commit succeeded
  * @param {Object} result - Check-domain result object (populated in place)
  */
-async function applyProtocolUpdate(label, needsUpdate, updateFn, currentValue, result) {
-  if (!needsUpdate) {
-    if (result[`${label}Status`] === 'error') {
-      result[`${label}Status`] = `error "${currentValue}"`;
+function applyProtocolUpdateResult(label, currentValue, error, result) {
+  if (!error) {
+    result[`${label}CheckConsole`] = `${colors.green}✓${colors.reset}(updated)`;
+    result[`${label}Record`] = `${label.toUpperCase()}: Correct (updated)`;
+    result[`${label}Status`] = `ok - updated from "${currentValue}"`;
+    return;
+  }
+
+  result[`${label}CheckConsole`] = `${colors.red}✗${colors.reset}(failed)`;
+  result[`${label}Status`] = `error "Update failed: ${error.message}"`;
+}
+
+/**
+ * Commit all staged changes for a domain and report them as one result.
+ *
+ * The domain's own zone is written with a single update, so SPF, DMARC and
+ * DKIM are either all fixed or all left untouched. The DMARC report
+ * authorization record lives in a different zone and is committed first;
+ * a failure there is logged but does not fail the domain.
+ *
+ * @param {ZoneChangeset} changeset - Changeset for the domain's zone
+ * @param {ZoneChangeset|null} reportAuthChangeset - Changeset for the report auth zone
+ * @param {Array<{label: 'spf'|'dmarc', currentValue: string}>} protocolUpdates
+ *   SPF/DMARC updates staged on the changeset
+ * @param {string[]} dkimUpdates - DKIM status fragments staged on the changeset
+ * @param {string[]} templateLabels - Labels of template record sets staged on
+ *   the changeset
+ * @param {Object} result - Check-domain result object (populated in place)
+ */
+async function commitDomainChanges(changeset, reportAuthChangeset, protocolUpdates,
+  dkimUpdates, templateLabels, result) {
+  if (reportAuthChangeset && !reportAuthChangeset.isEmpty()) {
+    try {
+      await commitChangeset(reportAuthChangeset);
+    } catch (error) {
+      console.error(
+        `  ${colors.red}✗${colors.reset} Failed to add DMARC report authorization: ` +
+          `${error.message}`,
+      );
     }
+  }
+
+  if (changeset.isEmpty()) {
     return;
   }
 
+  let commitError = null;
+  let changedLabels = [];
   try {
-    await updateFn();
-    result[`${label}CheckConsole`] = `${colors.green}✓${colors.reset}(updated)`;
-    result[`${label}Record`] = `${label.toUpperCase()}: Correct (updated)`;
-    result[`${label}Status`] = `ok - updated from "${currentValue}"`;
+    const commit = await commitChangeset(changeset);
+    changedLabels = [...new Set(commit.changes.map((c) => c.label))];
+    if (commit.changed) {
+      result.zoneUpdate = `updated (${changedLabels.join(', ')})`;
+    } else if (protocolUpdates.length > 0 || dkimUpdates.length > 0) {
+      result.zoneUpdate = 'unchanged';
+    }
   } catch (error) {
-    result[`${label}CheckConsole`] = `${colors.red}✗${colors.reset}(failed)`;
-    result[`${label}Status`] = `error "Update failed: ${error.message}"`;
+    commitError = error;
+    result.zoneUpdate = `error "Update failed: ${error.message}"`;
+  }
+
+  if (templateLabels.length > 0) {
+    const drifted = changedLabels.filter((label) => templateLabels.includes(label));
+    if (commitError) {
+      result.templateStatus = `error "Update failed: ${commitError.message}"`;
+    } else if (drifted.length > 0) {
+      result.templateStatus = `ok - fixed drift: ${drifted.join(', ')}`;
+    }
+  }
+
+  for (const { label, currentValue } of protocolUpdates) {
+    applyProtocolUpdateResult(label, currentValue, commitError, result);
+  }
+
+  if (dkimUpdates.length > 0) {
+    result.dkimStatus = commitError
+      ? `error "Failed to apply ${dkimUpdates.join(', ')}: ${commitError.message}"`
+      : `ok - ${dkimUpdates.join(', ')}`;
+  }
+}
+
+/**
+ * Build the account tag line for a domain entry.
+ *
+ * Only shown when more than one account profile is configured.
+ *
+ * @param {string} [accountName] - Account the domain belongs to
+ * @returns {string[]} Zero or one report line
+ */
+function formatAccountLines(accountName) {
+  if (config.accounts.length <= 1) {
+    return [];
   }
+  return [`    Account:    ${accountName || getAccount().name}`];
 }
 
 /**
@@ -377,9 +673,14 @@ async function applyProtocolUpdate(label, needsUpdate, updateFn, currentValue, r
 function formatDomainResultLines(timestamp, domainName, result, aStatus, aaaaStatus, healthParts) {
   return [
     `${timestamp} ${domainName}`,
+    ...formatAccountLines(result.account),
     `    SPF:        ${result.spfStatus}`,
+    ...(result.spfPolicy ? [`    SPF policy: ${result.spfPolicy}`] : []),
+    ...result.spfTree.map((line, i) => `${i === 0 ? '    SPF tree:   ' : ' '.repeat(16)}${line}`),
     `    DMARC:      ${result.dmarcStatus}`,
+    ...(result.dmarcReportAuth ? [`    DMARC auth: ${result.dmarcReportAuth}`] : []),
     `    DKIM:       ${result.dkimStatus}`,
+    ...(result.templateStatus ? [`    Templates:  ${result.templateStatus}`] : []),
     `    A:          ${aStatus}${result.aDisplay !== '-' ? ` - ${result.aDisplay}` : ''}`,
     `    AAAA:       ${aaaaStatus}${result.aaaaDisplay !== '-' ? ` - ${result.aaaaDisplay}` : ''}`,
     `    MX:         ${result.mxDisplay}`,
@@ -389,6 +690,7 @@ function formatDomainResultLines(timestamp, domainName, result, aStatus, aaaaSta
     `    MTA:        ${healthParts.MTA || 'unknown'}`,
     `    TLS:        ${healthParts.TLS || 'unknown'}`,
     `    PTR:        ${healthParts.PTR || 'unknown'}`,
+    ...(result.zoneUpdate ? [`    Zone:       ${result.zoneUpdate}`] : []),
   ];
 }
 
@@ -396,16 +698,30 @@ function formatDomainResultLines(timestamp, domainName, result, aStatus, aaaaSta
  * Check a single domain for SPF, DMARC, DKIM, and DNS records
  * @param {string} domainName - Domain to check
  * @param {object} dkimConfig - DKIM configuration
+ * @param {object} account - AutoDNS account profile owning the domain's zone
+ * @param {{groups: object, zoneTemplates: object, spfPolicies: object|null,
+ *   managedDomains: string[]}} [domainSettings] - Domain groups, zone templates,
+ *   SPF policies (null if they could not be loaded) and the domains under our control
  * @returns {Promise<object>} Check results
  */
-async function checkDomain(domainName, dkimConfig) {
+async function checkDomain(domainName, dkimConfig, account, domainSettings) {
+  const groups = domainSettings?.groups ?? {};
+  const templateNames = domainSettings
+    ? getDomainTemplates(domainName, domainSettings.zoneTemplates, groups)
+    : [];
+  const spfPolicies = domainSettings ? domainSettings.spfPolicies : { assignments: [] };
+  const spfPolicy = spfPolicies ? getDomainSpfPolicy(domainName, spfPolicies, groups) : null;
   const result = {
+    account: account.name,
+    spfPolicy: spfPolicy?.name ?? null,
     spfCheckConsole: '',
     spfRecord: '',
     spfStatus: '',
+    spfTree: [],
     dmarcCheckConsole: '',
     dmarcRecord: '',
     dmarcStatus: '',
+    dmarcReportAuth: '',
     dkimCheckConsole: '',
     dkimInfo: '',
     dkimStatus: '',
@@ -413,6 +729,8 @@ async function checkDomain(domainName, dkimConfig) {
     aaaaDisplay: '-',
     mxDisplay: '-',
     healthSummary: '',
+    templateStatus: '',
+    zoneUpdate: '',
   };
 
   try {
@@ -424,13 +742,16 @@ async function checkDomain(domainName, dkimConfig) {
       result.spfStatus = 'skipped - not using AutoDNS nameservers';
       result.dmarcStatus = 'skipped - not using AutoDNS nameservers';
       result.dkimStatus = 'skipped - not using AutoDNS nameservers';
+      if (templateNames.length > 0) {
+        result.templateStatus = 'skipped - not using AutoDNS nameservers';
+      }
 
       // Still get A/AAAA/MX records for display
       console.log(
         '  → Domain not using AutoDNS nameservers, skipping DNS updates',
       );
       console.log(`  → Checking A/AAAA/MX for ${domainName}`);
-      await getRecordsForDomain(domainName, result);
+      await getRecordsForDomain(domainName, result, account);
 
       // Still run health checks
       console.log(`  → Running health checks for ${domainName}`);
@@ -442,18 +763,46 @@ async function checkDomain(domainName, dkimConfig) {
     // Query SPF record
     console.log(`  → Checking SPF for ${domainName}`);
     let spfNeedsUpdate = false,
-      spfCurrentValue = '';
+      spfCurrentValue = '',
+      expectedSpf = '';
     try {
-      const currentSpf = await Promise.race([
-        getSPFRecord(domainName),
+      if (!spfPolicy) {
+        throw new Error('SPF policies could not be loaded');
+      }
+      const spfRecords = await Promise.race([
+        getSPFRecords(domainName),
         new Promise((_, reject) =>
           setTimeout(() => reject(new Error('SPF query timeout')), 5000),
         ),
       ]);
+      const currentSpf = spfRecords[0] ?? null;
+      expectedSpf = await getExpectedSpfRecord(domainName, spfPolicy, currentSpf);
+      const { equal, differences } = compareSpfRecords(currentSpf, expectedSpf);
       const spfEval = evaluateCheckResult(
-        currentSpf, config.expectedSpf, 'spf', result);
+        { current: currentSpf, matches: equal, differences }, 'spf', result);
       spfNeedsUpdate = spfEval.needsUpdate;
       spfCurrentValue = spfEval.currentValue;
+
+      // Duplicate, legacy-type and miscased records are consolidated by the fix
+      const recordProblems = findSpfRecordProblems(
+        spfRecords, await countLegacySpfRecords(domainName, account));
+      if (recordProblems.length > 0) {
+        result.spfCheckConsole = `${colors.red}✗${colors.reset}`;
+        if (equal) {
+          result.spfRecord = `SPF: ${currentSpf ?? 'No record'}`;
+        }
+        result.spfRecord += ` (${recordProblems.join('; ')})`;
+        result.spfStatus = 'needs-update';
+        spfNeedsUpdate = Boolean(expectedSpf);
+        spfCurrentValue = spfRecords.join(' | ') || 'No SPF record';
+      }
+      const syntaxErrors = currentSpf ? validateSpfSyntax(currentSpf) : [];
+      if (syntaxErrors.length > 0) {
+        result.spfRecord += ` (syntax errors: ${syntaxErrors.join('; ')})`;
+      }
+      if (currentSpf) {
+        await checkSpfLookups(domainName, currentSpf, result);
+      }
     } catch (error) {
       result.spfCheckConsole = `${colors.red}✗${colors.reset}`;
       result.spfRecord = `SPF Error: ${error.message}`;
@@ -464,16 +813,23 @@ async function checkDomain(domainName, dkimConfig) {
     // Query DMARC record
     console.log(`  → Checking DMARC for ${domainName}`);
     let dmarcNeedsUpdate = false,
-      dmarcCurrentValue = '';
+      dmarcCurrentValue = '',
+      dmarcAuthMissing = false;
     try {
       const currentDmarc = await getDMARCRecord(domainName);
-      const normalizedCurrent = normalizeDMARC(currentDmarc);
-      const normalizedExpected = normalizeDMARC(config.expectedDmarc);
+      const { equal, differences } = compareDmarcRecords(currentDmarc, config.expectedDmarc);
 
       const dmarcEval = evaluateCheckResult(
-        normalizedCurrent, normalizedExpected, 'dmarc', result, currentDmarc);
+        { current: currentDmarc, matches: equal, differences },
+        'dmarc',
+        result,
+      );
       dmarcNeedsUpdate = dmarcEval.needsUpdate;
       dmarcCurrentValue = dmarcEval.currentValue;
+
+      const destinations = await checkDMARCReportDestinations(
+        domainName, currentDmarc, domainSettings?.managedDomains ?? []);
+      dmarcAuthMissing = evaluateReportDestinations(destinations, result);
     } catch (error) {
       result.dmarcCheckConsole = `${colors.red}✗${colors.reset}`;
       result.dmarcRecord = `DMARC Error: ${error.message}`;
@@ -483,24 +839,50 @@ async function checkDomain(domainName, dkimConfig) {
 
     // Query DKIM records
     console.log(`  → Checking DKIM for ${domainName}`);
-    await checkDKIMForDomain(domainName, dkimConfig, result);
+    const changeset = new ZoneChangeset(domainName, account);
+    const dkimUpdates = await checkDKIMForDomain(
+      domainName, dkimConfig, result, changeset);
+
+    // Stage SPF/DMARC fixes and commit them together with DKIM
+    const protocolUpdates = [];
+    if (spfNeedsUpdate) {
+      stageDomainSPFRecord(changeset, expectedSpf);
+      protocolUpdates.push({ label: 'spf', currentValue: spfCurrentValue });
+    } else if (result.spfStatus === 'error') {
+      result.spfStatus = `error "${spfCurrentValue}"`;
+    }
+
+    let reportAuthChangeset = null;
+    if ((dmarcNeedsUpdate || dmarcAuthMissing) && config.dmarcReportAuthDomain) {
+      reportAuthChangeset = new ZoneChangeset(config.dmarcReportAuthDomain);
+      stageDMARCReportAuthRecord(reportAuthChangeset, domainName);
+    }
+    if (dmarcNeedsUpdate) {
+      stageDomainDMARCRecord(changeset, config.expectedDmarc);
+      protocolUpdates.push({ label: 'dmarc', currentValue: dmarcCurrentValue });
+    } else if (result.dmarcStatus === 'error') {
+      result.dmarcStatus = `error "${dmarcCurrentValue}"`;
+    }
 
-    // Update SPF record if needed
-    await applyProtocolUpdate('spf', spfNeedsUpdate,
-      () => updateDomainSPFRecord(domainName, config.expectedSpf),
-      spfCurrentValue, result);
+    // Stage the record sets of assigned zone templates
+    let templateLabels = [];
+    if (templateNames.length > 0) {
+      console.log(`  → Checking zone templates for ${domainName}`);
+      try {
+        templateLabels = stageZoneTemplates(
+          changeset, domainName, templateNames, domainSettings.zoneTemplates);
+        result.templateStatus = `ok (${templateNames.join(', ')})`;
+      } catch (error) {
+        result.templateStatus = `error "${error.message}"`;
+      }
+    }
 
-    // Update DMARC record if needed
-    await applyProtocolUpdate('dmarc', dmarcNeedsUpdate,
-      async () => {
-        await addDMARCReportAuthRecord(domainName);
-        await updateDomainDMARCRecord(domainName, config.expectedDmarc);
-      },
-      dmarcCurrentValue, result);
+    await commitDomainChanges(changeset, reportAuthChangeset, protocolUpdates,
+      dkimUpdates, templateLabels, result);
 
     // Get A/AAAA/MX records
     console.log(`  → Checking A/AAAA/MX for ${domainName}`);
-    await getRecordsForDomain(domainName, result);
+    await getRecordsForDomain(domainName, result, account);
 
     // Extended DNS health checks (best-effort, no throw)
     console.log(`  → Running health checks for ${domainName}`);
@@ -528,12 +910,14 @@ async function checkDomain(domainName, dkimConfig) {
 }
 
 /**
- * Check DKIM for a domain
+ * Check DKIM for a domain and stage missing or outdated selectors
  * @param {string} domainName - Domain name
  * @param {object} dkimConfig - DKIM configuration
  * @param {object} result - Result object to populate
+ * @param {ZoneChangeset} changeset - Changeset for the domain's zone
+ * @returns {Promise<string[]>} Status fragments for staged selector changes
  */
-async function checkDKIMForDomain(domainName, dkimConfig, result) {
+async function checkDKIMForDomain(domainName, dkimConfig, result, changeset) {
   const desiredFromConfig = dkimConfig[domainName] || {};
   const hasNonEmptyValues = Object.values(desiredFromConfig).some(
     (v) => v && v.trim() !== '',
@@ -543,12 +927,12 @@ async function checkDKIMForDomain(domainName, dkimConfig, result) {
     result.dkimCheckConsole = `${colors.gray}-${colors.reset}`;
     result.dkimInfo = 'DKIM: Skipped';
     result.dkimStatus = 'skipped';
-    return;
+    return [];
   }
 
   let dkimResults = await checkDKIMRecords(domainName);
   if (dkimResults.length === 0) {
-    const zoneDkim = await listZoneDKIMRecords(domainName);
+    const zoneDkim = await listZoneDKIMRecords(domainName, changeset.account);
     if (zoneDkim.length > 0) {
       dkimResults = zoneDkim;
     }
@@ -565,49 +949,36 @@ async function checkDKIMForDomain(domainName, dkimConfig, result) {
     result.dkimStatus = 'fail "No DKIM records found"';
   }
 
-  // Ensure missing or mismatched selectors are created/updated
+  // Stage missing or mismatched selectors for creation/update
+  const dkimUpdates = [];
+  const normalize = (s) => (s || '').replace(/\s+/g, ' ').trim();
   for (const [selector, desiredValue] of Object.entries(desiredFromConfig)) {
     if (!desiredValue || desiredValue.trim() === '') {
       continue;
     }
 
     const found = dkimResults.find((r) => r.selector === selector);
-    const normalize = (s) => (s || '').replace(/\s+/g, ' ').trim();
-
     if (!found) {
-      const ok = await updateDomainDKIMRecord(
-        domainName,
-        selector,
-        desiredValue,
-      );
-      if (ok) {
-        result.dkimStatus = `ok - created selector ${selector}`;
-      } else {
-        result.dkimStatus = `error "Failed to create selector ${selector}"`;
-      }
+      stageDomainDKIMRecord(changeset, selector, desiredValue);
+      dkimUpdates.push(`created selector ${selector}`);
     } else if (normalize(found.fullValue) !== normalize(desiredValue)) {
-      const ok = await updateDomainDKIMRecord(
-        domainName,
-        selector,
-        desiredValue,
-      );
-      if (ok) {
-        result.dkimStatus = `ok - updated selector ${selector}`;
-      } else {
-        result.dkimStatus = `error "Failed to update selector ${selector}"`;
-      }
+      stageDomainDKIMRecord(changeset, selector, desiredValue);
+      dkimUpdates.push(`updated selector ${selector}`);
     }
   }
+
+  return dkimUpdates;
 }
 
 /**
  * Get A, AAAA, and MX records for a domain
  * @param {string} domainName - Domain name
  * @param {object} result - Result object to populate
+ * @param {object} account - AutoDNS account profile owning the zone
  */
-async function getRecordsForDomain(domainName, result) {
+async function getRecordsForDomain(domainName, result, account) {
   try {
-    const zoneInfo = await getZone(domainName);
+    const zoneInfo = await getZone(domainName, account);
     if (
       zoneInfo.data &&
       Array.isArray(zoneInfo.data) &&
@@ -0,0 +1,152 @@
+/**
+ * Pre-change zone snapshots.
+ *
+ * Before a zone is written, its full JSON is stored under
+ * `<SNAPSHOT_DIR>/<runId>/<account>/<zone>.json`. Only the first snapshot of
+ * a zone per run is kept, so it always holds the state from before the run
+ * touched the zone, which is what a rollback restores.
+ *
+ * @module lib/snapshots
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from './config.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * @typedef {Object} ZoneSnapshot
+ * @property {string} runId - Run that took the snapshot
+ * @property {string} account - Account profile owning the zone
+ * @property {string} zoneName - Zone name
+ * @property {string} takenAt - ISO 8601 timestamp
+ * @property {Object} zone - Full zone object as returned by the AutoDNS API
+ */
+
+/**
+ * Pattern for identifiers used as path segments (run IDs, account names)
+ */
+const SAFE_SEGMENT = /^[A-Za-z0-9._-]+$/;
+
+/**
+ * Make an identifier safe to use as a single path segment.
+ *
+ * @param {string} value - Identifier
+ * @returns {string} Identifier with unsafe characters replaced
+ */
+function toPathSegment(value) {
+  const segment = String(value).replace(/[^A-Za-z0-9._-]/g, '_');
+  return segment.replace(/^\.+/, '_');
+}
+
+/**
+ * Check whether a run ID can safely be used to locate snapshots.
+ *
+ * @param {string} runId - Run ID to check
+ * @returns {boolean} True if the run ID is a plain path segment
+ */
+export function isValidRunId(runId) {
+  return typeof runId === 'string' && SAFE_SEGMENT.test(runId) &&
+    !runId.startsWith('.');
+}
+
+/**
+ * Save the pre-change state of a zone for the current run.
+ *
+ * Keeps the first snapshot of each zone per run; later calls for the same
+ * zone are no-ops.
+ *
+ * @async
+ * @param {string} zoneName - Sanitized zone name
+ * @param {Object} zone - Full zone object to store
+ * @param {string} accountName - Account profile owning the zone
+ * @param {string} [runId] - Run ID (defaults to the current run)
+ * @returns {Promise<string|null>} Path of the new snapshot, or null if one existed
+ * @throws {Error} If the snapshot cannot be written
+ */
+export async function saveZoneSnapshot(zoneName, zone, accountName, runId = config.runId) {
+  const dir = path.join(config.snapshotDir, toPathSegment(runId), toPathSegment(accountName));
+  const file = path.join(dir, `${toPathSegment(zoneName)}.json`);
+
+  /** @type {ZoneSnapshot} */
+  const snapshot = {
+    runId,
+    account: accountName,
+    zoneName,
+    takenAt: new Date().toISOString(),
+    zone,
+  };
+
+  await fs.mkdir(dir, { recursive: true });
+  try {
+    await fs.writeFile(file, JSON.stringify(snapshot, null, 2), { encoding: 'utf8', flag: 'wx' });
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      return null;
+    }
+    throw error;
+  }
+
+  logger.debug({ zone: zoneName, account: accountName, file }, 'Zone snapshot saved');
+  return file;
+}
+
+/**
+ * List run IDs that have snapshots, newest first.
+ *
+ * @async
+ * @returns {Promise<string[]>} Run IDs
+ */
+export async function listSnapshotRuns() {
+  try {
+    const entries = await fs.readdir(config.snapshotDir, { withFileTypes: true });
+    return entries
+      .filter((e) => e.isDirectory())
+      .map((e) => e.name)
+      .sort()
+      .reverse();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Load all zone snapshots taken by a run.
+ *
+ * @async
+ * @param {string} runId - Run ID
+ * @returns {Promise<ZoneSnapshot[]>} Snapshots, sorted by account and zone
+ * @throws {Error} If the run ID is invalid or a snapshot cannot be parsed
+ */
+export async function loadRunSnapshots(runId) {
+  if (!isValidRunId(runId)) {
+    throw new Error(`Invalid run ID: ${runId}`);
+  }
+
+  const runDir = path.join(config.snapshotDir, runId);
+  const snapshots = [];
+
+  let accountDirs;
+  try {
+    accountDirs = await fs.readdir(runDir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  for (const accountDir of accountDirs.filter((e) => e.isDirectory())) {
+    const files = await fs.readdir(path.join(runDir, accountDir.name));
+    for (const file of files.filter((f) => f.endsWith('.json'))) {
+      const content = await fs.readFile(path.join(runDir, accountDir.name, file), 'utf8');
+      snapshots.push(JSON.parse(content));
+    }
+  }
+
+  return snapshots.sort((a, b) =>
+    a.account.localeCompare(b.account) || a.zoneName.localeCompare(b.zoneName));
+}
@@ -0,0 +1,281 @@
+/**
+ * SPF DNS-lookup budget and void-lookup analysis.
+ *
+ * Walks the include/redirect/a/mx/ptr/exists tree of an SPF record the way
+ * a receiver does when no mechanism matches (the worst case), counting the
+ * DNS lookups RFC 7208 section 4.6.4 limits to 10 and the void lookups
+ * (NXDOMAIN or empty answer) it limits to 2. Exceeding either limit, a syntax
+ * error anywhere in the tree, an include/redirect target without exactly one
+ * SPF record or an MX set of more than 10 hosts makes receivers return
+ * permerror for the domain.
+ *
+ * @module lib/spf-analyzer
+ * @see https://www.rfc-editor.org/rfc/rfc7208#section-4.6.4
+ */
+
+import {
+  resolveTxt,
+  resolve4,
+  resolve6,
+  resolveMx,
+  queryDnsRecords,
+} from './dns-operations.js';
+import { parseSpfRecord, hasMacros } from './spf-parser.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Maximum number of DNS-querying terms per SPF evaluation
+ */
+export const SPF_LOOKUP_LIMIT = 10;
+
+/**
+ * Maximum number of lookups returning no records per SPF evaluation
+ */
+export const SPF_VOID_LOOKUP_LIMIT = 2;
+
+/**
+ * Maximum number of MX hosts an mx mechanism may resolve
+ */
+const SPF_MX_HOST_LIMIT = 10;
+
+/**
+ * Mechanisms that count against the lookup limit
+ */
+const LOOKUP_MECHANISMS = new Set(['include', 'a', 'mx', 'ptr', 'exists']);
+
+/**
+ * @typedef {Object} SpfTreeNode
+ * @property {string} term - Term causing the lookup (the domain for the root)
+ * @property {string|null} domain - Queried domain (null if not evaluated)
+ * @property {string|null} record - SPF record of the root and include/redirect targets
+ * @property {number|null} lookup - Running lookup number (null for the root)
+ * @property {boolean} void - Whether the lookup returned no records
+ * @property {string|null} note - Problem or remark for this term
+ * @property {SpfTreeNode[]} children - Lookups of an included or redirected record
+ */
+
+/**
+ * @typedef {Object} SpfAnalysis
+ * @property {string} domain - Analyzed domain
+ * @property {number} lookups - DNS lookups counted
+ * @property {number} voidLookups - Void lookups counted
+ * @property {boolean} permerror - Whether receivers would return permerror
+ * @property {string[]} errors - Reasons for the permerror
+ * @property {string[]} warnings - DNS errors and terms that could not be evaluated
+ * @property {SpfTreeNode} tree - Lookup tree
+ */
+
+/**
+ * Create a tree node.
+ *
+ * @param {string} term - Term text
+ * @param {number|null} lookup - Lookup number
+ * @returns {SpfTreeNode}
+ */
+function createNode(term, lookup) {
+  return { term, domain: null, record: null, lookup, void: false, note: null, children: [] };
+}
+
+/**
+ * Resolve the SPF record of an include or redirect target and analyze it.
+ *
+ * @param {SpfTreeNode} node - Node of the include/redirect term
+ * @param {Object} state - Analysis state
+ */
+async function analyzeTarget(node, state) {
+  const target = node.domain.toLowerCase().replace(/\.$/, '');
+  if (state.stack.includes(target)) {
+    node.note = 'loop';
+    state.errors.push(`${node.term}: include loop`);
+    return;
+  }
+
+  const txt = await queryDnsRecords(resolveTxt, node.domain);
+  node.void = txt.length === 0;
+  const records = txt.map((r) => r.join('')).filter((r) => /^v=spf1(\s|$)/i.test(r));
+
+  if (records.length !== 1) {
+    node.note = records.length === 0 ? 'no SPF record' : `${records.length} SPF records`;
+    state.errors.push(`${node.term}: ${node.note} at ${node.domain}`);
+    return;
+  }
+
+  node.record = records[0];
+  state.stack.push(target);
+  await analyzeRecord(node.domain, node.record, node, state);
+  state.stack.pop();
+}
+
+/**
+ * Perform the lookup of a single term.
+ *
+ * @param {string} domain - Domain whose record contains the term
+ * @param {string} term - Term text
+ * @param {string} mechanism - Mechanism name, or 'redirect'
+ * @param {string|null} domainSpec - Target domain-spec
+ * @param {Object} state - Analysis state
+ * @returns {Promise<SpfTreeNode>}
+ */
+async function analyzeTerm(domain, term, mechanism, domainSpec, state) {
+  state.lookups++;
+  const node = createNode(term, state.lookups);
+  const target = domainSpec ?? domain;
+
+  if (hasMacros(target)) {
+    node.note = 'not evaluated (macro)';
+    state.warnings.push(`${term}: depends on the sender, not evaluated`);
+    return node;
+  }
+  node.domain = target;
+
+  try {
+    if (mechanism === 'include' || mechanism === 'redirect') {
+      await analyzeTarget(node, state);
+    } else if (mechanism === 'a') {
+      const addresses = [
+        ...(await queryDnsRecords(resolve4, target)),
+        ...(await queryDnsRecords(resolve6, target)),
+      ];
+      node.void = addresses.length === 0;
+    } else if (mechanism === 'mx') {
+      const hosts = await queryDnsRecords(resolveMx, target);
+      node.void = hosts.length === 0;
+      if (hosts.length > SPF_MX_HOST_LIMIT) {
+        node.note = `${hosts.length} MX hosts`;
+        state.errors.push(`${term}: more than ${SPF_MX_HOST_LIMIT} MX hosts at ${target}`);
+      }
+    } else if (mechanism === 'exists') {
+      node.void = (await queryDnsRecords(resolve4, target)).length === 0;
+    } else if (mechanism === 'ptr') {
+      node.note = 'not evaluated (depends on the client IP)';
+      state.warnings.push(`${term}: ptr is deprecated (RFC 7208 section 5.5)`);
+    }
+  } catch (error) {
+    node.note = `temperror (${error.code || error.message})`;
+    state.warnings.push(`${term}: DNS error ${error.code || error.message}`);
+  }
+
+  if (node.void) {
+    state.voidLookups++;
+    node.note ??= 'void';
+  }
+  return node;
+}
+
+/**
+ * Analyze the lookup terms of a record and append them to its node.
+ *
+ * @param {string} domain - Domain owning the record
+ * @param {string} record - SPF record
+ * @param {SpfTreeNode} node - Node of the record
+ * @param {Object} state - Analysis state
+ */
+async function analyzeRecord(domain, record, node, state) {
+  const parsed = parseSpfRecord(record);
+  for (const error of parsed.errors) {
+    state.errors.push(`${domain}: ${error.message}`);
+  }
+
+  for (const term of parsed.mechanisms) {
+    if (LOOKUP_MECHANISMS.has(term.mechanism)) {
+      node.children.push(
+        await analyzeTerm(domain, term.raw, term.mechanism, term.domainSpec, state));
+    }
+  }
+
+  // redirect is ignored when the record has an all mechanism (section 6.1)
+  const hasAll = parsed.mechanisms.some((m) => m.mechanism === 'all');
+  if (parsed.redirect && !hasAll) {
+    node.children.push(await analyzeTerm(
+      domain, `redirect=${parsed.redirect}`, 'redirect', parsed.redirect, state));
+  }
+}
+
+/**
+ * Analyze the DNS-lookup budget of a domain's SPF record.
+ *
+ * @async
+ * @param {string} domain - Domain publishing the record
+ * @param {string} record - The domain's SPF record
+ * @returns {Promise<SpfAnalysis>} Lookup counts, permerror reasons and tree
+ *
+ * @example
+ * const analysis = await analyzeSpf('example.com', 'v=spf1 include:_spf.google.com -all');
+ * analysis.lookups; // 4
+ * analysis.permerror; // false
+ */
+export async function analyzeSpf(domain, record) {
+  const state = {
+    lookups: 0,
+    voidLookups: 0,
+    errors: [],
+    warnings: [],
+    stack: [domain.toLowerCase().replace(/\.$/, '')],
+  };
+  const tree = createNode(domain, null);
+  tree.domain = domain;
+  tree.record = record;
+
+  await analyzeRecord(domain, record, tree, state);
+
+  if (state.lookups > SPF_LOOKUP_LIMIT) {
+    state.errors.push(
+      `${state.lookups} DNS lookups exceed the limit of ${SPF_LOOKUP_LIMIT}`);
+  }
+  if (state.voidLookups > SPF_VOID_LOOKUP_LIMIT) {
+    state.errors.push(
+      `${state.voidLookups} void lookups exceed the limit of ${SPF_VOID_LOOKUP_LIMIT}`);
+  }
+
+  logger.debug(
+    { domain, lookups: state.lookups, voidLookups: state.voidLookups, errors: state.errors },
+    'SPF lookup analysis complete',
+  );
+
+  return {
+    domain,
+    lookups: state.lookups,
+    voidLookups: state.voidLookups,
+    permerror: state.errors.length > 0,
+    errors: state.errors,
+    warnings: state.warnings,
+    tree,
+  };
+}
+
+/**
+ * Summarize the lookup counts of an analysis.
+ *
+ * @param {SpfAnalysis} analysis - Analysis result
+ * @returns {string} e.g. "4/10 DNS lookups, 0/2 void"
+ */
+export function formatSpfLookupSummary(analysis) {
+  return `${analysis.lookups}/${SPF_LOOKUP_LIMIT} DNS lookups, ` +
+    `${analysis.voidLookups}/${SPF_VOID_LOOKUP_LIMIT} void`;
+}
+
+/**
+ * Render the lookup tree as indented lines.
+ *
+ * @param {SpfAnalysis} analysis - Analysis result
+ * @returns {string[]} One line per term, starting with the analyzed domain
+ *
+ * @example
+ * // example.com (2/10 DNS lookups, 0/2 void)
+ * //   #1 include:_spf.example.net
+ * //     #2 a:mail.example.net
+ */
+export function formatSpfTree(analysis) {
+  const lines = [`${analysis.domain} (${formatSpfLookupSummary(analysis)})`];
+
+  const walk = (node, depth) => {
+    for (const child of node.children) {
+      const note = child.note ? ` [${child.note}]` : '';
+      lines.push(`${'  '.repeat(depth)}#${child.lookup} ${child.term}${note}`);
+      walk(child, depth + 1);
+    }
+  };
+  walk(analysis.tree, 1);
+
+  return lines;
+}
@@ -0,0 +1,232 @@
+/**
+ * SPF flattening drift detection and safety guard.
+ *
+ * The result of every published flattening is stored in SPF_STATE_PATH. The
+ * next run compares its freshly resolved mechanisms with the stored ones, per
+ * term of MAIN_SPF_RECORD_VALUE, so the report shows which provider added or
+ * removed ranges. The safety guard refuses to publish a flattening that is
+ * incomplete (a target failed to resolve) or that collapsed compared to the
+ * stored one.
+ *
+ * @module lib/spf-drift
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from './config.js';
+import { SPF_LOOKUP_LIMIT } from './spf-analyzer.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * @typedef {Object} SpfState
+ * @property {string} updatedAt - ISO 8601 timestamp of the flattening
+ * @property {string} baseRecord - Flattened base record (MAIN_SPF_RECORD_VALUE)
+ * @property {string} mainRecord - Main record value
+ * @property {string[]} chunkRecords - Chunk record values
+ * @property {Object<string, string[]>} sources - Flattened mechanisms per base record term
+ * @property {Object<string, string[]>} [pinned] - Mechanisms of includes in `pin` mode
+ * @property {import('./spf.js').RetiredSpfChunks} [retiredChunks] - Chunk records
+ *   waiting for removal
+ */
+
+/**
+ * @typedef {Object} SpfSourceChange
+ * @property {string} source - Term of the base record (e.g. include:_spf.google.com)
+ * @property {string[]} added - Mechanisms the source added
+ * @property {string[]} removed - Mechanisms the source removed
+ */
+
+/**
+ * @typedef {Object} SpfDrift
+ * @property {boolean} baseline - No previous state was stored
+ * @property {string|null} previousAt - Timestamp of the previous flattening
+ * @property {SpfSourceChange[]} sources - Sources whose mechanisms changed
+ * @property {boolean} recordChanged - Main or chunk record values changed
+ */
+
+/**
+ * Load the state of the last flattening.
+ *
+ * @async
+ * @param {string} [filePath] - State file (defaults to SPF_STATE_PATH)
+ * @returns {Promise<SpfState|null>} Stored state, or null if there is none
+ * @throws {Error} If the file cannot be read or parsed
+ */
+export async function loadSpfState(filePath = config.spfStatePath) {
+  try {
+    const content = await fs.readFile(path.resolve(process.cwd(), filePath), 'utf8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Store the state of a flattening.
+ *
+ * @async
+ * @param {string} baseRecord - Flattened base record
+ * @param {Object} spfData - Result of buildFlattenedSpfRecord, with the
+ *   `retiredChunks` returned by updateMainSPFRecord
+ * @param {string} [filePath] - State file (defaults to SPF_STATE_PATH)
+ * @returns {Promise<void>}
+ * @throws {Error} If the file cannot be written
+ */
+export async function saveSpfState(baseRecord, spfData, filePath = config.spfStatePath) {
+  /** @type {SpfState} */
+  const state = {
+    updatedAt: new Date().toISOString(),
+    baseRecord,
+    mainRecord: spfData.mainRecord,
+    chunkRecords: spfData.chunkRecords,
+    sources: spfData.sources,
+    pinned: spfData.pinned ?? {},
+    retiredChunks: spfData.retiredChunks ?? {},
+  };
+  const file = path.resolve(process.cwd(), filePath);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, `${JSON.stringify(state, null, 2)}\n`, 'utf8');
+  logger.debug({ file }, 'Flattened SPF state saved');
+}
+
+/**
+ * Compare a flattening with the stored state.
+ *
+ * @param {SpfState|null} previous - Stored state
+ * @param {Object} spfData - Result of buildFlattenedSpfRecord
+ * @returns {SpfDrift} Changes per source
+ */
+export function computeSpfDrift(previous, spfData) {
+  if (!previous) {
+    return { baseline: true, previousAt: null, sources: [], recordChanged: true };
+  }
+
+  const before = previous.sources || {};
+  const after = spfData.sources || {};
+  const sources = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .map((source) => {
+      const old = new Set(before[source] || []);
+      const current = new Set(after[source] || []);
+      return {
+        source,
+        added: [...current].filter((m) => !old.has(m)),
+        removed: [...old].filter((m) => !current.has(m)),
+      };
+    })
+    .filter(({ added, removed }) => added.length > 0 || removed.length > 0);
+
+  const recordChanged = previous.mainRecord !== spfData.mainRecord ||
+    JSON.stringify(previous.chunkRecords) !== JSON.stringify(spfData.chunkRecords);
+
+  return { baseline: false, previousAt: previous.updatedAt, sources, recordChanged };
+}
+
+/**
+ * @typedef {Object} SpfSafetyCheck
+ * @property {boolean} safe - Whether the flattening may be published
+ * @property {string[]} reasons - Why publishing was refused
+ */
+
+/**
+ * Count the distinct flattened mechanisms of the given sources.
+ *
+ * @param {Object<string, string[]>} sources - Mechanisms per source
+ * @param {string[]} terms - Sources to count
+ * @returns {number}
+ */
+function countMechanisms(sources, terms) {
+  return new Set(terms.flatMap((term) => sources[term] || [])).size;
+}
+
+/**
+ * Decide whether a flattening is safe to publish.
+ *
+ * Publishing is refused when any include, redirect or a/mx target failed to
+ * resolve, when the records would need more than 10 DNS lookups (chunk
+ * includes and includes kept verbatim), when a record would not fit in one
+ * TXT string, or when the number of mechanisms dropped by more than
+ * `maxDropPercent` compared to the stored state. Only terms that are in both
+ * the stored and the current base record are compared, so removing a
+ * provider from MAIN_SPF_RECORD_VALUE does not count as a drop.
+ *
+ * @param {SpfState|null} previous - Stored state of the last published flattening
+ * @param {Object} spfData - Result of buildFlattenedSpfRecord
+ * @param {number} [maxDropPercent] - Allowed drop (defaults to SPF_MAX_DROP_PERCENT)
+ * @returns {SpfSafetyCheck}
+ */
+export function checkSpfSafety(previous, spfData, maxDropPercent = config.spfMaxDropPercent) {
+  const reasons = (spfData.failures || [])
+    .map(({ target, reason }) => `${target} could not be resolved (${reason})`);
+
+  if (spfData.lookups > SPF_LOOKUP_LIMIT) {
+    reasons.push(`${spfData.lookups} DNS lookups exceed the limit of ${SPF_LOOKUP_LIMIT}`);
+  }
+  reasons.push(...(spfData.limitViolations || []));
+
+  if (previous) {
+    const current = spfData.sources || {};
+    const kept = Object.keys(previous.sources || {}).filter((term) => term in current);
+    const before = countMechanisms(previous.sources, kept);
+    const after = countMechanisms(current, kept);
+    const dropPercent = before > 0 ? ((before - after) / before) * 100 : 0;
+    if (dropPercent > maxDropPercent) {
+      reasons.push(
+        `mechanisms dropped from ${before} to ${after} (${Math.round(dropPercent)}%, ` +
+          `allowed: ${maxDropPercent}%)`,
+      );
+    }
+  }
+
+  return { safe: reasons.length === 0, reasons };
+}
+
+/**
+ * Build the report section for a flattening the safety guard refused.
+ *
+ * @param {SpfSafetyCheck} safety - Result of checkSpfSafety
+ * @returns {string} Report section ('' if publishing was allowed)
+ */
+export function formatSpfSafetyReport(safety) {
+  if (safety.safe) {
+    return '';
+  }
+  let section = '\n=================\nSPF Safety Guard\n=================\n\n';
+  section += 'The flattened SPF record was NOT published; the previous record stays in place.\n\n';
+  safety.reasons.forEach((reason) => {
+    section += `  - ${reason}\n`;
+  });
+  return section;
+}
+
+/**
+ * Build the "provider changed their ranges" report section.
+ *
+ * @param {SpfDrift} drift - Result of computeSpfDrift
+ * @returns {string} Report section
+ */
+export function formatSpfDriftReport(drift) {
+  let section = '\n==========================\nSPF Provider Range Changes\n==========================\n\n';
+
+  if (drift.baseline) {
+    return `${section}No previous flattening stored; this run is the baseline.\n`;
+  }
+  if (drift.sources.length === 0) {
+    return `${section}No provider changed their ranges since ${drift.previousAt}.\n`;
+  }
+
+  section += `Changes since ${drift.previousAt}:\n\n`;
+  for (const { source, added, removed } of drift.sources) {
+    section += `${source}\n`;
+    added.forEach((m) => {
+      section += `  + ${m}\n`;
+    });
+    removed.forEach((m) => {
+      section += `  - ${m}\n`;
+    });
+    section += '\n';
+  }
+  return section;
+}
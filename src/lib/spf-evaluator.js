@@ -0,0 +1,455 @@
+/**
+ * RFC 7208 check_host() evaluation.
+ *
+ * Answers "would mail from this IP pass SPF for this domain?" by evaluating
+ * the domain's live record the way a receiver does: mechanisms in order,
+ * includes and redirects followed, macros expanded, and the DNS-lookup and
+ * void-lookup limits enforced.
+ *
+ * @module lib/spf-evaluator
+ * @see https://www.rfc-editor.org/rfc/rfc7208#section-4
+ */
+
+import net from 'net';
+import {
+  resolveTxt,
+  resolve4,
+  resolve6,
+  resolveMx,
+  reversePtr,
+  queryDnsRecords,
+} from './dns-operations.js';
+import { parseSpfRecord } from './spf-parser.js';
+import { ipv6Nibbles } from './cidr.js';
+import { SPF_LOOKUP_LIMIT, SPF_VOID_LOOKUP_LIMIT } from './spf-analyzer.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * @typedef {'pass'|'fail'|'softfail'|'neutral'|'none'|'permerror'|'temperror'} SpfResult
+ */
+
+/**
+ * @typedef {Object} SpfMatch
+ * @property {string} domain - Domain whose record contains the term
+ * @property {string} term - Matching term (or the followed redirect)
+ */
+
+/**
+ * @typedef {Object} SpfCheckResult
+ * @property {SpfResult} result - check_host() result
+ * @property {SpfMatch[]} matches - Matching terms from the checked domain down
+ *   to the innermost record (empty if no mechanism matched)
+ * @property {string|null} explanation - Expanded exp= text on fail
+ * @property {string|null} error - Reason for permerror/temperror
+ * @property {number} lookups - DNS lookups performed
+ * @property {number} voidLookups - Void lookups encountered
+ * @property {string[]} trace - Evaluation steps
+ */
+
+/**
+ * Result of a matching mechanism by qualifier
+ */
+const QUALIFIER_RESULTS = { '+': 'pass', '-': 'fail', '~': 'softfail', '?': 'neutral' };
+
+/**
+ * Maximum number of MX hosts and PTR names evaluated (section 4.6.4)
+ */
+const SPF_NAME_LIMIT = 10;
+
+/**
+ * Abort evaluation with a permerror or temperror result.
+ */
+class SpfEvaluationError extends Error {
+  /**
+   * @param {'permerror'|'temperror'} result - Final result
+   * @param {string} message - Reason
+   */
+  constructor(result, message) {
+    super(message);
+    this.name = 'SpfEvaluationError';
+    this.result = result;
+  }
+}
+
+/**
+ * Count a DNS-querying term against the lookup limit.
+ *
+ * @param {Object} ctx - Evaluation context
+ * @param {string} term - Term causing the lookup
+ * @throws {SpfEvaluationError} If the limit is exceeded
+ */
+function countLookup(ctx, term) {
+  ctx.lookups++;
+  if (ctx.lookups > SPF_LOOKUP_LIMIT) {
+    throw new SpfEvaluationError(
+      'permerror', `more than ${SPF_LOOKUP_LIMIT} DNS lookups (at ${term})`);
+  }
+}
+
+/**
+ * Query DNS for a term, enforcing the void-lookup limit.
+ *
+ * @param {Object} ctx - Evaluation context
+ * @param {Function} resolver - Promisified dns resolver
+ * @param {string} name - Name to query
+ * @param {boolean} [countVoid=true] - Whether an empty answer counts as void lookup
+ * @returns {Promise<Array>} Answers
+ * @throws {SpfEvaluationError} On DNS errors or too many void lookups
+ */
+async function lookup(ctx, resolver, name, countVoid = true) {
+  let answers;
+  try {
+    answers = await queryDnsRecords(resolver, name);
+  } catch (error) {
+    throw new SpfEvaluationError(
+      'temperror', `DNS error for ${name}: ${error.code || error.message}`);
+  }
+  if (countVoid && answers.length === 0) {
+    ctx.voidLookups++;
+    if (ctx.voidLookups > SPF_VOID_LOOKUP_LIMIT) {
+      throw new SpfEvaluationError(
+        'permerror', `more than ${SPF_VOID_LOOKUP_LIMIT} void lookups (at ${name})`);
+    }
+  }
+  return answers;
+}
+
+/**
+ * Get the value of a macro letter (section 7.3).
+ *
+ * @param {string} letter - Lower-case macro letter
+ * @param {string} domain - Current domain
+ * @param {Object} ctx - Evaluation context
+ * @returns {string} Macro value
+ */
+function macroValue(letter, domain, ctx) {
+  switch (letter) {
+    case 's': return ctx.sender;
+    case 'l': return ctx.sender.slice(0, ctx.sender.lastIndexOf('@'));
+    case 'o': return ctx.sender.slice(ctx.sender.lastIndexOf('@') + 1);
+    case 'd': return domain;
+    case 'i': return ctx.ipVersion === 4 ? ctx.ip : ipv6Nibbles(ctx.ip).join('.');
+    case 'v': return ctx.ipVersion === 4 ? 'in-addr' : 'ip6';
+    case 'h': return ctx.helo;
+    case 'c': return ctx.ip;
+    case 't': return String(Math.floor(Date.now() / 1000));
+    // p (validated client host name) costs lookups the RFC advises against;
+    // r is the receiving host. Both may be "unknown".
+    default: return 'unknown';
+  }
+}
+
+/**
+ * Expand macros in a domain-spec or explanation string (section 7).
+ *
+ * @param {string} value - Macro-string
+ * @param {string} domain - Current domain
+ * @param {Object} ctx - Evaluation context
+ * @returns {string} Expanded string
+ */
+export function expandMacros(value, domain, ctx) {
+  return value.replace(
+    /%\{([a-z])(\d*)(r?)([.\-+,/_=]*)\}|%%|%_|%-/gi,
+    (macro, letter, digits, reverse, delimiters) => {
+      if (macro === '%%') {
+        return '%';
+      }
+      if (macro === '%_') {
+        return ' ';
+      }
+      if (macro === '%-') {
+        return '%20';
+      }
+
+      let parts = macroValue(letter.toLowerCase(), domain, ctx)
+        .split(new RegExp(`[${(delimiters || '.').replace(/[-\\\]]/g, '\\$&')}]`));
+      if (reverse) {
+        parts = parts.reverse();
+      }
+      if (digits) {
+        parts = parts.slice(-Math.max(Number(digits), 1));
+      }
+      const expanded = parts.join('.');
+      return letter === letter.toUpperCase() ? encodeURIComponent(expanded) : expanded;
+    },
+  );
+}
+
+/**
+ * Expand a domain-spec, shortening it to 253 characters from the left.
+ *
+ * @param {string} domainSpec - Domain-spec
+ * @param {string} domain - Current domain
+ * @param {Object} ctx - Evaluation context
+ * @returns {string} Target domain
+ */
+function expandDomainSpec(domainSpec, domain, ctx) {
+  let target = expandMacros(domainSpec, domain, ctx).replace(/\.$/, '');
+  while (target.length > 253 && target.includes('.')) {
+    target = target.slice(target.indexOf('.') + 1);
+  }
+  return target;
+}
+
+/**
+ * Check whether the client IP is in a network.
+ *
+ * @param {Object} ctx - Evaluation context
+ * @param {string} network - Network address
+ * @param {number|null} prefix - Prefix length (null = host address)
+ * @returns {boolean}
+ */
+function clientInNetwork(ctx, network, prefix) {
+  const version = net.isIP(network);
+  if (version !== ctx.ipVersion) {
+    return false;
+  }
+  const type = version === 4 ? 'ipv4' : 'ipv6';
+  const list = new net.BlockList();
+  list.addSubnet(network, prefix ?? (version === 4 ? 32 : 128), type);
+  return list.check(ctx.ip, type);
+}
+
+/**
+ * Resolve the addresses of a host matching the client's IP version.
+ *
+ * @param {Object} ctx - Evaluation context
+ * @param {string} host - Host name
+ * @param {boolean} countVoid - Whether an empty answer counts as void lookup
+ * @returns {Promise<string[]>} Addresses
+ */
+function lookupAddresses(ctx, host, countVoid) {
+  return lookup(ctx, ctx.ipVersion === 4 ? resolve4 : resolve6, host, countVoid);
+}
+
+/**
+ * Fetch the SPF record of a domain.
+ *
+ * @param {Object} ctx - Evaluation context
+ * @param {string} domain - Domain
+ * @returns {Promise<string|null>} SPF record, or null if there is none
+ * @throws {SpfEvaluationError} On DNS errors or multiple SPF records
+ */
+async function fetchSpfRecord(ctx, domain) {
+  const txt = await lookup(ctx, resolveTxt, domain, false);
+  const records = txt.map((r) => r.join('')).filter((r) => /^v=spf1(\s|$)/i.test(r));
+  if (records.length > 1) {
+    throw new SpfEvaluationError('permerror', `${domain} has ${records.length} SPF records`);
+  }
+  return records[0] ?? null;
+}
+
+/**
+ * Check whether a mechanism matches the client.
+ *
+ * @param {import('./spf-parser.js').SpfMechanism} term - Mechanism
+ * @param {string} domain - Current domain
+ * @param {Object} ctx - Evaluation context
+ * @param {number} depth - Include/redirect depth (for the trace)
+ * @returns {Promise<SpfMatch[]|null>} Inner matches (empty unless an include
+ *   matched), or null if the mechanism does not match
+ */
+async function matchMechanism(term, domain, ctx, depth) {
+  const { mechanism } = term;
+  if (mechanism === 'all') {
+    return [];
+  }
+  if (mechanism === 'ip4' || mechanism === 'ip6') {
+    const prefix = mechanism === 'ip4' ? term.ip4Cidr : term.ip6Cidr;
+    return clientInNetwork(ctx, term.network, prefix) ? [] : null;
+  }
+
+  countLookup(ctx, term.raw);
+  const target = term.domainSpec ? expandDomainSpec(term.domainSpec, domain, ctx) : domain;
+  const prefix = ctx.ipVersion === 4 ? term.ip4Cidr : term.ip6Cidr;
+
+  if (mechanism === 'include') {
+    const inner = await evaluateDomain(target, ctx, depth + 1);
+    if (inner.result === 'none') {
+      throw new SpfEvaluationError('permerror', `include target ${target} has no SPF record`);
+    }
+    return inner.result === 'pass' ? inner.matches : null;
+  }
+
+  if (mechanism === 'a') {
+    const addresses = await lookupAddresses(ctx, target, true);
+    return addresses.some((address) => clientInNetwork(ctx, address, prefix)) ? [] : null;
+  }
+
+  if (mechanism === 'mx') {
+    const hosts = await lookup(ctx, resolveMx, target);
+    if (hosts.length > SPF_NAME_LIMIT) {
+      throw new SpfEvaluationError(
+        'permerror', `${target} has more than ${SPF_NAME_LIMIT} MX hosts`);
+    }
+    for (const { exchange } of hosts) {
+      const addresses = await lookupAddresses(ctx, exchange, false);
+      if (addresses.some((address) => clientInNetwork(ctx, address, prefix))) {
+        return [];
+      }
+    }
+    return null;
+  }
+
+  if (mechanism === 'exists') {
+    return (await lookup(ctx, resolve4, target)).length > 0 ? [] : null;
+  }
+
+  // ptr: a DNS error makes the mechanism not match (section 5.5)
+  let names;
+  try {
+    names = await lookup(ctx, reversePtr, ctx.ip);
+  } catch (error) {
+    if (error.result === 'temperror') {
+      return null;
+    }
+    throw error;
+  }
+  for (const name of names.slice(0, SPF_NAME_LIMIT)) {
+    const host = name.toLowerCase().replace(/\.$/, '');
+    const suffix = target.toLowerCase();
+    if (host !== suffix && !host.endsWith(`.${suffix}`)) {
+      continue;
+    }
+    const addresses = await lookupAddresses(ctx, name, false).catch(() => []);
+    if (addresses.some((address) => clientInNetwork(ctx, address, null))) {
+      return [];
+    }
+  }
+  return null;
+}
+
+/**
+ * Fetch and expand the explanation of a fail result (section 6.2).
+ *
+ * Errors are ignored: the explanation is optional.
+ *
+ * @param {string} exp - exp= domain-spec
+ * @param {string} domain - Current domain
+ * @param {Object} ctx - Evaluation context
+ * @returns {Promise<string|null>} Explanation
+ */
+async function getExplanation(exp, domain, ctx) {
+  try {
+    const txt = await queryDnsRecords(resolveTxt, expandDomainSpec(exp, domain, ctx));
+    return txt.length === 1 ? expandMacros(txt[0].join(''), domain, ctx) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Evaluate the SPF record of a domain.
+ *
+ * @param {string} domain - Domain to evaluate
+ * @param {Object} ctx - Evaluation context
+ * @param {number} depth - Include/redirect depth (for the trace)
+ * @param {string} [record] - Record to evaluate instead of the published one
+ * @returns {Promise<{result: SpfResult, matches: SpfMatch[], explanation: string|null}>}
+ * @throws {SpfEvaluationError} On permerror or temperror
+ */
+async function evaluateDomain(domain, ctx, depth, record = undefined) {
+  const indent = '  '.repeat(depth);
+  record ??= await fetchSpfRecord(ctx, domain);
+  if (!record) {
+    ctx.trace.push(`${indent}${domain}: no SPF record`);
+    return { result: 'none', matches: [], explanation: null };
+  }
+  ctx.trace.push(`${indent}${domain}: ${record}`);
+
+  const parsed = parseSpfRecord(record);
+  if (parsed.errors.length > 0) {
+    throw new SpfEvaluationError('permerror', `${domain}: ${parsed.errors[0].message}`);
+  }
+
+  for (const term of parsed.mechanisms) {
+    const inner = await matchMechanism(term, domain, ctx, depth);
+    ctx.trace.push(`${indent}  ${term.raw}: ${inner ? 'match' : 'no match'}`);
+    if (inner) {
+      const result = QUALIFIER_RESULTS[term.qualifier];
+      const explanation = result === 'fail' && parsed.exp
+        ? await getExplanation(parsed.exp, domain, ctx)
+        : null;
+      return { result, matches: [{ domain, term: term.raw }, ...inner], explanation };
+    }
+  }
+
+  if (parsed.redirect) {
+    const term = `redirect=${parsed.redirect}`;
+    countLookup(ctx, term);
+    const target = expandDomainSpec(parsed.redirect, domain, ctx);
+    ctx.trace.push(`${indent}  ${term}: following`);
+    const redirected = await evaluateDomain(target, ctx, depth + 1);
+    if (redirected.result === 'none') {
+      throw new SpfEvaluationError('permerror', `redirect target ${target} has no SPF record`);
+    }
+    return { ...redirected, matches: [{ domain, term }, ...redirected.matches] };
+  }
+
+  return { result: 'neutral', matches: [], explanation: null };
+}
+
+/**
+ * Evaluate SPF for a client IP, like a receiving mail server (check_host()).
+ *
+ * @async
+ * @param {Object} params - Check parameters
+ * @param {string} params.ip - Client IP address
+ * @param {string} params.domain - Domain to check (MAIL FROM or HELO domain)
+ * @param {string} [params.sender] - MAIL FROM address (defaults to postmaster@domain)
+ * @param {string} [params.helo] - HELO/EHLO name (defaults to the domain)
+ * @param {string} [params.record] - Evaluate this record for the domain instead
+ *   of the published one (includes are still resolved from DNS)
+ * @returns {Promise<SpfCheckResult>} Result, matching terms and trace
+ * @throws {Error} If the IP address is invalid
+ *
+ * @example
+ * const { result, matches } = await checkHost({ ip: '192.0.2.10', domain: 'example.com' });
+ * // result: 'pass', matches: [{ domain: 'example.com', term: 'include:_spf.example.com' }, ...]
+ */
+export async function checkHost({ ip, domain, sender, helo, record }) {
+  const ipVersion = net.isIP(ip);
+  if (!ipVersion) {
+    throw new Error(`Invalid IP address: ${ip}`);
+  }
+
+  let mailFrom = sender || `postmaster@${domain}`;
+  if (!mailFrom.includes('@')) {
+    mailFrom = `postmaster@${mailFrom}`;
+  } else if (mailFrom.startsWith('@')) {
+    mailFrom = `postmaster${mailFrom}`;
+  }
+
+  const ctx = {
+    ip,
+    ipVersion,
+    sender: mailFrom,
+    helo: helo || domain,
+    lookups: 0,
+    voidLookups: 0,
+    trace: [],
+  };
+
+  let outcome;
+  try {
+    outcome = { ...(await evaluateDomain(domain, ctx, 0, record)), error: null };
+  } catch (error) {
+    if (!(error instanceof SpfEvaluationError)) {
+      throw error;
+    }
+    ctx.trace.push(`${error.result}: ${error.message}`);
+    outcome = { result: error.result, matches: [], explanation: null, error: error.message };
+  }
+
+  logger.debug(
+    { ip, domain, result: outcome.result, lookups: ctx.lookups },
+    'SPF check_host evaluated',
+  );
+
+  return {
+    ...outcome,
+    lookups: ctx.lookups,
+    voidLookups: ctx.voidLookups,
+    trace: ctx.trace,
+  };
+}
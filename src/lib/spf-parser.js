@@ -0,0 +1,341 @@
+/**
+ * RFC 7208 SPF record parser.
+ *
+ * Turns an SPF TXT value into typed terms (mechanisms with qualifier,
+ * domain-spec, network and CIDR lengths; modifiers with name and value) and
+ * collects syntax errors instead of silently dropping what it does not
+ * understand.
+ *
+ * @module lib/spf-parser
+ * @see https://www.rfc-editor.org/rfc/rfc7208#section-4.6
+ */
+
+import net from 'net';
+
+/**
+ * @typedef {'+'|'-'|'~'|'?'} SpfQualifier
+ */
+
+/**
+ * @typedef {Object} SpfMechanism
+ * @property {'mechanism'} type - Term type
+ * @property {string} raw - Term as written in the record
+ * @property {number} index - Position of the term (0 = first term after the version)
+ * @property {SpfQualifier} qualifier - Qualifier ('+' if none was written)
+ * @property {'all'|'include'|'a'|'mx'|'ptr'|'ip4'|'ip6'|'exists'} mechanism - Mechanism name
+ * @property {string|null} domainSpec - Target domain-spec (may contain macros)
+ * @property {string|null} network - Address of ip4/ip6 mechanisms
+ * @property {number|null} ip4Cidr - IPv4 prefix length (ip4, a, mx)
+ * @property {number|null} ip6Cidr - IPv6 prefix length (ip6, a, mx)
+ */
+
+/**
+ * @typedef {Object} SpfModifier
+ * @property {'modifier'} type - Term type
+ * @property {string} raw - Term as written in the record
+ * @property {number} index - Position of the term
+ * @property {string} name - Modifier name (lower case)
+ * @property {string} value - Modifier value (macro-string)
+ */
+
+/**
+ * @typedef {Object} SpfRecord
+ * @property {Array<SpfMechanism|SpfModifier>} terms - Valid terms in record order
+ * @property {SpfMechanism[]} mechanisms - Mechanisms in record order
+ * @property {SpfModifier[]} modifiers - Modifiers in record order
+ * @property {string|null} redirect - Domain-spec of the redirect modifier
+ * @property {string|null} exp - Domain-spec of the exp modifier
+ * @property {SpfSyntaxError[]} errors - Syntax errors (empty if the record is valid)
+ */
+
+/**
+ * SPF syntax error for a single term.
+ */
+export class SpfSyntaxError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string|null} [term] - Offending term
+   * @param {number|null} [index] - Position of the term
+   */
+  constructor(message, term = null, index = null) {
+    super(term !== null ? `${message}: "${term}"` : message);
+    this.name = 'SpfSyntaxError';
+    this.term = term;
+    this.index = index;
+  }
+}
+
+const MECHANISMS = new Set(['all', 'include', 'a', 'mx', 'ptr', 'ip4', 'ip6', 'exists']);
+
+/**
+ * Mechanisms whose domain-spec is required (the others default to the
+ * current domain)
+ */
+const DOMAIN_REQUIRED = new Set(['include', 'exists']);
+
+const QUALIFIERS = new Set(['+', '-', '~', '?']);
+
+/**
+ * macro-expand: %{letter digits [r] delimiters}, %%, %_ or %-
+ */
+const MACRO_EXPAND = /^(?:%\{[slodiphcrtv]\d*r?[.\-+,/_=]*\}|%%|%_|%-)/i;
+
+/**
+ * toplabel: not all-numeric, no leading or trailing hyphen
+ */
+const TOPLABEL = /^(?=.*[a-z])[a-z0-9](?:[a-z0-9-]*[a-z0-9])?$/i;
+
+/**
+ * Check whether a domain-spec contains macros.
+ *
+ * @param {string|null} domainSpec - Domain-spec
+ * @returns {boolean}
+ */
+export function hasMacros(domainSpec) {
+  return typeof domainSpec === 'string' && domainSpec.includes('%');
+}
+
+/**
+ * Validate a macro-string (RFC 7208 section 7.1).
+ *
+ * @param {string} value - Macro-string
+ * @returns {string|null} Problem description, or null if valid
+ */
+function validateMacroString(value) {
+  for (let i = 0; i < value.length; i++) {
+    const code = value.charCodeAt(i);
+    if (value[i] === '%') {
+      const macro = value.slice(i).match(MACRO_EXPAND);
+      if (!macro) {
+        return 'invalid macro';
+      }
+      i += macro[0].length - 1;
+    } else if (code < 0x21 || code > 0x7e) {
+      return 'invalid character';
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate a domain-spec: a macro-string ending in a macro or in a dot
+ * followed by a top-level label.
+ *
+ * @param {string} domainSpec - Domain-spec
+ * @returns {string|null} Problem description, or null if valid
+ */
+export function validateDomainSpec(domainSpec) {
+  if (!domainSpec) {
+    return 'empty domain';
+  }
+  const macroProblem = validateMacroString(domainSpec);
+  if (macroProblem) {
+    return macroProblem;
+  }
+  if (/%\{[^}]*\}$/.test(domainSpec)) {
+    return null;
+  }
+
+  const labels = domainSpec.replace(/\.$/, '').split('.');
+  if (labels.length < 2 || !TOPLABEL.test(labels.at(-1))) {
+    return 'invalid domain';
+  }
+  return null;
+}
+
+/**
+ * Parse a CIDR length.
+ *
+ * @param {string|undefined} value - Digits after the slash
+ * @param {number} max - Maximum prefix length
+ * @returns {number|null|undefined} Prefix length, null if absent, undefined if invalid
+ */
+function parseCidr(value, max) {
+  if (value === undefined) {
+    return null;
+  }
+  const length = Number(value);
+  return /^\d{1,3}$/.test(value) && length <= max ? length : undefined;
+}
+
+/**
+ * Parse the part of a mechanism after its name.
+ *
+ * @param {string} name - Mechanism name (lower case)
+ * @param {string} rest - Text following the name
+ * @returns {{domainSpec: string|null, network: string|null, ip4Cidr: number|null,
+ *   ip6Cidr: number|null}|string} Parsed arguments, or a problem description
+ */
+function parseMechanismArgs(name, rest) {
+  const args = { domainSpec: null, network: null, ip4Cidr: null, ip6Cidr: null };
+
+  if (name === 'all') {
+    return rest === '' ? args : 'all takes no arguments';
+  }
+
+  if (name === 'ip4' || name === 'ip6') {
+    const match = rest.match(/^:([^/]+)(?:\/(\d+))?$/);
+    const isIP = name === 'ip4' ? net.isIPv4 : net.isIPv6;
+    if (!match || !isIP(match[1])) {
+      return `invalid ${name} network`;
+    }
+    const cidr = parseCidr(match[2], name === 'ip4' ? 32 : 128);
+    if (cidr === undefined) {
+      return `invalid ${name} prefix length`;
+    }
+    args.network = match[1];
+    args[name === 'ip4' ? 'ip4Cidr' : 'ip6Cidr'] = cidr;
+    return args;
+  }
+
+  // a, mx: [":" domain-spec] [ip4-cidr-length] ["//" ip6-cidr-length]
+  let spec = rest;
+  if (name === 'a' || name === 'mx') {
+    const cidrMatch = spec.match(/(?:\/(\d+))?(?:\/\/(\d+))?$/);
+    args.ip4Cidr = parseCidr(cidrMatch[1], 32);
+    args.ip6Cidr = parseCidr(cidrMatch[2], 128);
+    if (args.ip4Cidr === undefined || args.ip6Cidr === undefined) {
+      return 'invalid prefix length';
+    }
+    spec = spec.slice(0, spec.length - cidrMatch[0].length);
+  }
+
+  if (spec === '') {
+    return DOMAIN_REQUIRED.has(name) ? `${name} requires a domain` : args;
+  }
+  if (!spec.startsWith(':')) {
+    return 'unexpected characters after mechanism';
+  }
+
+  args.domainSpec = spec.slice(1);
+  return validateDomainSpec(args.domainSpec) ?? args;
+}
+
+/**
+ * Parse a single term.
+ *
+ * @param {string} raw - Term text
+ * @param {number} index - Term position
+ * @returns {SpfMechanism|SpfModifier} Parsed term
+ * @throws {SpfSyntaxError} If the term is invalid
+ */
+function parseTerm(raw, index) {
+  const modifier = raw.match(/^([a-z][a-z0-9\-_.]*)=(.*)$/i);
+  if (modifier) {
+    const name = modifier[1].toLowerCase();
+    const value = modifier[2];
+    const problem = name === 'redirect' || name === 'exp'
+      ? validateDomainSpec(value)
+      : validateMacroString(value);
+    if (problem) {
+      throw new SpfSyntaxError(`Invalid ${name} modifier (${problem})`, raw, index);
+    }
+    return { type: 'modifier', raw, index, name, value };
+  }
+
+  const qualifier = QUALIFIERS.has(raw[0]) ? raw[0] : '+';
+  const body = QUALIFIERS.has(raw[0]) ? raw.slice(1) : raw;
+  const name = body.match(/^[a-z0-9]+/i)?.[0].toLowerCase();
+  if (!name || !MECHANISMS.has(name)) {
+    throw new SpfSyntaxError('Unknown mechanism', raw, index);
+  }
+
+  const args = parseMechanismArgs(name, body.slice(name.length));
+  if (typeof args === 'string') {
+    throw new SpfSyntaxError(`Invalid ${name} mechanism (${args})`, raw, index);
+  }
+  return { type: 'mechanism', raw, index, qualifier, mechanism: name, ...args };
+}
+
+/**
+ * Parse an SPF record.
+ *
+ * Never throws; invalid terms are reported in `errors` and left out of
+ * `terms`. A record with errors must be treated as a permerror.
+ *
+ * @param {string} record - SPF TXT value
+ * @returns {SpfRecord} Parsed record
+ *
+ * @example
+ * const spf = parseSpfRecord('v=spf1 a:mail.example.com/24 -include:bad.example ~all');
+ * spf.mechanisms[0]; // { mechanism: 'a', domainSpec: 'mail.example.com', ip4Cidr: 24, ... }
+ * spf.mechanisms[1].qualifier; // '-'
+ */
+export function parseSpfRecord(record) {
+  /** @type {SpfRecord} */
+  const result = {
+    terms: [],
+    mechanisms: [],
+    modifiers: [],
+    redirect: null,
+    exp: null,
+    errors: [],
+  };
+
+  const [version, ...rawTerms] = String(record ?? '').trim().split(/\s+/);
+  if (version.toLowerCase() !== 'v=spf1') {
+    result.errors.push(new SpfSyntaxError('Record does not start with v=spf1'));
+    return result;
+  }
+
+  rawTerms.forEach((raw, index) => {
+    let term;
+    try {
+      term = parseTerm(raw, index);
+    } catch (error) {
+      result.errors.push(error);
+      return;
+    }
+
+    if (term.type === 'modifier' && (term.name === 'redirect' || term.name === 'exp')) {
+      if (result[term.name] !== null) {
+        result.errors.push(new SpfSyntaxError(`Duplicate ${term.name} modifier`, raw, index));
+        return;
+      }
+      result[term.name] = term.value;
+    }
+
+    result.terms.push(term);
+    result[term.type === 'mechanism' ? 'mechanisms' : 'modifiers'].push(term);
+  });
+
+  return result;
+}
+
+/**
+ * Serialize a term back to SPF syntax (normalized: lower-case names, no
+ * explicit '+' qualifier).
+ *
+ * @param {SpfMechanism|SpfModifier} term - Parsed term
+ * @returns {string} Term text
+ */
+export function formatSpfTerm(term) {
+  if (term.type === 'modifier') {
+    return `${term.name}=${term.value}`;
+  }
+
+  const qualifier = term.qualifier === '+' ? '' : term.qualifier;
+  let text = `${qualifier}${term.mechanism}`;
+  if (term.network) {
+    text += `:${term.network}`;
+  } else if (term.domainSpec) {
+    text += `:${term.domainSpec}`;
+  }
+  if (term.ip4Cidr !== null) {
+    text += `/${term.ip4Cidr}`;
+  }
+  if (term.ip6Cidr !== null) {
+    text += term.mechanism === 'ip6' ? `/${term.ip6Cidr}` : `//${term.ip6Cidr}`;
+  }
+  return text;
+}
+
+/**
+ * Check an SPF record for syntax errors.
+ *
+ * @param {string} record - SPF TXT value
+ * @returns {string[]} Error messages (empty if the record is valid)
+ */
+export function validateSpfSyntax(record) {
+  return parseSpfRecord(record).errors.map((error) => error.message);
+}
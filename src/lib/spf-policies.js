@@ -0,0 +1,389 @@
+/**
+ * Per-domain SPF policies.
+ *
+ * A policies file (SPF_POLICIES_PATH) defines named SPF policies and assigns
+ * them to domains by name or group (see domain-groups.js):
+ *
+ * @example
+ * {
+ *   "policies": {
+ *     "standard": { "record": "v=spf1 include:_spf.example.net -all", "allow": ["a", "mx"] },
+ *     "parked": { "record": "v=spf1 -all" }
+ *   },
+ *   "assignments": [
+ *     { "groups": ["parked"], "policy": "parked" },
+ *     { "domains": ["shop.example.com"], "policy": "standard",
+ *       "additions": ["include:crm.example.org"] },
+ *     { "groups": ["customers"], "policy": "standard" }
+ *   ]
+ * }
+ *
+ * The first matching assignment decides a domain's policy; its `additions`
+ * are inserted before the policy record's `all`. `allow` lists the
+ * domain-contextual mechanisms (`a`, `mx`) a domain's record may contain in
+ * addition, as long as the domain has such records. Domains without an
+ * assignment are checked against EXPECTED_SPF.
+ *
+ * Records are compared by their terms, not as strings (see
+ * {@link compareSpfRecords}): order, case, the `+` qualifier and whitespace
+ * do not matter, only the position of `all` and redirect do.
+ *
+ * @module lib/spf-policies
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from './config.js';
+import { isDomainSelected } from './domain-groups.js';
+import { resolve4, resolve6, resolveMx, queryDnsRecords } from './dns-operations.js';
+import { parseSpfRecord, formatSpfTerm, hasMacros, validateSpfSyntax } from './spf-parser.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * @typedef {Object} SpfPolicy
+ * @property {string} record - Base SPF record
+ * @property {Array<'a'|'mx'>} [allow] - Mechanisms allowed if the domain has A/AAAA or MX records
+ */
+
+/**
+ * @typedef {Object} SpfPolicyAssignment
+ * @property {string[]} [domains] - Domain names or patterns
+ * @property {string[]} [groups] - Domain group names
+ * @property {string} policy - Policy applied to the selected domains
+ * @property {string[]} [additions] - Mechanisms added to the policy record
+ */
+
+/**
+ * @typedef {Object} SpfPolicies
+ * @property {Object<string, SpfPolicy>} policies - Policies by name
+ * @property {SpfPolicyAssignment[]} assignments - Policy assignments
+ */
+
+/**
+ * @typedef {Object} DomainSpfPolicy
+ * @property {string|null} name - Policy name (null for EXPECTED_SPF)
+ * @property {string} record - Expected record (policy record plus additions)
+ * @property {Array<'a'|'mx'>} allow - Allowed domain-contextual mechanisms
+ */
+
+/**
+ * Mechanisms a policy may allow
+ */
+const ALLOWABLE_MECHANISMS = ['a', 'mx'];
+
+/**
+ * Check whether a term is a single mechanism usable as an addition.
+ *
+ * @param {*} term - Addition from the policies file
+ * @returns {boolean}
+ */
+function isValidAddition(term) {
+  if (typeof term !== 'string' || /\s/.test(term.trim())) {
+    return false;
+  }
+  const parsed = parseSpfRecord(`v=spf1 ${term}`);
+  return parsed.errors.length === 0 &&
+    parsed.mechanisms.length === 1 &&
+    parsed.mechanisms[0].mechanism !== 'all';
+}
+
+/**
+ * Validate an SPF policies definition.
+ *
+ * @param {*} definition - Parsed policies file
+ * @param {import('./domain-groups.js').DomainGroups} groups - Known domain groups
+ * @returns {string[]} Problems found (empty if valid)
+ */
+export function validateSpfPolicies(definition, groups) {
+  const problems = [];
+  const policies = definition?.policies;
+  if (!policies || typeof policies !== 'object' || Array.isArray(policies)) {
+    return ['"policies" must be an object of policy name to policy'];
+  }
+
+  for (const [name, policy] of Object.entries(policies)) {
+    if (typeof policy?.record !== 'string') {
+      problems.push(`policy "${name}": "record" is required`);
+      continue;
+    }
+    problems.push(...validateSpfSyntax(policy.record)
+      .map((problem) => `policy "${name}": ${problem}`));
+    const allow = policy.allow ?? [];
+    if (!Array.isArray(allow) || !allow.every((m) => ALLOWABLE_MECHANISMS.includes(m))) {
+      problems.push(`policy "${name}": "allow" may only list ${ALLOWABLE_MECHANISMS.join(', ')}`);
+    }
+  }
+
+  const assignments = definition.assignments ?? [];
+  if (!Array.isArray(assignments)) {
+    return [...problems, '"assignments" must be a list'];
+  }
+  assignments.forEach((assignment, i) => {
+    const where = `assignment ${i + 1}`;
+    if (!policies[assignment?.policy]) {
+      problems.push(`${where}: unknown policy "${assignment?.policy}"`);
+    }
+    for (const name of assignment?.groups ?? []) {
+      if (!groups[name]) {
+        problems.push(`${where}: unknown domain group "${name}"`);
+      }
+    }
+    const additions = assignment?.additions ?? [];
+    if (!Array.isArray(additions)) {
+      problems.push(`${where}: "additions" must be a list of mechanisms`);
+    } else {
+      additions.filter((term) => !isValidAddition(term))
+        .forEach((term) => problems.push(`${where}: invalid addition "${term}"`));
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Load SPF policies from SPF_POLICIES_PATH.
+ *
+ * A missing file means every domain is checked against EXPECTED_SPF.
+ *
+ * @async
+ * @param {import('./domain-groups.js').DomainGroups} groups - Known domain groups
+ * @param {string} [filePath] - Policies file (defaults to SPF_POLICIES_PATH)
+ * @returns {Promise<SpfPolicies>} Policies and assignments
+ * @throws {Error} If the file cannot be parsed or is invalid
+ */
+export async function loadSpfPolicies(groups, filePath = config.spfPoliciesPath) {
+  let content;
+  try {
+    content = await fs.readFile(path.resolve(process.cwd(), filePath), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { policies: {}, assignments: [] };
+    }
+    throw error;
+  }
+
+  const definition = JSON.parse(content);
+  const problems = validateSpfPolicies(definition, groups);
+  if (problems.length > 0) {
+    throw new Error(`Invalid SPF policies in ${filePath}: ${problems.join('; ')}`);
+  }
+  logger.debug({ policies: Object.keys(definition.policies) }, 'SPF policies loaded');
+  return { policies: definition.policies, assignments: definition.assignments ?? [] };
+}
+
+/**
+ * Insert mechanisms into a record before its `all` (or, without one, before
+ * its modifiers).
+ *
+ * @param {string} record - SPF record
+ * @param {string[]} terms - Mechanisms to insert
+ * @returns {string} Record with the mechanisms
+ */
+function insertMechanisms(record, terms) {
+  const [version, ...rest] = record.trim().split(/\s+/);
+  let position = rest.findIndex((term) => /^[+\-~?]?all$/i.test(term));
+  if (position === -1) {
+    position = rest.findIndex((term) => /^[a-z][a-z0-9_.-]*=/i.test(term));
+  }
+  if (position === -1) {
+    position = rest.length;
+  }
+  return [version, ...rest.slice(0, position), ...terms, ...rest.slice(position)].join(' ');
+}
+
+/**
+ * Determine the SPF policy of a domain.
+ *
+ * @param {string} domainName - Domain name
+ * @param {SpfPolicies} spfPolicies - Loaded policies
+ * @param {import('./domain-groups.js').DomainGroups} groups - Domain groups
+ * @returns {DomainSpfPolicy} Policy of the first matching assignment, or
+ *   EXPECTED_SPF if none matches
+ */
+export function getDomainSpfPolicy(domainName, spfPolicies, groups) {
+  const assignment = spfPolicies.assignments
+    .find((candidate) => isDomainSelected(domainName, candidate, groups));
+  if (!assignment) {
+    return { name: null, record: config.expectedSpf, allow: [] };
+  }
+
+  const policy = spfPolicies.policies[assignment.policy];
+  return {
+    name: assignment.policy,
+    record: insertMechanisms(policy.record, assignment.additions ?? []),
+    allow: policy.allow ?? [],
+  };
+}
+
+/**
+ * Check whether a domain has the records an `a` or `mx` mechanism needs.
+ *
+ * @param {string} domainName - Domain name
+ * @param {'a'|'mx'} mechanism - Mechanism name
+ * @returns {Promise<boolean>}
+ */
+async function hasHostRecords(domainName, mechanism) {
+  if (mechanism === 'mx') {
+    return (await queryDnsRecords(resolveMx, domainName)).length > 0;
+  }
+  const addresses = [
+    ...(await queryDnsRecords(resolve4, domainName)),
+    ...(await queryDnsRecords(resolve6, domainName)),
+  ];
+  return addresses.length > 0;
+}
+
+/**
+ * Build the record a domain is expected to publish.
+ *
+ * Allowed `a`/`mx` mechanisms of the current record are kept if the domain
+ * has A/AAAA or MX records; otherwise the policy record is expected as is.
+ *
+ * @async
+ * @param {string} domainName - Domain name
+ * @param {DomainSpfPolicy} policy - The domain's policy
+ * @param {string|null} currentSpf - The domain's current SPF record
+ * @returns {Promise<string>} Expected SPF record
+ */
+export async function getExpectedSpfRecord(domainName, policy, currentSpf) {
+  if (!currentSpf || policy.allow.length === 0) {
+    return policy.record;
+  }
+
+  const expected = new Set(parseSpfRecord(policy.record).mechanisms.map(normalizeSpfTerm));
+  const kept = [];
+  for (const term of parseSpfRecord(currentSpf).mechanisms) {
+    if (!policy.allow.includes(term.mechanism) || term.domainSpec) {
+      continue;
+    }
+    const text = normalizeSpfTerm(term);
+    if (!expected.has(text) && !kept.includes(text) &&
+      await hasHostRecords(domainName, term.mechanism)) {
+      kept.push(text);
+    }
+  }
+  return kept.length > 0 ? insertMechanisms(policy.record, kept) : policy.record;
+}
+
+/**
+ * Format a parsed term in canonical form: lower case (except macros) and
+ * without the default `+` qualifier.
+ *
+ * @param {import('./spf-parser.js').SpfMechanism|import('./spf-parser.js').SpfModifier} term
+ * @returns {string} Canonical term
+ */
+function normalizeSpfTerm(term) {
+  const text = formatSpfTerm(term);
+  const target = term.type === 'modifier' ? term.value : term.domainSpec;
+  return hasMacros(target) ? text : text.toLowerCase();
+}
+
+/**
+ * @typedef {Object} SpfComparison
+ * @property {boolean} equal - Whether receivers evaluate both records the same way
+ * @property {string[]} differences - What the current record lacks or has in
+ *   addition (empty if equal or either record has syntax errors)
+ */
+
+/**
+ * Split a parsed record into the parts whose evaluation result matters.
+ *
+ * Mechanisms after `all` are never evaluated and redirect is ignored when
+ * the record has `all` (RFC 7208 section 6.1), so neither is part of the
+ * effective record.
+ *
+ * @param {import('./spf-parser.js').SpfRecord} parsed - Parsed record
+ * @returns {{mechanisms: Set<string>, unreachable: Set<string>, all: string|null,
+ *   redirect: string|null, modifiers: Set<string>}} Canonical terms
+ */
+function getEffectiveTerms(parsed) {
+  const allIndex = parsed.mechanisms.findIndex((m) => m.mechanism === 'all');
+  const active = allIndex === -1 ? parsed.mechanisms : parsed.mechanisms.slice(0, allIndex);
+  const all = allIndex === -1 ? null : normalizeSpfTerm(parsed.mechanisms[allIndex]);
+  const unreachable = allIndex === -1 ? [] : parsed.mechanisms.slice(allIndex + 1);
+  const redirect = parsed.modifiers.find((m) => m.name === 'redirect');
+  return {
+    mechanisms: new Set(active.map(normalizeSpfTerm)),
+    unreachable: new Set(unreachable.map(normalizeSpfTerm)),
+    all,
+    redirect: !all && redirect ? normalizeSpfTerm(redirect) : null,
+    modifiers: new Set(parsed.modifiers
+      .filter((m) => m.name !== 'redirect')
+      .map(normalizeSpfTerm)),
+  };
+}
+
+/**
+ * Describe how a single-valued term (all, redirect) differs.
+ *
+ * @param {string|null} current - Current term
+ * @param {string|null} expected - Expected term
+ * @returns {string[]} Zero or one difference
+ */
+function describeTermChange(current, expected) {
+  if (current === expected) {
+    return [];
+  }
+  if (!current) {
+    return [`missing ${expected}`];
+  }
+  return [expected ? `${current} instead of ${expected}` : `unexpected ${current}`];
+}
+
+/**
+ * Compare two SPF records by their terms.
+ *
+ * Mechanisms and modifiers are compared as sets in canonical form (case, the
+ * `+` qualifier, whitespace and duplicates do not matter); order only
+ * matters for the position of `all` and whether redirect takes effect.
+ *
+ * @param {string|null} current - Current record
+ * @param {string|null} expected - Expected record
+ * @returns {SpfComparison}
+ *
+ * @example
+ * compareSpfRecords('v=spf1 a -all', 'v=spf1 include:_spf.example.com a -all');
+ * // { equal: false, differences: ['missing include:_spf.example.com'] }
+ */
+export function compareSpfRecords(current, expected) {
+  if (!current || !expected) {
+    return { equal: !current && !expected, differences: [] };
+  }
+
+  const parsedCurrent = parseSpfRecord(current);
+  const parsedExpected = parseSpfRecord(expected);
+  if (parsedCurrent.errors.length > 0 || parsedExpected.errors.length > 0) {
+    // Invalid terms are dropped by the parser; only identical records match
+    const collapse = (record) => record.trim().split(/\s+/).join(' ');
+    return { equal: collapse(current) === collapse(expected), differences: [] };
+  }
+
+  const have = getEffectiveTerms(parsedCurrent);
+  const want = getEffectiveTerms(parsedExpected);
+  const differences = [];
+
+  for (const term of want.mechanisms) {
+    if (!have.mechanisms.has(term)) {
+      differences.push(have.unreachable.has(term) ? `${term} after all` : `missing ${term}`);
+    }
+  }
+  for (const term of have.mechanisms) {
+    if (!want.mechanisms.has(term)) {
+      differences.push(`unexpected ${term}`);
+    }
+  }
+  differences.push(...describeTermChange(have.all, want.all));
+  differences.push(...describeTermChange(have.redirect, want.redirect));
+  for (const term of want.modifiers) {
+    if (!have.modifiers.has(term)) {
+      differences.push(`missing ${term}`);
+    }
+  }
+  for (const term of have.modifiers) {
+    if (!want.modifiers.has(term)) {
+      differences.push(`unexpected ${term}`);
+    }
+  }
+
+  return { equal: differences.length === 0, differences };
+}
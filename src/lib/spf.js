@@ -1,12 +1,37 @@
 import {
+  resolveTxt,
   resolveTxtRecord,
   resolveHostToIPs,
   resolveMxToIPs,
+  queryDnsRecords,
+  findZoneApex,
+  createAuthoritativeResolver,
 } from './dns-operations.js';
 import { updateZone, getAndValidateZone } from './autodns-client.js';
+import { isApexName } from './zone-changeset.js';
+import { parseSpfRecord, formatSpfTerm, hasMacros } from './spf-parser.js';
+import { parseNetwork, aggregateNetworks } from './cidr.js';
+import { analyzeSpf, SPF_LOOKUP_LIMIT } from './spf-analyzer.js';
+import { config, getAuditContext } from './config.js';
+import { auditDNSUpdate } from '../utils/audit.js';
 import { colors } from '../utils/helpers.js';
 import { logger } from '../utils/logger.js';
 
+/**
+ * TTL of the main SPF record and its chunk records (seconds)
+ */
+const SPF_RECORD_TTL = 300;
+
+/**
+ * Delay between DNS checks of newly published chunk records (milliseconds)
+ */
+const CHUNK_VERIFY_INTERVAL_MS = 5000;
+
+/**
+ * Maximum length of a single TXT string (bytes)
+ */
+const SPF_STRING_LIMIT = 255;
+
 /**
  * Query SPF record for a domain
  * @param {string} domain - Domain to query
@@ -16,114 +41,405 @@ export async function getSPFRecord(domain) {
   return resolveTxtRecord(domain, 'v=spf1');
 }
 
+/**
+ * SPF TXT record selector: the version is matched case-insensitively so that
+ * records receivers may still pick up (e.g. `V=SPF1`) are found as well
+ */
+const SPF_RECORD_PATTERN = /^v=spf1(\s|$)/i;
+
+/**
+ * Query all SPF TXT records of a domain.
+ *
+ * Unlike getSPFRecord this returns every record starting with `v=spf1` in
+ * any case, so duplicates and wrongly cased versions can be detected.
+ *
+ * @async
+ * @param {string} domain - Domain to query
+ * @returns {Promise<string[]>} SPF records (empty if there are none)
+ * @throws {Error} On DNS errors other than NXDOMAIN or an empty answer
+ */
+export async function getSPFRecords(domain) {
+  const txt = await queryDnsRecords(resolveTxt, domain);
+  return txt.map((r) => r.join('')).filter((r) => SPF_RECORD_PATTERN.test(r));
+}
+
+/**
+ * Check whether a zone record is an apex record of the deprecated SPF type
+ * (RR type 99, RFC 7208 section 3.1). Node's resolver cannot query this
+ * type, so it is only detected in the zone data.
+ *
+ * @param {object} rr - Zone resource record
+ * @returns {boolean}
+ */
+export function isLegacySpfRecord(rr) {
+  return rr.type === 'SPF' && isApexName(rr.name);
+}
+
+/**
+ * Describe what is wrong with the set of SPF records a domain publishes.
+ *
+ * @param {string[]} records - The domain's SPF TXT records (see getSPFRecords)
+ * @param {number} [legacyCount=0] - Apex records of the deprecated SPF type
+ * @returns {string[]} Problems (empty if there is at most one well-formed record)
+ *
+ * @example
+ * findSpfRecordProblems(['v=spf1 -all', 'V=SPF1 a -all']);
+ * // ['2 SPF records (permerror)', 'version must be lower-case v=spf1: V=SPF1']
+ */
+export function findSpfRecordProblems(records, legacyCount = 0) {
+  const problems = [];
+  if (records.length > 1) {
+    problems.push(`${records.length} SPF records (permerror)`);
+  }
+  const miscased = records
+    .map((r) => r.split(/\s/)[0])
+    .filter((version) => version !== 'v=spf1');
+  if (miscased.length > 0) {
+    problems.push(`version must be lower-case v=spf1: ${miscased.join(', ')}`);
+  }
+  if (legacyCount > 0) {
+    problems.push('deprecated SPF record type (99) in use');
+  }
+  return problems;
+}
+
+/**
+ * @typedef {Object} FlatteningFailure
+ * @property {string} target - Include, redirect or a/mx target that failed
+ * @property {string} reason - Why it could not be resolved
+ */
+
+/**
+ * @typedef {Object} FlatteningContext
+ * @property {FlatteningFailure[]} failures - Targets that could not be resolved
+ * @property {Object<string, string[]>} storedPins - Mechanisms of pinned
+ *   includes from the last published flattening
+ * @property {Object<string, string[]>} pinned - Mechanisms used for pinned includes
+ * @property {Object<string, number>} keptIncludes - DNS lookups of each
+ *   include kept verbatim (the include itself plus its record's lookups)
+ */
+
+/**
+ * Create the state shared by one flattening run.
+ *
+ * @param {Object<string, string[]>} [storedPins] - Stored mechanisms of pinned includes
+ * @returns {FlatteningContext}
+ */
+function createFlatteningContext(storedPins = {}) {
+  return { failures: [], storedPins, pinned: {}, keptIncludes: {} };
+}
+
+/**
+ * Normalize a domain for SPF_INCLUDE_MODES and pin lookups.
+ *
+ * @param {string} domain - Domain as written in the record
+ * @returns {string} Lower-case domain without trailing dot
+ */
+function normalizeIncludeDomain(domain) {
+  return domain.toLowerCase().replace(/\.$/, '');
+}
+
+/**
+ * Keep an include verbatim and count the DNS lookups it costs receivers.
+ *
+ * @param {import('./spf-parser.js').SpfMechanism} term - Parsed include
+ * @param {FlatteningContext} context - Flattening state
+ * @returns {Promise<string[]>} The include term
+ */
+async function keepInclude(term, context) {
+  const domain = normalizeIncludeDomain(term.domainSpec);
+  try {
+    const includeSpf = await getSPFRecord(term.domainSpec);
+    if (!includeSpf) {
+      logger.warn({ domain }, 'Could not resolve SPF for kept include');
+      context.failures.push({ target: domain, reason: 'no SPF record' });
+    } else {
+      const analysis = await analyzeSpf(term.domainSpec, includeSpf);
+      if (analysis.permerror) {
+        logger.warn({ domain, errors: analysis.errors }, 'Kept SPF include returns permerror');
+      }
+      context.keptIncludes[domain] = analysis.lookups + 1;
+    }
+  } catch (error) {
+    logger.warn({ domain, error: error.message }, 'Error resolving kept SPF include');
+    context.failures.push({ target: domain, reason: error.message });
+  }
+  logger.debug({ term: term.raw }, 'Keeping SPF include (keep-include mode)');
+  return [formatSpfTerm(term)];
+}
+
+/**
+ * Resolve an include (or a nested redirect) target and flatten its record.
+ *
+ * @param {string} domain - Target domain
+ * @param {Set<string>} visited - Set of already visited domains
+ * @param {number} depth - Recursion depth of the target record
+ * @param {FlatteningContext} context - Flattening state
+ * @returns {Promise<string[]>} Flattened mechanisms of the target
+ */
+async function flattenIncludedDomain(domain, visited, depth, context) {
+  // Prevent circular includes
+  if (visited.has(domain)) {
+    logger.warn({ domain }, 'Circular SPF include detected');
+    return [];
+  }
+  visited.add(domain);
+
+  try {
+    const includeSpf = await getSPFRecord(domain);
+    if (!includeSpf) {
+      logger.warn({ domain }, 'Could not resolve SPF for include');
+      context.failures.push({ target: domain, reason: 'no SPF record' });
+      return [];
+    }
+    // Recursively resolve this include
+    const resolved = await resolveSpfIncludes(includeSpf, visited, depth, context);
+    return resolved.mechanisms;
+  } catch (error) {
+    logger.warn({ domain, error: error.message }, 'Error resolving SPF include');
+    context.failures.push({ target: domain, reason: error.message });
+    return [];
+  }
+}
+
+/**
+ * Flatten a single mechanism into ip4/ip6 mechanisms where possible.
+ *
+ * include, a:domain and mx:domain are resolved (keeping CIDR lengths and
+ * qualifiers); mechanisms that depend on the checked domain or sender (plain
+ * a/mx, macros, exists, ptr) or whose result cannot be expressed as a list
+ * of addresses (non-pass includes) are kept as written. Includes follow
+ * their SPF_INCLUDE_MODES entry: `keep-include` keeps them as written and
+ * `pin` reuses the mechanisms stored by the last published flattening.
+ *
+ * @param {import('./spf-parser.js').SpfMechanism} term - Parsed mechanism
+ * @param {Set<string>} visited - Set of already visited domains
+ * @param {number} depth - Current recursion depth
+ * @param {FlatteningContext} context - Flattening state
+ * @returns {Promise<string[]>} Flattened mechanisms
+ */
+async function flattenMechanism(term, visited, depth, context) {
+  const { mechanism, domainSpec, qualifier } = term;
+
+  if (hasMacros(domainSpec) || mechanism === 'exists') {
+    logger.debug({ term: term.raw }, 'Keeping sender-dependent SPF mechanism');
+    return [formatSpfTerm(term)];
+  }
+
+  if (mechanism === 'ptr') {
+    logger.warn({ term: term.raw }, 'SPF ptr mechanism is deprecated and cannot be flattened');
+    return [formatSpfTerm(term)];
+  }
+
+  if (mechanism === 'include') {
+    if (qualifier !== '+') {
+      logger.warn({ term: term.raw }, 'Keeping qualified SPF include unflattened');
+      return [formatSpfTerm(term)];
+    }
+
+    const domain = normalizeIncludeDomain(domainSpec);
+    const mode = config.spfIncludeModes[domain] ?? 'flatten';
+    if (mode === 'keep-include') {
+      return keepInclude(term, context);
+    }
+    if (mode === 'pin' && context.storedPins[domain]) {
+      logger.debug({ domain }, 'Using pinned SPF include mechanisms');
+      context.pinned[domain] = context.storedPins[domain];
+      return [...context.storedPins[domain]];
+    }
+
+    const failureCount = context.failures.length;
+    const flattened = await flattenIncludedDomain(domainSpec, visited, depth + 1, context);
+    // Only pin a complete result; a failed include is resolved again next run
+    if (mode === 'pin' && context.failures.length === failureCount) {
+      context.pinned[domain] = flattened;
+    }
+    return flattened;
+  }
+
+  if (mechanism === 'a' || mechanism === 'mx') {
+    if (!domainSpec) {
+      // Skip plain 'a' or 'mx' - they're domain-contextual and should only
+      // be in each domain's own SPF record, not in shared includes
+      logger.debug(
+        { mechanism: term.raw },
+        'Skipping plain a/mx mechanism during flattening',
+      );
+      return [];
+    }
+
+    try {
+      const ips = mechanism === 'a'
+        ? await resolveHostToIPs(domainSpec)
+        : await resolveMxToIPs(domainSpec);
+      if (ips.length === 0) {
+        logger.warn({ term: term.raw }, 'SPF a/mx mechanism resolved to no addresses');
+        context.failures.push({
+          target: domainSpec,
+          reason: `${mechanism} resolved to no addresses`,
+        });
+      }
+      const prefix = qualifier === '+' ? '' : qualifier;
+      return ips.map((ip) => {
+        const cidr = ip.startsWith('ip4:') ? term.ip4Cidr : term.ip6Cidr;
+        return `${prefix}${ip}${cidr !== null ? `/${cidr}` : ''}`;
+      });
+    } catch (error) {
+      logger.warn(
+        { term: term.raw, error: error.message },
+        'Could not resolve SPF a/mx mechanism',
+      );
+      return [formatSpfTerm(term)];
+    }
+  }
+
+  // ip4, ip6
+  return [formatSpfTerm(term)];
+}
+
 /**
  * Recursively resolve all SPF includes and flatten them
+ *
+ * The record is parsed with the RFC 7208 parser (see spf-parser.js); terms
+ * with syntax errors are logged and skipped. Only the top-level record's
+ * `all` and modifiers (redirect, exp, ...) are returned as modifiers. In
+ * included records only pass (`+`) mechanisms are flattened, since only
+ * they make an include match; a nested `redirect=` without `all` is followed
+ * like an include.
+ *
  * @param {string} spfRecord - SPF record to flatten
  * @param {Set<string>} visited - Set of already visited domains
  * @param {number} depth - Current recursion depth
- * @returns {Promise<object>} Object with mechanisms and modifiers arrays
+ * @param {FlatteningContext} [context] - Flattening state shared by the recursion
+ * @returns {Promise<object>} Object with mechanisms and modifiers arrays,
+ *   `sources` mapping each top-level term to the mechanisms it flattened to,
+ *   `failures` listing the targets whose mechanisms are missing, `pinned`
+ *   (mechanisms used for pinned includes) and `keptIncludes` (DNS lookups of
+ *   includes kept verbatim)
  */
 export async function resolveSpfIncludes(
   spfRecord,
   visited = new Set(),
   depth = 0,
+  context = createFlatteningContext(),
 ) {
+  const { failures, pinned, keptIncludes } = context;
+
   // Prevent infinite loops and limit recursion depth
   if (depth > 10) {
     logger.warn({ depth }, 'Max SPF recursion depth reached');
-    return { mechanisms: [], modifiers: [] };
+    failures.push({ target: spfRecord, reason: 'maximum include depth reached' });
+    return { mechanisms: [], modifiers: [], sources: {}, failures, pinned, keptIncludes };
   }
 
   const mechanisms = [];
   const modifiers = [];
+  const sources = {};
 
-  // Parse SPF record
-  const parts = spfRecord.split(/\s+/);
+  const parsed = parseSpfRecord(spfRecord);
+  for (const error of parsed.errors) {
+    logger.warn({ error: error.message, depth }, 'Skipping invalid SPF term');
+  }
 
-  for (const part of parts) {
-    if (part === 'v=spf1') {
-      continue; // Skip version
+  for (const term of parsed.terms) {
+    if (term.type === 'modifier' || term.mechanism === 'all') {
+      if (depth === 0) {
+        modifiers.push(term.raw);
+      }
+      continue;
     }
 
-    if (part.startsWith('include:')) {
-      const includeDomain = part.substring(8);
+    if (depth > 0 && term.qualifier !== '+') {
+      logger.warn(
+        { term: term.raw, depth },
+        'Dropping non-pass mechanism of included SPF record',
+      );
+      continue;
+    }
 
-      // Prevent circular includes
-      if (visited.has(includeDomain)) {
-        logger.warn({ domain: includeDomain }, 'Circular SPF include detected');
-        continue;
-      }
+    const flattened = await flattenMechanism(term, visited, depth, context);
+    mechanisms.push(...flattened);
+    if (depth === 0) {
+      sources[term.raw] = [...(sources[term.raw] ?? []), ...flattened];
+    }
+  }
 
-      visited.add(includeDomain);
+  const hasAll = parsed.mechanisms.some((m) => m.mechanism === 'all');
+  if (depth > 0 && parsed.redirect && !hasAll) {
+    if (hasMacros(parsed.redirect)) {
+      logger.warn({ redirect: parsed.redirect }, 'Cannot follow SPF redirect with macros');
+    } else {
+      mechanisms.push(
+        ...(await flattenIncludedDomain(parsed.redirect, visited, depth + 1, context)));
+    }
+  }
 
-      try {
-        const includeSpf = await getSPFRecord(includeDomain);
-        if (includeSpf) {
-          // Recursively resolve this include
-          const resolved = await resolveSpfIncludes(
-            includeSpf,
-            visited,
-            depth + 1,
-          );
-          mechanisms.push(...resolved.mechanisms);
-          modifiers.push(...resolved.modifiers);
-        } else {
-          logger.warn(
-            { domain: includeDomain },
-            'Could not resolve SPF for include',
-          );
-        }
-      } catch (error) {
-        logger.warn(
-          { domain: includeDomain, error: error.message },
-          'Error resolving SPF include',
-        );
-      }
-    } else if (part.startsWith('redirect=')) {
-      modifiers.push(part);
-    } else if (
-      part === 'all' ||
-      part.startsWith('-all') ||
-      part.startsWith('~all') ||
-      part.startsWith('+all') ||
-      part.startsWith('?all')
-    ) {
-      modifiers.push(part);
-    } else if (part === 'a' || part === 'mx') {
-      // Skip plain 'a' or 'mx' - they're domain-contextual and should only
-      // be in each domain's own SPF record, not in shared includes
-      logger.debug(
-        { mechanism: part },
-        'Skipping plain a/mx mechanism during flattening',
-      );
-    } else if (part.startsWith('a:')) {
-      const hostname = part.substring(2);
-      try {
-        const ips = await resolveHostToIPs(hostname);
-        mechanisms.push(...ips);
-      } catch (error) {
-        logger.warn(
-          { hostname, error: error.message },
-          'Could not resolve A record',
-        );
-        mechanisms.push(part);
-      }
-    } else if (part.startsWith('mx:')) {
-      const domain = part.substring(3);
-      try {
-        const ips = await resolveMxToIPs(domain);
-        mechanisms.push(...ips);
-      } catch (error) {
-        logger.warn({ domain, error: error.message }, 'Could not resolve MX');
-        mechanisms.push(part);
+  return { mechanisms, modifiers, sources, failures, pinned, keptIncludes };
+}
+
+/**
+ * Mechanisms that make receivers query DNS
+ */
+const LOOKUP_MECHANISMS = new Set(['include', 'a', 'mx', 'ptr', 'exists']);
+
+/**
+ * Aggregate the ip4/ip6 mechanisms of a flattened record.
+ *
+ * Contiguous ranges are merged and ranges covered by a wider one dropped,
+ * so the authorized address set stays exactly the same. Since the first
+ * matching mechanism decides, only runs of consecutive pass mechanisms are
+ * aggregated; qualified mechanisms (e.g. `-ip4:`), modifiers and mechanisms
+ * doing DNS lookups (`include:`, `a`, `exists:`, ...) end a run and keep
+ * their position, so no network moves ahead of them.
+ *
+ * @param {string[]} mechanisms - Flattened mechanisms
+ * @returns {string[]} Mechanisms with aggregated ip4/ip6 networks
+ *
+ * @example
+ * aggregateIpMechanisms(['ip4:192.0.2.0/25', 'ip4:192.0.2.128/25', 'ip4:192.0.2.7']);
+ * // ['ip4:192.0.2.0/24']
+ */
+export function aggregateIpMechanisms(mechanisms) {
+  const parsed = parseSpfRecord(`v=spf1 ${mechanisms.join(' ')}`);
+  const termsByIndex = new Map(parsed.terms.map((term) => [term.index, term]));
+
+  const result = [];
+  let networks = [];
+  let insertAt = -1;
+  const flushRun = () => {
+    const blocks = aggregateNetworks(networks).map(({ version, address, prefix }) =>
+      (prefix === (version === 4 ? 32 : 128)
+        ? `ip${version}:${address}`
+        : `ip${version}:${address}/${prefix}`));
+    result.splice(insertAt, 0, ...blocks);
+    networks = [];
+    insertAt = -1;
+  };
+
+  mechanisms.forEach((mechanism, index) => {
+    const term = termsByIndex.get(index);
+    const isIp = term?.type === 'mechanism' &&
+      (term.mechanism === 'ip4' || term.mechanism === 'ip6');
+
+    if (isIp && term.qualifier === '+') {
+      if (insertAt === -1) {
+        insertAt = result.length;
       }
-    } else {
-      // Keep other mechanisms as-is (ip4, ip6, etc.)
-      mechanisms.push(part);
+      const prefix = term.mechanism === 'ip4' ? term.ip4Cidr : term.ip6Cidr;
+      networks.push(parseNetwork(term.network, prefix));
+      return;
+    }
+    const endsRun = term?.qualifier !== '+' || LOOKUP_MECHANISMS.has(term.mechanism);
+    if (endsRun && networks.length > 0) {
+      flushRun();
     }
+    result.push(mechanism);
+  });
+  if (networks.length > 0) {
+    flushRun();
   }
 
-  return { mechanisms, modifiers };
+  return result;
 }
 
 /**
@@ -161,19 +477,130 @@ export function splitMechanismsIntoChunks(mechanisms, maxChunkSize = 240) {
   return chunks;
 }
 
+/**
+ * Count the DNS lookups receivers spend on the terms of a flattened record.
+ *
+ * Kept includes count with the lookups of their record; other includes
+ * (qualified ones) count as a single lookup.
+ *
+ * @param {string[]} parts - Mechanisms and modifiers of the flattened record
+ * @param {Object<string, number>} keptIncludes - Lookups per kept include domain
+ * @returns {number} DNS lookups
+ */
+function countFlattenedLookups(parts, keptIncludes) {
+  const parsed = parseSpfRecord(['v=spf1', ...parts].join(' '));
+  let lookups = parsed.redirect ? 1 : 0;
+  for (const { mechanism, domainSpec } of parsed.mechanisms) {
+    if (mechanism === 'include') {
+      lookups += keptIncludes[normalizeIncludeDomain(domainSpec)] ?? 1;
+    } else if (['a', 'mx', 'ptr', 'exists'].includes(mechanism)) {
+      lookups++;
+    }
+  }
+  return lookups;
+}
+
+/**
+ * Longest form a relative chunk include (include:_spf1) can take once
+ * published (see withChunkIncludes), assuming up to 99999 generations and 99
+ * chunks.
+ *
+ * @returns {string} Chunk include of maximum length
+ */
+function longestChunkInclude() {
+  return `include:${config.mainSpfRecordName}-v99999-99`;
+}
+
+/**
+ * Length of a record once its relative chunk includes are fully qualified.
+ *
+ * @param {string} record - Main or chunk record from buildFlattenedSpfRecord
+ * @returns {number} Upper bound of the published length in bytes
+ */
+function publishedLength(record) {
+  return record.replace(/include:_spf\d+(?=\s|$)/g, longestChunkInclude()).length;
+}
+
+/**
+ * Arrange flattened terms in chunk records.
+ *
+ * The `flat` layout lists every chunk in the main record. When that main
+ * record would not fit in one TXT string, the `chain` layout is used: the
+ * main record includes the first chunk and every chunk includes the next
+ * one. Both cost one DNS lookup per chunk.
+ *
+ * @param {string[]} parts - Mechanisms and modifiers (without `all`)
+ * @param {string|undefined} allModifier - Final `all` term of the main record
+ * @returns {{mainRecord: string, chunkRecords: string[], layout: 'flat'|'chain'}}
+ *   Records with relative chunk includes (include:_spf1, ...)
+ */
+function layoutChunks(parts, allModifier) {
+  // Use ~all (softfail) in chunks - the main record has the final policy
+  const flatChunks = splitMechanismsIntoChunks(parts);
+  const flatMain = ['v=spf1', ...flatChunks.map((_, i) => `include:_spf${i + 1}`), allModifier]
+    .filter(Boolean)
+    .join(' ');
+  if (publishedLength(flatMain) <= SPF_STRING_LIMIT) {
+    return {
+      mainRecord: flatMain,
+      chunkRecords: flatChunks.map((chunk) => ['v=spf1', ...chunk, '~all'].join(' ')),
+      layout: 'flat',
+    };
+  }
+
+  const chainChunks = splitMechanismsIntoChunks(parts, 240 - longestChunkInclude().length - 1);
+  return {
+    mainRecord: ['v=spf1', 'include:_spf1', allModifier].filter(Boolean).join(' '),
+    chunkRecords: chainChunks.map((chunk, i) => {
+      const next = i + 1 < chainChunks.length ? [`include:_spf${i + 2}`] : [];
+      return ['v=spf1', ...chunk, ...next, '~all'].join(' ');
+    }),
+    layout: 'chain',
+  };
+}
+
+/**
+ * List the records that would exceed the TXT string limit once published.
+ *
+ * @param {string} mainRecord - Main record with relative chunk includes
+ * @param {string[]} chunkRecords - Chunk records with relative chunk includes
+ * @returns {string[]} One message per oversized record
+ */
+function findOversizedRecords(mainRecord, chunkRecords) {
+  return [['main record', mainRecord], ...chunkRecords.map((r, i) => [`chunk ${i + 1}`, r])]
+    .filter(([, record]) => publishedLength(record) > SPF_STRING_LIMIT)
+    .map(([label, record]) =>
+      `${label} would be up to ${publishedLength(record)} bytes, ` +
+        `over the ${SPF_STRING_LIMIT}-byte TXT string limit`);
+}
+
 /**
  * Build flattened SPF record by resolving all includes
  * Now splits large records into multiple chunks to avoid DNS UDP fragmentation
  * @param {string} baseSpfRecord - Base SPF record to flatten
- * @returns {Promise<object>} Object with mainRecord and optional chunkRecords array
+ * @param {Object<string, string[]>} [storedPins] - Mechanisms of pinned includes
+ *   from the last published flattening
+ * @returns {Promise<object>} Object with mainRecord, chunkRecords, needsSplit,
+ *   `sources` (the flattened mechanisms of each term of the base record),
+ *   `failures` (targets that could not be resolved), `pinned` (mechanisms
+ *   of pinned includes, to be stored), `lookups` (DNS lookups of the
+ *   published records) and `limitViolations` (records that would exceed the
+ *   TXT string limit once published)
  */
-export async function buildFlattenedSpfRecord(baseSpfRecord) {
+export async function buildFlattenedSpfRecord(baseSpfRecord, storedPins = {}) {
   console.log(`\nResolving SPF includes from: ${baseSpfRecord}`);
 
-  const resolved = await resolveSpfIncludes(baseSpfRecord);
+  const resolved = await resolveSpfIncludes(
+    baseSpfRecord,
+    new Set(),
+    0,
+    createFlatteningContext(storedPins),
+  );
+  const sources = Object.fromEntries(Object.entries(resolved.sources)
+    .map(([term, mechanisms]) => [term, [...new Set(mechanisms)]]));
 
-  // Remove duplicates
-  const uniqueMechanisms = [...new Set(resolved.mechanisms)];
+  // Remove duplicates and aggregate ip4/ip6 networks
+  const uniqueMechanisms = aggregateIpMechanisms([...new Set(resolved.mechanisms)]);
   const uniqueModifiers = [...new Set(resolved.modifiers)];
 
   // Get the 'all' modifier to add at the end
@@ -192,8 +619,9 @@ export async function buildFlattenedSpfRecord(baseSpfRecord) {
   console.log(`Length: ${flattenedSpf.length} bytes`);
   console.log(
     `Original mechanisms: ${resolved.mechanisms.length}, ` +
-      `Unique: ${uniqueMechanisms.length}`,
+      `Unique and aggregated: ${uniqueMechanisms.length}`,
   );
+  const partLookups = countFlattenedLookups(allParts, resolved.keptIncludes);
 
   // Check if we need to split the record (255 char DNS TXT string limit)
   if (flattenedSpf.length > 240) {
@@ -201,61 +629,74 @@ export async function buildFlattenedSpfRecord(baseSpfRecord) {
       `${colors.yellow}⚠${colors.reset} SPF record exceeds 240 bytes, splitting into chunks...`,
     );
 
-    // Split mechanisms into chunks
-    const chunks = splitMechanismsIntoChunks(allParts);
+    const { mainRecord, chunkRecords, layout } = layoutChunks(allParts, allModifier);
 
-    console.log(`Split into ${chunks.length} chunks:\n`);
-    const chunkRecords = chunks.map((chunk, index) => {
-      // Use ~all (softfail) in chunks - the main record has the final policy
-      const record = ['v=spf1', ...chunk, '~all'].join(' ');
+    console.log(`Split into ${chunkRecords.length} chunks (${layout} layout):\n`);
+    chunkRecords.forEach((record, index) => {
       console.log(`  Chunk ${index + 1}: ${record.length} bytes`);
-      return record;
     });
 
-    // Main record will include all chunks plus the final 'all' modifier
-    // Note: includes will be relative (_spf1, _spf2, etc.) and will be made FQDNs
-    // when actually updating the zone
-    const includeStatements = chunks.map((_, i) => `include:_spf${i + 1}`);
-    const mainRecord = ['v=spf1', ...includeStatements, allModifier]
-      .filter(Boolean)
-      .join(' ');
-
     console.log(`\nMain record: ${mainRecord} (${mainRecord.length} bytes)\n`);
+    const lookups = chunkRecords.length + partLookups;
+    console.log(`DNS lookups: ${lookups}/${SPF_LOOKUP_LIMIT}\n`);
 
     return {
       mainRecord,
       chunkRecords,
       needsSplit: true,
+      sources,
+      failures: resolved.failures,
+      pinned: resolved.pinned,
+      lookups,
+      limitViolations: findOversizedRecords(mainRecord, chunkRecords),
     };
   }
 
   console.log(
-    `${colors.green}✓${colors.reset} SPF record fits within DNS TXT limit\n`,
+    `${colors.green}✓${colors.reset} SPF record fits within DNS TXT limit`,
   );
+  console.log(`DNS lookups: ${partLookups}/${SPF_LOOKUP_LIMIT}\n`);
 
   return {
     mainRecord: flattenedSpf,
     chunkRecords: [],
     needsSplit: false,
+    sources,
+    failures: resolved.failures,
+    pinned: resolved.pinned,
+    lookups: partLookups,
+    limitViolations: [],
   };
 }
 
 /**
- * Update domain's SPF record
- * @param {string} domainName - Domain name
- * @param {string} spfValue - New SPF value
- * @returns {Promise<object>} Update result
+ * Check whether a zone record is an apex SPF TXT record.
+ * @param {object} rr - Zone resource record
+ * @returns {boolean} True for an apex TXT record starting with v=spf1 (any case)
  */
-export async function updateDomainSPFRecord(domainName, spfValue) {
-  try {
-    const zone = await getAndValidateZone(domainName);
-
-    // Find existing SPF TXT record or create new one
-    let recordFound = false;
+function isApexSpfRecord(rr) {
+  return rr.type === 'TXT' &&
+    isApexName(rr.name) &&
+    typeof rr.value === 'string' &&
+    SPF_RECORD_PATTERN.test(rr.value);
+}
 
-    // Guard: Apex CNAME conflicts with any other record
+/**
+ * Stage the domain's SPF record on a zone changeset
+ *
+ * The first apex SPF TXT record is updated; any other apex SPF TXT record
+ * and records of the deprecated SPF type are removed, so the zone ends up
+ * with exactly one SPF record.
+ *
+ * @param {import('./zone-changeset.js').ZoneChangeset} changeset
+ *   Changeset for the domain's zone
+ * @param {string} spfValue - New SPF value
+ */
+export function stageDomainSPFRecord(changeset, spfValue) {
+  // Guard: Apex CNAME conflicts with any other record
+  changeset.guard((zone) => {
     const hasApexCname = zone.resourceRecords.some(
-      (rr) => rr.type === 'CNAME' && (rr.name === '' || rr.name === '@'),
+      (rr) => rr.type === 'CNAME' && isApexName(rr.name),
     );
     if (hasApexCname) {
       throw new Error(
@@ -263,43 +704,20 @@ export async function updateDomainSPFRecord(domainName, spfValue) {
           'SPF TXT at zone apex due to DNS constraints',
       );
     }
+  });
 
-    for (const record of zone.resourceRecords) {
-      // SPF record is a TXT record with empty name for the domain itself
-      if (
-        record.type === 'TXT' &&
-        (record.name === '' || record.name === '@') &&
-        record.value &&
-        record.value.startsWith('v=spf1')
-      ) {
-        // Update existing SPF record
-        record.value = spfValue;
-        record.ttl = 300;
-        recordFound = true;
-        break;
-      }
-    }
-
-    if (!recordFound) {
-      // Add new SPF record
-      zone.resourceRecords.push({
-        name: '',
-        type: 'TXT',
-        value: spfValue,
-        ttl: 300,
-      });
-    }
-
-    // Update the zone
-    const updateResult = await updateZone(domainName, zone);
-    return updateResult;
-  } catch (error) {
-    console.error(
-      `  ${colors.red}✗${colors.reset} ` +
-        `Failed to update SPF for ${domainName}`,
-    );
-    throw error;
-  }
+  changeset.upsert({
+    name: '',
+    type: 'TXT',
+    value: spfValue,
+    label: 'SPF',
+    match: isApexSpfRecord,
+  });
+  // Consolidate: after the upsert only the updated record has the new value
+  changeset.remove({
+    label: 'SPF',
+    match: (rr) => isLegacySpfRecord(rr) || (isApexSpfRecord(rr) && rr.value !== spfValue),
+  });
 }
 
 /**
@@ -312,18 +730,20 @@ export async function updateDomainSPFRecord(domainName, spfValue) {
  * @param {string} recordPrefix - Record name prefix to find/insert
  * @param {string} recordValue - TXT record value
  * @param {string} logName - Human-readable name for console/log messages
+ * @returns {string|null} Previous value of the record, or null if it was created
  */
 function upsertTXTRecord(records, recordPrefix, recordValue, logName) {
   for (let i = 0; i < records.length; i++) {
     if (records[i].type === 'TXT' && records[i].name === recordPrefix) {
+      const previousValue = records[i].value;
       records[i] = {
         name: recordPrefix,
         type: 'TXT',
         value: recordValue,
-        ttl: 300,
+        ttl: SPF_RECORD_TTL,
       };
       logger.debug({ record: recordPrefix }, 'Updated existing TXT record');
-      return;
+      return previousValue;
     }
   }
 
@@ -334,9 +754,56 @@ function upsertTXTRecord(records, recordPrefix, recordValue, logName) {
     name: recordPrefix,
     type: 'TXT',
     value: recordValue,
-    ttl: 300,
+    ttl: SPF_RECORD_TTL,
   });
   logger.debug({ record: recordPrefix }, 'Creating new TXT record');
+  return null;
+}
+
+/**
+ * @typedef {Object} MainSpfChange
+ * @property {string} record - Fully qualified record name
+ * @property {string} recordType - Record kind for the audit trail
+ * @property {string|null} before - Previous value (null if created)
+ * @property {string|null} after - New value (null if removed)
+ */
+
+/**
+ * Write a zone for the main SPF record and audit the record changes it
+ * carries. Unchanged records are not audited.
+ *
+ * @async
+ * @param {string} zoneName - Zone to update
+ * @param {Object} zone - Zone object with the changes applied
+ * @param {MainSpfChange[]} changes - Record changes contained in the update
+ * @returns {Promise<Object>} Response from updateZone
+ * @throws {Error} If the update fails (after auditing the failure)
+ */
+async function updateZoneAudited(zoneName, zone, changes) {
+  let updateResult;
+  let updateError;
+  try {
+    updateResult = await updateZone(zoneName, zone);
+    return updateResult;
+  } catch (error) {
+    updateError = error;
+    throw error;
+  } finally {
+    for (const { record, recordType, before, after } of changes) {
+      if (before === after) {
+        continue;
+      }
+      await auditDNSUpdate({
+        domain: zoneName,
+        recordType,
+        before,
+        after,
+        success: !updateError && updateResult?.status?.type === 'SUCCESS',
+        error: updateError?.message,
+        metadata: { ...getAuditContext(), record, label: 'main SPF' },
+      });
+    }
+  }
 }
 
 /**
@@ -359,38 +826,196 @@ function logUpdateStatus(updateResult, recordName) {
   return updateResult;
 }
 
+/**
+ * Report that a main SPF record already has its flattened value.
+ *
+ * @param {string} recordName - Human-readable name for console messages
+ * @returns {{status: {type: string}, unchanged: true}} Result in updateZone's shape
+ */
+function skipUnchangedUpdate(recordName) {
+  logger.info({ record: recordName }, 'Main SPF record unchanged, skipping zone update');
+  console.log(
+    `${colors.green}✓${colors.reset} ${recordName} unchanged, skipping zone update`,
+  );
+  return { status: { type: 'SUCCESS' }, unchanged: true };
+}
+
+/**
+ * Resolve the zone that owns a record name.
+ *
+ * The closest enclosing name with an SOA record wins. If DNS does not know
+ * the zone (e.g. it is not delegated yet), the enclosing names are looked up
+ * in AutoDNS instead, longest first.
+ *
+ * @async
+ * @param {string} recordName - Fully qualified record name
+ * @returns {Promise<{zoneName: string, recordPrefix: string}>} Owning zone and
+ *   the record name relative to it
+ * @throws {Error} If neither DNS nor AutoDNS knows an enclosing zone
+ */
+async function resolveOwningZone(recordName) {
+  const fqdn = recordName.toLowerCase().replace(/\.$/, '');
+  const labels = fqdn.split('.');
+  let zoneName = null;
+
+  try {
+    zoneName = await findZoneApex(fqdn);
+  } catch (error) {
+    logger.warn({ record: fqdn, error: error.message }, 'SOA lookup failed, asking AutoDNS');
+  }
+
+  for (let i = 0; !zoneName && i < labels.length - 1; i++) {
+    const candidate = labels.slice(i).join('.');
+    try {
+      await getAndValidateZone(candidate);
+      zoneName = candidate;
+    } catch (_error) {
+      // Not a zone in AutoDNS, try the parent
+    }
+  }
+
+  if (!zoneName) {
+    throw new Error(`Could not determine the zone of ${recordName}`);
+  }
+
+  const recordPrefix = fqdn === zoneName ? '' : fqdn.slice(0, -(zoneName.length + 1));
+  logger.debug({ record: fqdn, zone: zoneName, name: recordPrefix }, 'Resolved owning zone');
+  return { zoneName, recordPrefix };
+}
+
+/**
+ * Expiry time (ISO 8601) per fully qualified name of a chunk record the main
+ * record no longer includes. Stored in SPF_STATE_PATH between runs.
+ * @typedef {Object<string, string>} RetiredSpfChunks
+ */
+
+/**
+ * @typedef {Object} SpfChunkRecord
+ * @property {Object} rr - Zone resource record
+ * @property {number|null} generation - Chunk generation (null for unversioned
+ *   chunks like _spf1)
+ * @property {number} index - Position of the chunk within its generation (1-based)
+ */
+
+/**
+ * Find the chunk records of a main SPF record in a zone.
+ *
+ * Chunks are named `<prefix>-v<generation>-<index>`; unversioned chunks
+ * (`<prefix><index>`) from earlier releases are recognized so they get
+ * garbage-collected.
+ *
+ * @param {Object[]} records - Zone's resourceRecords
+ * @param {string} recordPrefix - Name of the main record relative to the zone
+ * @returns {SpfChunkRecord[]}
+ */
+function findChunkRecords(records, recordPrefix) {
+  const escaped = recordPrefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`^${escaped}(?:-v(\\d+)-)?(\\d+)$`);
+  return records.flatMap((rr) => {
+    const match = rr.type === 'TXT' ? rr.name.match(pattern) : null;
+    if (!match) {
+      return [];
+    }
+    const generation = match[1] === undefined ? null : Number(match[1]);
+    return [{ rr, generation, index: Number(match[2]) }];
+  });
+}
+
+/**
+ * Point the relative chunk includes of a main record (include:_spf1, ...) at
+ * the chunk records of a generation.
+ *
+ * @param {string} mainRecord - Main record from buildFlattenedSpfRecord
+ * @param {string} recordPrefix - Name of the main record relative to the zone
+ * @param {number} generation - Chunk generation
+ * @param {string} zoneName - Zone owning the records
+ * @returns {string} Main record with fully qualified chunk includes
+ */
+function withChunkIncludes(mainRecord, recordPrefix, generation, zoneName) {
+  return mainRecord.replace(
+    /include:_spf(\d+)(?=\s|$)/g,
+    `include:${recordPrefix}-v${generation}-$1.${zoneName}`,
+  );
+}
+
+/**
+ * Wait until newly published chunk records are served by the zone's
+ * authoritative name servers. Skipped in dry-run mode.
+ *
+ * @async
+ * @param {string} zoneName - Zone owning the records
+ * @param {Object<string, string>} expected - Expected value per fully qualified name
+ * @returns {Promise<void>}
+ * @throws {Error} If a record is not visible within SPF_CHUNK_VERIFY_TIMEOUT
+ */
+async function verifyChunkRecords(zoneName, expected) {
+  if (config.dryRun) {
+    logger.info({ zone: zoneName }, '[DRY-RUN] Skipping DNS check of SPF chunk records');
+    return;
+  }
+
+  console.log('Waiting for the SPF chunk records to appear in DNS...');
+  const resolver = await createAuthoritativeResolver(zoneName);
+  const deadline = Date.now() + config.spfChunkVerifyTimeout * 1000;
+  let pending = Object.keys(expected);
+
+  for (;;) {
+    const visible = await Promise.all(pending.map(async (name) => {
+      const records = await queryDnsRecords((n) => resolver.resolveTxt(n), name);
+      return records.some((strings) => strings.join('') === expected[name]);
+    }));
+    pending = pending.filter((_, i) => !visible[i]);
+    if (pending.length === 0) {
+      logger.debug({ zone: zoneName }, 'SPF chunk records visible in DNS');
+      return;
+    }
+    if (Date.now() >= deadline) {
+      throw new Error(
+        `SPF chunk records not visible in DNS after ${config.spfChunkVerifyTimeout}s: ` +
+          `${pending.join(', ')}`,
+      );
+    }
+    await new Promise((resolve) => setTimeout(resolve, CHUNK_VERIFY_INTERVAL_MS));
+  }
+}
+
 /**
  * Update the main SPF TXT record and create chunk records if needed
+ *
+ * The records are written to the zone that owns `recordName` (see
+ * resolveOwningZone), so multi-label zones and delegated subzones work.
+ *
+ * Chunks are never rewritten in place. A changed set of chunks is published
+ * as a new generation (`_spf-v7-1`, `_spf-v7-2`, ...), checked on the
+ * authoritative name servers, and only then does the main record switch to
+ * it. Chunks the main record no longer includes are removed once the old
+ * main record's TTL has passed, possibly in a later run; `retiredChunks`
+ * carries their expiry times between runs. Zone writes are skipped when the
+ * records already hold the flattened values and no chunk is due for removal.
+ *
  * @param {string} recordName - Full record name (e.g., _spf.example.com)
  * @param {object} spfData - SPF data object with mainRecord, chunkRecords, needsSplit
- * @returns {Promise<object>} Update result
+ * @param {RetiredSpfChunks} [retiredChunks] - Retired chunks from the last run
+ * @returns {Promise<object>} Update result, with the `retiredChunks` still
+ *   waiting for removal
+ * @throws {Error} If the owning zone cannot be determined, new chunks do not
+ *   appear in DNS, or the update fails
  */
-export async function updateMainSPFRecord(recordName, spfData) {
-  let { mainRecord } = spfData;
+export async function updateMainSPFRecord(recordName, spfData, retiredChunks = {}) {
   const { chunkRecords, needsSplit } = spfData;
 
-  // Extract the zone name and record prefix
-  const parts = recordName.split('.');
-  const zoneName = parts.slice(-2).join('.');
-  const recordPrefix = parts.slice(0, -2).join('.');
-
-  // Update includes in mainRecord to use FQDNs (e.g., _spf1.diebasis.de)
-  if (needsSplit) {
-    mainRecord = mainRecord.replace(
-      /include:_spf(\d+)/g,
-      `include:_spf$1.${zoneName}`,
-    );
+  const { zoneName, recordPrefix } = await resolveOwningZone(recordName);
+  if (needsSplit && recordPrefix === '') {
+    throw new Error(`Cannot create SPF chunk records for ${recordName}: it is a zone apex`);
   }
 
-  logger.info(
-    { record: recordName, value: mainRecord },
-    'Updating main SPF record',
-  );
-  console.log(`\nUpdating DNS record: ${recordName}`);
-  console.log(`New value: ${mainRecord}\n`);
-
   try {
     const zone = await getAndValidateZone(zoneName);
+    /** @type {MainSpfChange[]} */
+    const changes = [];
+    // Chunks are published from the zone as it is; the records removed below
+    // are only written (and audited) with the main record
+    const publishedZone = structuredClone(zone);
 
     // Remove any non-TXT records with the same name FIRST to prevent AutoDNS validation issues
     // (e.g., if _spf has both TXT and A records, keep only the TXT)
@@ -403,124 +1028,125 @@ export async function updateMainSPFRecord(recordName, spfData) {
         console.log(
           `  ${colors.yellow}⚠${colors.reset} Removed ${record.type} record ${recordPrefix}.${zoneName}`,
         );
+        changes.push({
+          record: recordName, recordType: record.type, before: record.value, after: null,
+        });
         return false;
       }
       return true;
     });
 
-    // If we need to split, create chunk records and update the main record separately
-    if (needsSplit && chunkRecords.length > 0) {
-      console.log(`Creating ${chunkRecords.length} SPF chunk records...`);
+    const currentMain = zone.resourceRecords
+      .find((record) => record.type === 'TXT' && record.name === recordPrefix);
+    const chunks = findChunkRecords(zone.resourceRecords, recordPrefix);
+    const generations = [...new Set(chunks.map(({ generation }) => generation))]
+      .filter((generation) => generation !== null);
 
-      // First, update ONLY the changes needed for chunks (remove main record from update)
-      const zonesForChunkUpdate = JSON.parse(JSON.stringify(zone)); // Deep copy
+    let { mainRecord } = spfData;
+    let activeGeneration = null;
+    if (needsSplit) {
+      // Chained chunks include the next chunk of their own generation
+      const chunkValues = (generation) => chunkRecords
+        .map((value) => withChunkIncludes(value, recordPrefix, generation, zoneName));
 
-      // Remove the main SPF record from this update to avoid API validation issues
-      zonesForChunkUpdate.resourceRecords =
-        zonesForChunkUpdate.resourceRecords.filter(
-          (record) => !(record.type === 'TXT' && record.name === recordPrefix),
-        );
-
-      for (let i = 0; i < chunkRecords.length; i++) {
-        const chunkName = `${recordPrefix}${i + 1}`;
-        const chunkValue = chunkRecords[i];
-
-        // Find existing chunk record or prepare for creation
-        let chunkFound = false;
-        for (let j = 0; j < zonesForChunkUpdate.resourceRecords.length; j++) {
-          if (
-            zonesForChunkUpdate.resourceRecords[j].type === 'TXT' &&
-            zonesForChunkUpdate.resourceRecords[j].name === chunkName
-          ) {
-            zonesForChunkUpdate.resourceRecords[j].value = chunkValue;
-            zonesForChunkUpdate.resourceRecords[j].ttl = 300;
-            chunkFound = true;
-            console.log(
-              `  ${colors.green}✓${colors.reset} Updated ${chunkName}.${zoneName}`,
-            );
-            break;
-          }
-        }
+      // Keep the published generation if it already holds the flattened chunks
+      activeGeneration = generations.find((generation) => {
+        const published = chunks
+          .filter((chunk) => chunk.generation === generation)
+          .sort((a, b) => a.index - b.index)
+          .map(({ rr }) => rr.value);
+        const expectedMain = withChunkIncludes(mainRecord, recordPrefix, generation, zoneName);
+        return currentMain?.value === expectedMain &&
+          JSON.stringify(published) === JSON.stringify(chunkValues(generation));
+      }) ?? null;
 
-        if (!chunkFound) {
-          zonesForChunkUpdate.resourceRecords.push({
-            name: chunkName,
-            type: 'TXT',
-            value: chunkValue,
-            ttl: 300,
-          });
-          console.log(
-            `  ${colors.green}✓${colors.reset} Created ${chunkName}.${zoneName}`,
+      if (activeGeneration === null) {
+        activeGeneration = Math.max(0, ...generations) + 1;
+        const values = chunkValues(activeGeneration);
+        const oversized = [
+          withChunkIncludes(mainRecord, recordPrefix, activeGeneration, zoneName),
+          ...values,
+        ].filter((value) => value.length > SPF_STRING_LIMIT);
+        if (oversized.length > 0) {
+          throw new Error(
+            `SPF records exceed the ${SPF_STRING_LIMIT}-byte TXT string limit: ` +
+              `${oversized.join(' | ')}`,
           );
         }
+        await publishChunkGeneration(
+          zoneName, publishedZone, recordPrefix, activeGeneration, values,
+        );
+      } else {
+        console.log(`SPF chunk records unchanged (generation ${activeGeneration})`);
       }
+      mainRecord = withChunkIncludes(mainRecord, recordPrefix, activeGeneration, zoneName);
+    }
 
-      // Remove old chunk records that are no longer needed
-      const expectedChunks = new Set(
-        Array.from(
-          { length: chunkRecords.length },
-          (_, i) => `${recordPrefix}${i + 1}`,
-        ),
-      );
-
-      zonesForChunkUpdate.resourceRecords =
-        zonesForChunkUpdate.resourceRecords.filter((record) => {
-          if (
-            record.type === 'TXT' &&
-            record.name.startsWith(recordPrefix) &&
-            /\d+$/.test(record.name) &&
-            !expectedChunks.has(record.name)
-          ) {
-            console.log(
-              `  ${colors.yellow}⚠${colors.reset} Removed old chunk ${record.name}.${zoneName}`,
-            );
-            return false;
-          }
-          return true;
-        });
+    logger.info(
+      { record: recordName, value: mainRecord },
+      'Updating main SPF record',
+    );
+    console.log(`\nUpdating DNS record: ${recordName}`);
+    console.log(`New value: ${mainRecord}\n`);
 
-      // Update zone with chunk records ONLY (without the main SPF record)
-      logger.debug(
-        { zone: zoneName, chunks: chunkRecords.length },
-        'Updating zone with SPF chunks',
-      );
-      try {
-        await updateZone(zoneName, zonesForChunkUpdate);
-        logger.debug({ zone: zoneName }, 'SPF chunks updated successfully');
-      } catch (chunkError) {
-        logger.error(
-          { zone: zoneName, error: chunkError.message },
-          'Failed to update SPF chunks',
-        );
-        throw chunkError;
+    // Chunks are retired once the main record stops including them; resolvers
+    // may still follow the old main record for its TTL
+    const now = Date.now();
+    const retireAt = new Date(now + (currentMain?.ttl ?? SPF_RECORD_TTL) * 1000).toISOString();
+    const pending = {};
+    const expired = new Set();
+    for (const { rr, generation } of chunks) {
+      if (needsSplit && generation === activeGeneration) {
+        continue;
       }
+      const fqdn = `${rr.name}.${zoneName}`;
+      const includedNow = currentMain?.value.split(/\s+/).includes(`include:${fqdn}`);
+      const expiresAt = (!includedNow && retiredChunks[fqdn]) || retireAt;
+      if (!includedNow && Date.parse(expiresAt) <= now) {
+        expired.add(rr.name);
+      } else {
+        pending[fqdn] = expiresAt;
+      }
+    }
 
-      // Wait for chunk records to be processed by the API before creating the main record
-      console.log('Waiting for DNS API to process chunk records...');
-      await new Promise((resolve) => setTimeout(resolve, 3000));
+    // Switch the main record (chunks of a new generation are in DNS by now)
+    const targetZone = needsSplit ? await getAndValidateZone(zoneName) : zone;
+    if (needsSplit) {
+      targetZone.resourceRecords = targetZone.resourceRecords
+        .filter((record) => record.name !== recordPrefix || record.type === 'TXT');
+    }
+    const previousMain = upsertTXTRecord(
+      targetZone.resourceRecords, recordPrefix, mainRecord, recordName,
+    );
+    changes.push({ record: recordName, recordType: 'SPF', before: previousMain, after: mainRecord });
 
-      // Now update the main SPF record in a completely separate zone update
-      logger.debug(
-        { zone: zoneName, record: recordPrefix },
-        'Preparing to update main SPF record',
+    targetZone.resourceRecords = targetZone.resourceRecords.filter((record) => {
+      if (record.type !== 'TXT' || !expired.has(record.name)) {
+        return true;
+      }
+      console.log(
+        `  ${colors.yellow}⚠${colors.reset} Removed old chunk ${record.name}.${zoneName}`,
       );
-      const freshZone = await getAndValidateZone(zoneName);
-
-      upsertTXTRecord(freshZone.resourceRecords, recordPrefix, mainRecord, recordName);
+      changes.push({
+        record: `${record.name}.${zoneName}`, recordType: 'SPF', before: record.value, after: null,
+      });
+      return false;
+    });
 
-      // Update the zone with the full record set (including chunks and main)
-      return logUpdateStatus(await updateZone(zoneName, freshZone), recordName);
+    if (changes.every(({ before, after }) => before === after)) {
+      return { ...skipUnchangedUpdate(recordName), retiredChunks: pending };
     }
 
-    // No splitting needed - update the main SPF record directly
-    logger.debug(
-      { zone: zoneName, record: recordPrefix },
-      'Updating main SPF record (no split needed)',
+    const updateResult = logUpdateStatus(
+      await updateZoneAudited(zoneName, targetZone, changes),
+      recordName,
     );
-
-    upsertTXTRecord(zone.resourceRecords, recordPrefix, mainRecord, recordName);
-
-    return logUpdateStatus(await updateZone(zoneName, zone), recordName);
+    if (Object.keys(pending).length > 0) {
+      console.log(
+        `${Object.keys(pending).length} old SPF chunk record(s) kept until their TTL has expired`,
+      );
+    }
+    return { ...updateResult, retiredChunks: pending };
   } catch (error) {
     console.error(
       `${colors.red}✗${colors.reset} Failed to update ${recordName}`,
@@ -529,3 +1155,40 @@ export async function updateMainSPFRecord(recordName, spfData) {
     throw error;
   }
 }
+
+/**
+ * Publish a new generation of chunk records, leaving the main record and
+ * older chunks untouched, and wait until DNS serves it.
+ *
+ * @async
+ * @param {string} zoneName - Zone owning the records
+ * @param {Object} zone - Zone object (not modified)
+ * @param {string} recordPrefix - Name of the main record relative to the zone
+ * @param {number} generation - Generation to publish
+ * @param {string[]} chunkRecords - Chunk values in include order
+ * @returns {Promise<void>}
+ * @throws {Error} If the update fails or the records do not appear in DNS
+ */
+async function publishChunkGeneration(zoneName, zone, recordPrefix, generation, chunkRecords) {
+  console.log(`Creating ${chunkRecords.length} SPF chunk records (generation ${generation})...`);
+
+  const chunkZone = structuredClone(zone);
+  /** @type {MainSpfChange[]} */
+  const changes = [];
+  /** @type {Object<string, string>} */
+  const expected = {};
+  chunkRecords.forEach((value, i) => {
+    const name = `${recordPrefix}-v${generation}-${i + 1}`;
+    chunkZone.resourceRecords.push({ name, type: 'TXT', value, ttl: SPF_RECORD_TTL });
+    changes.push({ record: `${name}.${zoneName}`, recordType: 'SPF', before: null, after: value });
+    expected[`${name}.${zoneName}`] = value;
+    console.log(`  ${colors.green}✓${colors.reset} Created ${name}.${zoneName}`);
+  });
+
+  logger.debug(
+    { zone: zoneName, generation, chunks: chunkRecords.length },
+    'Publishing SPF chunk generation',
+  );
+  await updateZoneAudited(zoneName, chunkZone, changes);
+  await verifyChunkRecords(zoneName, expected);
+}
@@ -0,0 +1,517 @@
+/**
+ * Batched zone changes.
+ *
+ * SPF, DMARC, DKIM and zone templates stage their record changes on a
+ * changeset instead of writing the zone themselves. The domain processor then commits every
+ * changeset with a single zone update, so a domain is either fixed
+ * completely or not at all.
+ *
+ * @module lib/zone-changeset
+ */
+
+import {
+  getAndValidateZone,
+  updateZone,
+  streamZoneChanges,
+  isZoneStreamUnavailable,
+} from './autodns-client.js';
+import { config, getAuditContext } from './config.js';
+import { auditDNSUpdate } from '../utils/audit.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Default TTL for records written by this tool
+ */
+const DEFAULT_TTL = 300;
+
+/**
+ * Whether the zone stream endpoint is used for commits. Cleared for the rest
+ * of the run once the endpoint turns out to be unavailable.
+ */
+let zoneStreamAvailable = config.zoneStream;
+
+/**
+ * @typedef {Object} ResourceRecord
+ * @property {string} name - Record name relative to the zone ('' for apex)
+ * @property {string} type - Record type (TXT, A, MX, ...)
+ * @property {string} value - Record value
+ * @property {number} [ttl] - Time to live in seconds
+ * @property {number} [pref] - Preference/priority (MX, SRV)
+ */
+
+/**
+ * Record types whose values are host names (compared case-insensitively and
+ * without trailing dot)
+ */
+const HOSTNAME_TYPES = new Set(['MX', 'CNAME', 'NS', 'PTR', 'SRV', 'ALIAS']);
+
+/**
+ * @typedef {Object} RecordChange
+ * @property {'upsert'|'remove'|'rrset'} op - Change operation
+ * @property {string} label - Human-readable label (e.g. 'SPF', 'DKIM s1')
+ * @property {string} recordType - Record kind for the audit trail (e.g. 'DKIM')
+ * @property {ResourceRecord} [record] - Desired record (upsert only)
+ * @property {ResourceRecord[]} [records] - Desired record set (rrset only)
+ * @property {function(ResourceRecord): boolean} match - Selects existing records
+ */
+
+/**
+ * @typedef {Object} AppliedChange
+ * @property {string} label - Label of the change that produced this entry
+ * @property {string} recordType - Record kind for the audit trail
+ * @property {ResourceRecord|null} before - Record replaced or removed
+ * @property {ResourceRecord|null} after - Record written
+ */
+
+/**
+ * @typedef {Object} CommitResult
+ * @property {string} zoneName - Zone the changeset belongs to
+ * @property {boolean} changed - Whether the zone was actually updated
+ * @property {ResourceRecord[]} added - Records added to the zone
+ * @property {ResourceRecord[]} removed - Records removed from the zone
+ * @property {AppliedChange[]} changes - Per-label before/after pairs
+ * @property {'stream'|'put'|null} method - How the zone was written
+ */
+
+/**
+ * Check whether a record name refers to the zone apex.
+ *
+ * @param {string} name - Record name relative to the zone
+ * @returns {boolean}
+ */
+export function isApexName(name) {
+  return name === '' || name === '@';
+}
+
+/**
+ * Build the default matcher for a record name and type.
+ *
+ * @param {string} name - Record name relative to the zone
+ * @param {string} type - Record type
+ * @returns {function(ResourceRecord): boolean}
+ */
+function matchNameAndType(name, type) {
+  if (isApexName(name)) {
+    return (rr) => rr.type === type && isApexName(rr.name);
+  }
+  return (rr) => rr.type === type && rr.name === name;
+}
+
+/**
+ * Build a comparison key for a record's content (value and preference).
+ *
+ * @param {ResourceRecord} rr - Resource record
+ * @returns {string}
+ */
+function recordContentKey(rr) {
+  const value = HOSTNAME_TYPES.has(rr.type)
+    ? String(rr.value).toLowerCase().replace(/\.$/, '')
+    : String(rr.value);
+  return `${rr.pref ?? ''}|${value}`;
+}
+
+/**
+ * Pick the reporting fields of a staged change.
+ *
+ * @param {RecordChange} change - Staged change
+ * @returns {{label: string, recordType: string}}
+ */
+function describe(change) {
+  return { label: change.label, recordType: change.recordType };
+}
+
+/**
+ * Collects record changes for a single zone.
+ *
+ * @example
+ * const changeset = new ZoneChangeset('example.com');
+ * changeset.upsert({ name: '_dmarc', value: 'v=DMARC1;p=reject', label: 'DMARC' });
+ * const result = await commitChangeset(changeset);
+ */
+export class ZoneChangeset {
+  /**
+   * @param {string} zoneName - Zone the changes apply to
+   * @param {import('./config.js').AccountProfile} [account] - Account owning
+   *   the zone (defaults to the primary account)
+   */
+  constructor(zoneName, account = config.accounts[0]) {
+    this.zoneName = zoneName;
+    this.account = account;
+    /** @type {RecordChange[]} */
+    this.changes = [];
+    /** @type {Array<function(Object): void>} */
+    this.guards = [];
+  }
+
+  /**
+   * Stage a record that should exist with the given value.
+   *
+   * The first existing record selected by `match` is replaced; if none
+   * exists the record is added.
+   *
+   * @param {Object} params - Upsert parameters
+   * @param {string} params.name - Record name relative to the zone
+   * @param {string} [params.type='TXT'] - Record type
+   * @param {string} params.value - Desired record value
+   * @param {number} [params.ttl=300] - Desired TTL
+   * @param {string} params.label - Human-readable label for reporting
+   * @param {string} [params.recordType] - Record kind for the audit trail
+   *   (defaults to the label)
+   * @param {function(ResourceRecord): boolean} [params.match] - Custom matcher
+   *   for the existing record (defaults to same name and type)
+   * @returns {ZoneChangeset} This changeset (for chaining)
+   */
+  upsert({ name, type = 'TXT', value, ttl = DEFAULT_TTL, label, recordType = label, match }) {
+    this.changes.push({
+      op: 'upsert',
+      label,
+      recordType,
+      record: { name, type, value, ttl },
+      match: match || matchNameAndType(name, type),
+    });
+    return this;
+  }
+
+  /**
+   * Stage removal of all records selected by a matcher.
+   *
+   * @param {Object} params - Remove parameters
+   * @param {string} [params.name] - Record name (used by the default matcher)
+   * @param {string} [params.type] - Record type (used by the default matcher)
+   * @param {string} params.label - Human-readable label for reporting
+   * @param {string} [params.recordType] - Record kind for the audit trail
+   *   (defaults to the label)
+   * @param {function(ResourceRecord): boolean} [params.match] - Custom matcher
+   * @returns {ZoneChangeset} This changeset (for chaining)
+   */
+  remove({ name, type, label, recordType = label, match }) {
+    this.changes.push({
+      op: 'remove',
+      label,
+      recordType,
+      match: match || matchNameAndType(name, type),
+    });
+    return this;
+  }
+
+  /**
+   * Stage the complete set of records for a name and type.
+   *
+   * Existing records of that name and type that are not in `records` are
+   * removed, missing ones are added; records already present with the same
+   * value, preference and TTL are left alone.
+   *
+   * @param {Object} params - Record set parameters
+   * @param {string} params.name - Record name relative to the zone
+   * @param {string} params.type - Record type
+   * @param {Array<{value: string, pref?: number}>} params.records - Desired records
+   * @param {number} [params.ttl=300] - TTL for all records of the set
+   * @param {string} params.label - Human-readable label for reporting
+   * @param {string} [params.recordType] - Record kind for the audit trail
+   *   (defaults to the label)
+   * @returns {ZoneChangeset} This changeset (for chaining)
+   */
+  replaceRecordSet({ name, type, records, ttl = DEFAULT_TTL, label, recordType = label }) {
+    this.changes.push({
+      op: 'rrset',
+      label,
+      recordType,
+      records: records.map(({ value, pref }) => ({
+        name, type, value, ttl, ...(pref !== undefined && { pref }),
+      })),
+      match: matchNameAndType(name, type),
+    });
+    return this;
+  }
+
+  /**
+   * Register a precondition checked against the live zone before applying.
+   *
+   * @param {function(Object): void} check - Throws if the zone must not be changed
+   * @returns {ZoneChangeset} This changeset (for chaining)
+   */
+  guard(check) {
+    this.guards.push(check);
+    return this;
+  }
+
+  /**
+   * @returns {boolean} True if no changes are staged
+   */
+  isEmpty() {
+    return this.changes.length === 0;
+  }
+
+  /**
+   * @returns {string[]} Distinct labels of all staged changes
+   */
+  get labels() {
+    return [...new Set(this.changes.map((c) => c.label))];
+  }
+
+  /**
+   * Apply the staged changes to a zone object in place.
+   *
+   * Upserts whose record already matches are skipped, so applying a
+   * changeset to an already-correct zone yields no added or removed records.
+   *
+   * @param {Object} zone - Zone object with a resourceRecords array
+   * @returns {{added: ResourceRecord[], removed: ResourceRecord[], changes: AppliedChange[]}}
+   * @throws {Error} If a guard rejects the zone
+   */
+  applyTo(zone) {
+    this.guards.forEach((check) => check(zone));
+
+    const added = [];
+    const removed = [];
+    const changes = [];
+
+    for (const change of this.changes) {
+      if (change.op === 'rrset') {
+        this.applyRecordSet(zone, change, added, removed, changes);
+        continue;
+      }
+
+      if (change.op === 'remove') {
+        zone.resourceRecords = zone.resourceRecords.filter((rr) => {
+          if (!change.match(rr)) {
+            return true;
+          }
+          removed.push({ ...rr });
+          changes.push({ ...describe(change), before: { ...rr }, after: null });
+          return false;
+        });
+        continue;
+      }
+
+      const { record } = change;
+      const existing = zone.resourceRecords.find(change.match);
+      if (!existing) {
+        zone.resourceRecords.push({ ...record });
+        added.push({ ...record });
+        changes.push({ ...describe(change), before: null, after: { ...record } });
+        continue;
+      }
+
+      if (existing.value === record.value && existing.ttl === record.ttl) {
+        continue;
+      }
+
+      const before = { ...existing };
+      Object.assign(existing, { value: record.value, ttl: record.ttl });
+      removed.push(before);
+      added.push({ ...existing });
+      changes.push({ ...describe(change), before, after: { ...existing } });
+    }
+
+    return { added, removed, changes };
+  }
+
+  /**
+   * Apply a staged record set to a zone in place (see replaceRecordSet).
+   *
+   * @param {Object} zone - Zone object with a resourceRecords array
+   * @param {RecordChange} change - Staged rrset change
+   * @param {ResourceRecord[]} added - Collects added records
+   * @param {ResourceRecord[]} removed - Collects removed records
+   * @param {AppliedChange[]} changes - Collects before/after pairs
+   */
+  applyRecordSet(zone, change, added, removed, changes) {
+    const wanted = new Map(change.records.map((rr) => [recordContentKey(rr), rr]));
+
+    zone.resourceRecords = zone.resourceRecords.filter((rr) => {
+      if (!change.match(rr)) {
+        return true;
+      }
+      const key = recordContentKey(rr);
+      if (wanted.get(key)?.ttl === rr.ttl) {
+        wanted.delete(key);
+        return true;
+      }
+      removed.push({ ...rr });
+      changes.push({ ...describe(change), before: { ...rr }, after: null });
+      return false;
+    });
+
+    for (const rr of wanted.values()) {
+      zone.resourceRecords.push({ ...rr });
+      added.push({ ...rr });
+      changes.push({ ...describe(change), before: null, after: { ...rr } });
+    }
+  }
+}
+
+/**
+ * Write applied changes to AutoDNS.
+ *
+ * Sends only the added and removed records through the zone stream endpoint
+ * when available, and falls back to a full zone PUT otherwise.
+ *
+ * @async
+ * @param {string} zoneName - Zone to write
+ * @param {import('./config.js').AccountProfile} account - Account owning the zone
+ * @param {Object} zone - Zone object with the changes already applied
+ * @param {ResourceRecord[]} added - Records added to the zone
+ * @param {ResourceRecord[]} removed - Records removed from the zone
+ * @returns {Promise<'stream'|'put'>} Write method used
+ */
+async function writeZoneChanges(zoneName, account, zone, added, removed) {
+  if (zoneStreamAvailable) {
+    try {
+      await streamZoneChanges(zoneName, { adds: added, rems: removed }, account);
+      return 'stream';
+    } catch (error) {
+      if (!isZoneStreamUnavailable(error)) {
+        throw error;
+      }
+      zoneStreamAvailable = false;
+      logger.warn(
+        { zone: zoneName, status: error.response.status },
+        'Zone stream endpoint unavailable, falling back to full zone updates',
+      );
+    }
+  }
+
+  await updateZone(zoneName, zone, account);
+  return 'put';
+}
+
+/**
+ * Build the fully qualified name of a record in a zone.
+ *
+ * @param {string} name - Record name relative to the zone
+ * @param {string} zoneName - Zone name
+ * @returns {string} Fully qualified record name
+ */
+function qualifyName(name, zoneName) {
+  return isApexName(name) ? zoneName : `${name}.${zoneName}`;
+}
+
+/**
+ * Render a record's content for the audit trail, including its preference.
+ *
+ * @param {ResourceRecord|null} rr - Resource record
+ * @returns {string|null}
+ */
+function auditValue(rr) {
+  if (!rr) {
+    return null;
+  }
+  return rr.pref !== undefined ? `${rr.pref} ${rr.value}` : rr.value;
+}
+
+/**
+ * Record an audit entry for every record change of a commit.
+ *
+ * @async
+ * @param {ZoneChangeset} changeset - Committed changeset
+ * @param {AppliedChange[]} changes - Changes applied to the zone
+ * @param {'stream'|'put'|null} method - Write method, null if the write failed
+ * @param {Error} [error] - Write error
+ * @returns {Promise<void>}
+ */
+async function auditAppliedChanges(changeset, changes, method, error) {
+  for (const { label, recordType, before, after } of changes) {
+    await auditDNSUpdate({
+      domain: changeset.zoneName,
+      recordType,
+      before: auditValue(before),
+      after: auditValue(after),
+      success: !error,
+      error: error?.message,
+      metadata: {
+        ...getAuditContext(changeset.account),
+        label,
+        record: qualifyName((after || before).name, changeset.zoneName),
+        method,
+      },
+    });
+  }
+}
+
+/**
+ * Record a failed audit entry for every staged change of a changeset that
+ * could not be applied (zone unreadable or rejected by a guard).
+ *
+ * @async
+ * @param {ZoneChangeset} changeset - Changeset that failed
+ * @param {Error} error - Failure reason
+ * @returns {Promise<void>}
+ */
+async function auditStagedChanges(changeset, error) {
+  for (const change of changeset.changes) {
+    await auditDNSUpdate({
+      domain: changeset.zoneName,
+      recordType: change.recordType,
+      before: null,
+      after: change.records ? change.records.map(auditValue) : auditValue(change.record),
+      success: false,
+      error: error.message,
+      metadata: {
+        ...getAuditContext(changeset.account),
+        label: change.label,
+        ...(change.record && { record: qualifyName(change.record.name, changeset.zoneName) }),
+      },
+    });
+  }
+}
+
+/**
+ * Commit a changeset with a single zone update.
+ *
+ * Fetches the zone, applies all staged changes and writes them once, as a
+ * record-level patch where possible (see writeZoneChanges). If nothing
+ * actually differs, the update is skipped. Every record change, successful
+ * or not, is written to the audit trail.
+ *
+ * @async
+ * @param {ZoneChangeset} changeset - Changeset to commit
+ * @returns {Promise<CommitResult>} Commit outcome
+ * @throws {Error} If the zone cannot be read, a guard fails or the update fails
+ */
+export async function commitChangeset(changeset) {
+  const { zoneName, account } = changeset;
+  const unchanged = {
+    zoneName, changed: false, added: [], removed: [], changes: [], method: null,
+  };
+
+  if (changeset.isEmpty()) {
+    return unchanged;
+  }
+
+  let applied;
+  try {
+    const zone = await getAndValidateZone(zoneName, account);
+    applied = { zone, ...changeset.applyTo(zone) };
+  } catch (error) {
+    await auditStagedChanges(changeset, error);
+    throw error;
+  }
+  const { zone, added, removed, changes } = applied;
+
+  if (added.length === 0 && removed.length === 0) {
+    logger.debug({ zone: zoneName }, 'Changeset already satisfied, skipping update');
+    return unchanged;
+  }
+
+  logger.info(
+    {
+      account: account.name,
+      zone: zoneName,
+      labels: changeset.labels,
+      added: added.length,
+      removed: removed.length,
+    },
+    'Committing zone changeset',
+  );
+  let method;
+  try {
+    method = await writeZoneChanges(zoneName, account, zone, added, removed);
+  } catch (error) {
+    await auditAppliedChanges(changeset, changes, null, error);
+    throw error;
+  }
+  await auditAppliedChanges(changeset, changes, method);
+
+  return { zoneName, changed: true, added, removed, changes, method };
+}
@@ -0,0 +1,264 @@
+/**
+ * Declarative zone templates.
+ *
+ * A templates file (ZONE_TEMPLATES_PATH) describes the desired record sets
+ * of any type and assigns them to domains by name or group (see
+ * domain-groups.js):
+ *
+ * @example
+ * {
+ *   "templates": {
+ *     "mail": [
+ *       { "name": "@", "type": "MX", "values": ["10 mx1.example.net", "20 mx2.example.net"] },
+ *       { "name": "@", "type": "CAA", "values": ["0 issue \"letsencrypt.org\""], "ttl": 3600 },
+ *       { "name": "_mta-sts", "type": "TXT", "values": ["v=STSv1; id=20240501"] },
+ *       { "name": "autodiscover", "type": "CNAME", "values": ["autodiscover.example.net"] }
+ *     ]
+ *   },
+ *   "assignments": [
+ *     { "groups": ["customers"], "templates": ["mail"] },
+ *     { "domains": ["example.com"], "templates": ["mail"] }
+ *   ]
+ * }
+ *
+ * Each entry owns the complete record set of its name and type: records not
+ * listed are removed, an empty `values` list removes the set. `{domain}` in
+ * a value is replaced with the domain name. MX and SRV values start with
+ * their preference/priority.
+ *
+ * @module lib/zone-templates
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from './config.js';
+import { isDomainSelected } from './domain-groups.js';
+import { isApexName } from './zone-changeset.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * @typedef {Object} TemplateRecordSet
+ * @property {string} name - Record name relative to the zone ('@' for apex)
+ * @property {string} type - Record type
+ * @property {string[]} values - Desired record values
+ * @property {number} [ttl] - TTL for the record set
+ */
+
+/**
+ * @typedef {Object} TemplateAssignment
+ * @property {string[]} [domains] - Domain names or patterns
+ * @property {string[]} [groups] - Domain group names
+ * @property {string[]} templates - Templates applied to the selected domains
+ */
+
+/**
+ * @typedef {Object} ZoneTemplates
+ * @property {Object<string, TemplateRecordSet[]>} templates - Templates by name
+ * @property {TemplateAssignment[]} assignments - Template assignments
+ */
+
+/**
+ * Record types whose value starts with a preference/priority
+ */
+const PREF_TYPES = new Set(['MX', 'SRV']);
+
+/**
+ * Record types that may not be managed by templates
+ */
+const UNMANAGED_TYPES = new Set(['SOA']);
+
+/**
+ * Check whether a record set is managed by the SPF, DMARC or DKIM checks and
+ * therefore must not be declared in a template.
+ *
+ * @param {TemplateRecordSet} recordSet - Template record set
+ * @returns {string|null} Owning check, or null if the set is free
+ */
+function getManagingCheck({ name, type }) {
+  if (type !== 'TXT') {
+    return null;
+  }
+  if (isApexName(name)) {
+    return 'SPF';
+  }
+  if (name === '_dmarc') {
+    return 'DMARC';
+  }
+  return name.endsWith('._domainkey') ? 'DKIM' : null;
+}
+
+/**
+ * Validate a zone templates definition.
+ *
+ * @param {*} definition - Parsed templates file
+ * @param {import('./domain-groups.js').DomainGroups} groups - Known domain groups
+ * @returns {string[]} Problems found (empty if valid)
+ */
+export function validateZoneTemplates(definition, groups) {
+  const problems = [];
+  const templates = definition?.templates;
+  if (!templates || typeof templates !== 'object' || Array.isArray(templates)) {
+    return ['"templates" must be an object of template name to record sets'];
+  }
+
+  for (const [templateName, recordSets] of Object.entries(templates)) {
+    if (!Array.isArray(recordSets)) {
+      problems.push(`template "${templateName}" must be a list of record sets`);
+      continue;
+    }
+    recordSets.forEach((set, i) => {
+      const where = `template "${templateName}" entry ${i + 1}`;
+      if (typeof set?.name !== 'string' || !/^[A-Z0-9]+$/.test(set?.type || '')) {
+        problems.push(`${where}: "name" and an upper-case "type" are required`);
+        return;
+      }
+      if (UNMANAGED_TYPES.has(set.type)) {
+        problems.push(`${where}: ${set.type} records cannot be templated`);
+      }
+      const owner = getManagingCheck(set);
+      if (owner) {
+        problems.push(`${where}: TXT ${set.name || '@'} is managed by the ${owner} check`);
+      }
+      if (!Array.isArray(set.values) || !set.values.every((v) => typeof v === 'string')) {
+        problems.push(`${where}: "values" must be a list of strings`);
+      } else if (PREF_TYPES.has(set.type) && !set.values.every((v) => /^\d+\s+\S/.test(v))) {
+        problems.push(`${where}: ${set.type} values must start with a priority`);
+      }
+      if (set.ttl !== undefined && (!Number.isInteger(set.ttl) || set.ttl < 60)) {
+        problems.push(`${where}: "ttl" must be an integer of at least 60`);
+      }
+    });
+  }
+
+  const assignments = definition.assignments ?? [];
+  if (!Array.isArray(assignments)) {
+    return [...problems, '"assignments" must be a list'];
+  }
+  assignments.forEach((assignment, i) => {
+    const where = `assignment ${i + 1}`;
+    for (const name of assignment?.templates ?? []) {
+      if (!templates[name]) {
+        problems.push(`${where}: unknown template "${name}"`);
+      }
+    }
+    for (const name of assignment?.groups ?? []) {
+      if (!groups[name]) {
+        problems.push(`${where}: unknown domain group "${name}"`);
+      }
+    }
+    if (!assignment?.templates?.length) {
+      problems.push(`${where}: "templates" must list at least one template`);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Load zone templates from ZONE_TEMPLATES_PATH.
+ *
+ * A missing file means no templates are defined.
+ *
+ * @async
+ * @param {import('./domain-groups.js').DomainGroups} groups - Known domain groups
+ * @param {string} [filePath] - Templates file (defaults to ZONE_TEMPLATES_PATH)
+ * @returns {Promise<ZoneTemplates>} Templates and assignments
+ * @throws {Error} If the file cannot be parsed or is invalid
+ */
+export async function loadZoneTemplates(groups, filePath = config.zoneTemplatesPath) {
+  let content;
+  try {
+    content = await fs.readFile(path.resolve(process.cwd(), filePath), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { templates: {}, assignments: [] };
+    }
+    throw error;
+  }
+
+  const definition = JSON.parse(content);
+  const problems = validateZoneTemplates(definition, groups);
+  if (problems.length > 0) {
+    throw new Error(`Invalid zone templates in ${filePath}: ${problems.join('; ')}`);
+  }
+  logger.debug({ templates: Object.keys(definition.templates) }, 'Zone templates loaded');
+  return { templates: definition.templates, assignments: definition.assignments ?? [] };
+}
+
+/**
+ * List the templates assigned to a domain, in assignment order.
+ *
+ * @param {string} domainName - Domain name
+ * @param {ZoneTemplates} zoneTemplates - Loaded templates
+ * @param {import('./domain-groups.js').DomainGroups} groups - Domain groups
+ * @returns {string[]} Template names (without duplicates)
+ */
+export function getDomainTemplates(domainName, zoneTemplates, groups) {
+  const names = zoneTemplates.assignments
+    .filter((assignment) => isDomainSelected(domainName, assignment, groups))
+    .flatMap((assignment) => assignment.templates);
+  return [...new Set(names)];
+}
+
+/**
+ * Split a template value into record value and preference.
+ *
+ * @param {string} type - Record type
+ * @param {string} value - Template value (domain placeholder resolved)
+ * @returns {{value: string, pref?: number}}
+ */
+function parseTemplateValue(type, value) {
+  if (!PREF_TYPES.has(type)) {
+    return { value };
+  }
+  const [, pref, rest] = value.match(/^(\d+)\s+(.+)$/);
+  return { value: rest, pref: parseInt(pref, 10) };
+}
+
+/**
+ * Stage the record sets of a domain's templates on its zone changeset.
+ *
+ * @param {import('./zone-changeset.js').ZoneChangeset} changeset - Changeset
+ *   for the domain's zone
+ * @param {string} domainName - Domain name (replaces `{domain}` in values)
+ * @param {string[]} templateNames - Templates assigned to the domain
+ * @param {ZoneTemplates} zoneTemplates - Loaded templates
+ * @returns {string[]} Labels of the staged record sets
+ * @throws {Error} If two templates declare the same record set
+ */
+export function stageZoneTemplates(changeset, domainName, templateNames, zoneTemplates) {
+  const owners = new Map();
+  const sets = [];
+
+  // Check every template before staging so a conflict leaves the changeset untouched
+  for (const templateName of templateNames) {
+    for (const set of zoneTemplates.templates[templateName]) {
+      const name = isApexName(set.name) ? '' : set.name;
+      const key = `${name} ${set.type}`;
+      if (owners.has(key)) {
+        throw new Error(
+          `Templates "${owners.get(key)}" and "${templateName}" both define ` +
+            `${set.type} ${set.name || '@'}`,
+        );
+      }
+      owners.set(key, templateName);
+      sets.push({ templateName, name, set });
+    }
+  }
+
+  const labels = [];
+  for (const { templateName, name, set } of sets) {
+    const label = `template ${templateName}: ${set.type} ${name || '@'}`;
+    changeset.replaceRecordSet({
+      name,
+      type: set.type,
+      records: set.values.map((v) => parseTemplateValue(set.type, v.replaceAll('{domain}', domainName))),
+      ttl: set.ttl,
+      label,
+      recordType: set.type,
+    });
+    labels.push(label);
+  }
+
+  return labels;
+}
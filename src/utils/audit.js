@@ -5,9 +5,16 @@
  * configuration updates, and security-relevant events for compliance
  * and troubleshooting.
  *
+ * Entries form a hash chain: each one carries the SHA-256 hash of the
+ * previous entry (`prevHash`) and of itself (`hash`), across file
+ * boundaries. Files are sealed with a CHECKPOINT entry whose HMAC (keyed
+ * with AUDIT_HMAC_KEY) covers the chain up to that point, so entries cannot
+ * be edited, removed or reordered without verifyAuditLogs noticing.
+ *
  * @module utils/audit
  */
 
+import crypto from 'crypto';
 import fs from 'fs/promises';
 import path from 'path';
 import { logger } from './logger.js';
@@ -23,6 +30,8 @@ import { logger } from './logger.js';
  * @property {boolean} success - Whether action succeeded
  * @property {string} [error] - Error message if failed
  * @property {Object} [metadata] - Additional context
+ * @property {string} prevHash - Hash of the previous entry in the chain
+ * @property {string} hash - SHA-256 hash of this entry (without `hash`)
  */
 
 /**
@@ -33,8 +42,35 @@ const AUDIT_CONFIG = {
   FILE_PREFIX: 'audit',
   MAX_FILE_SIZE: 10 * 1024 * 1024, // 10MB
   RETENTION_DAYS: parseInt(process.env.AUDIT_RETENTION_DAYS || '365', 10),
+  HMAC_KEY: process.env.AUDIT_HMAC_KEY || null,
 };
 
+/**
+ * prevHash of the very first entry of a chain
+ */
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Audit file name pattern: audit-YYYY-MM-DD.json
+ */
+const AUDIT_FILE_PATTERN = /^audit-(\d{4}-\d{2}-\d{2})\.json$/;
+
+/**
+ * Chain head: hash of the last entry written, the file it went to and
+ * whether it was a checkpoint. Loaded from disk on first write.
+ *
+ * @type {{hash: string, file: string|null, sealed: boolean}|null}
+ */
+let chainHead = null;
+
+/**
+ * Pending writes; entries are appended strictly one after another so the
+ * chain stays linear.
+ *
+ * @type {Promise<void>}
+ */
+let writeQueue = Promise.resolve();
+
 /**
  * Ensure audit log directory exists.
  *
@@ -63,29 +99,159 @@ function getAuditLogPath() {
   );
 }
 
+/**
+ * List audit log files, oldest first.
+ *
+ * @async
+ * @returns {Promise<string[]>} File names (without directory)
+ */
+async function listAuditFiles() {
+  try {
+    const files = await fs.readdir(AUDIT_CONFIG.DIR);
+    return files.filter((f) => AUDIT_FILE_PATTERN.test(f)).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Hash an entry's serialized content.
+ *
+ * @param {Object} entry - Entry without its `hash` field
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashEntry(entry) {
+  return crypto.createHash('sha256').update(JSON.stringify(entry)).digest('hex');
+}
+
+/**
+ * Compute the checkpoint HMAC over the chain up to a checkpoint.
+ *
+ * @param {string} prevHash - Hash of the last entry before the checkpoint
+ * @param {string} key - HMAC key
+ * @returns {string} Hex HMAC-SHA256
+ */
+function checkpointHmac(prevHash, key) {
+  return crypto.createHmac('sha256', key).update(prevHash).digest('hex');
+}
+
+/**
+ * Load the chain head from the newest audit file.
+ *
+ * @async
+ * @returns {Promise<{hash: string, file: string|null, sealed: boolean}>} Chain head
+ */
+async function loadChainHead() {
+  const files = await listAuditFiles();
+  const file = files.at(-1);
+  if (!file) {
+    return { hash: GENESIS_HASH, file: null, sealed: true };
+  }
+
+  const filePath = path.join(AUDIT_CONFIG.DIR, file);
+  const lines = (await fs.readFile(filePath, 'utf8')).trim().split('\n');
+  try {
+    const last = JSON.parse(lines.at(-1));
+    return {
+      hash: last.hash || GENESIS_HASH,
+      file: filePath,
+      sealed: last.action === 'CHECKPOINT',
+    };
+  } catch (_parseError) {
+    logger.warn({ file }, 'Last audit entry is unreadable, starting a new chain');
+    return { hash: GENESIS_HASH, file: filePath, sealed: false };
+  }
+}
+
+/**
+ * Link an entry into the chain and append it to a file.
+ *
+ * @async
+ * @param {Object} entry - Audit entry without chain fields
+ * @param {string} logPath - File to append to
+ * @returns {Promise<void>}
+ */
+async function writeChainedEntry(entry, logPath) {
+  const linked = { ...entry, prevHash: chainHead.hash };
+  const hash = hashEntry(linked);
+
+  // Add newline-delimited JSON format (easier to parse large files)
+  await fs.appendFile(logPath, `${JSON.stringify({ ...linked, hash })}\n`, 'utf8');
+  chainHead = { hash, file: logPath, sealed: entry.action === 'CHECKPOINT' };
+}
+
+/**
+ * Build a CHECKPOINT entry sealing the chain at its current head.
+ *
+ * @returns {Object} Checkpoint entry without chain fields
+ */
+function buildCheckpoint() {
+  return {
+    timestamp: new Date().toISOString(),
+    action: 'CHECKPOINT',
+    hmac: AUDIT_CONFIG.HMAC_KEY ? checkpointHmac(chainHead.hash, AUDIT_CONFIG.HMAC_KEY) : null,
+  };
+}
+
+/**
+ * Queue a write so entries are chained in the order they were logged.
+ *
+ * @param {function(): Promise<void>} write - Write operation
+ * @returns {Promise<void>}
+ */
+function enqueueWrite(write) {
+  writeQueue = writeQueue.then(write).catch((error) => {
+    logger.error({ err: error }, 'Failed to write audit log entry');
+    // Don't throw - audit logging should not break main flow
+  });
+  return writeQueue;
+}
+
 /**
  * Append an audit entry to the log file.
  *
+ * When the date changed since the last entry, the previous day's file is
+ * sealed with a checkpoint first.
+ *
  * @async
  * @param {AuditEntry} entry - Audit entry to log
  * @returns {Promise<void>}
  */
 async function appendAuditEntry(entry) {
-  await ensureAuditDir();
-  const logPath = getAuditLogPath();
+  return enqueueWrite(async () => {
+    await ensureAuditDir();
+    chainHead ??= await loadChainHead();
+    const logPath = getAuditLogPath();
 
-  // Add newline-delimited JSON format (easier to parse large files)
-  const line = `${JSON.stringify(entry)}\n`;
+    if (chainHead.file && chainHead.file !== logPath && !chainHead.sealed) {
+      await writeChainedEntry(buildCheckpoint(), chainHead.file);
+    }
 
-  try {
-    await fs.appendFile(logPath, line, 'utf8');
-  } catch (error) {
-    logger.error(
-      { err: error, logPath },
-      'Failed to write audit log entry',
-    );
-    // Don't throw - audit logging should not break main flow
-  }
+    await writeChainedEntry(entry, logPath);
+  });
+}
+
+/**
+ * Seal the current audit file with a checkpoint.
+ *
+ * Called at the end of every run; a no-op if this process wrote no entries
+ * since the last checkpoint. The checkpoint's HMAC covers all entries
+ * written before it; without AUDIT_HMAC_KEY the checkpoint is written
+ * unsigned and only marks the end of the run.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+export async function writeAuditCheckpoint() {
+  return enqueueWrite(async () => {
+    if (!chainHead || chainHead.sealed) {
+      return;
+    }
+    await writeChainedEntry(buildCheckpoint(), chainHead.file);
+  });
 }
 
 /**
@@ -155,6 +321,7 @@ export async function auditDNSUpdate({
  * @param {*} params.after - New value
  * @param {boolean} params.success - Whether change succeeded
  * @param {string} [params.error] - Error message if failed
+ * @param {Object} [params.metadata] - Additional context
  * @returns {Promise<void>}
  *
  * @example
@@ -171,6 +338,7 @@ export async function auditConfigChange({
   after,
   success,
   error,
+  metadata = {},
 }) {
   const entry = {
     timestamp: new Date().toISOString(),
@@ -180,6 +348,7 @@ export async function auditConfigChange({
     after,
     success,
     error,
+    metadata,
   };
 
   logger.info({ configKey, success }, 'Audit: Configuration change');
@@ -361,3 +530,231 @@ export async function readAuditLogs(startDate, endDate) {
 
   return entries;
 }
+
+/**
+ * @typedef {Object} AuditQuery
+ * @property {Date} [from] - Earliest entry timestamp (inclusive)
+ * @property {Date} [to] - Latest entry timestamp (inclusive)
+ * @property {string} [domain] - Domain (case-insensitive)
+ * @property {string} [recordType] - Record type, e.g. SPF (case-insensitive)
+ * @property {string} [action] - Action, e.g. DNS_UPDATE (case-insensitive)
+ * @property {boolean} [success] - Only successful or only failed entries
+ */
+
+/**
+ * Query audit entries.
+ *
+ * Filters are combined; omitted filters match everything. CHECKPOINT
+ * entries are only returned when asked for by action.
+ *
+ * @async
+ * @param {AuditQuery} [query] - Query filters
+ * @returns {Promise<AuditEntry[]>} Matching entries, oldest first
+ *
+ * @example
+ * const changes = await queryAuditEntries({ domain: 'example.de', recordType: 'SPF' });
+ */
+export async function queryAuditEntries({
+  from = new Date(0),
+  to = new Date(),
+  domain,
+  recordType,
+  action,
+  success,
+} = {}) {
+  // Audit files are selected by day, entries by their exact timestamp
+  const fromDay = new Date(from.toISOString().split('T')[0]);
+  const entries = await readAuditLogs(fromDay, to);
+  const equalsIgnoreCase = (value, wanted) =>
+    wanted === undefined || String(value ?? '').toLowerCase() === wanted.toLowerCase();
+
+  return entries
+    .filter((entry) => {
+      const timestamp = new Date(entry.timestamp);
+      return timestamp >= from && timestamp <= to &&
+        (action !== undefined || entry.action !== 'CHECKPOINT') &&
+        equalsIgnoreCase(entry.domain, domain) &&
+        equalsIgnoreCase(entry.recordType, recordType) &&
+        equalsIgnoreCase(entry.action, action) &&
+        (success === undefined || entry.success === success);
+    })
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+/**
+ * Split an audited value into comparable parts: record values into their
+ * terms (split on whitespace and `;`), arrays into their items and objects
+ * into `key=value` pairs.
+ *
+ * @param {*} value - Audited before/after value
+ * @returns {string[]} Value parts
+ */
+function toDiffParts(value) {
+  if (value === null || value === undefined) {
+    return [];
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => JSON.stringify(item));
+  }
+  if (typeof value === 'object') {
+    return Object.entries(value).map(([k, v]) => `${k}=${JSON.stringify(v)}`);
+  }
+  return String(value).split(/[\s;]+/).filter(Boolean);
+}
+
+/**
+ * Compare the before and after values of an audit entry.
+ *
+ * @param {*} before - Previous value
+ * @param {*} after - New value
+ * @returns {{removed: string[], added: string[]}} Parts only in before / only in after
+ *
+ * @example
+ * diffAuditValues('v=spf1 include:a.com -all', 'v=spf1 include:b.com -all');
+ * // { removed: ['include:a.com'], added: ['include:b.com'] }
+ */
+export function diffAuditValues(before, after) {
+  const beforeParts = toDiffParts(before);
+  const afterParts = toDiffParts(after);
+  return {
+    removed: beforeParts.filter((part) => !afterParts.includes(part)),
+    added: afterParts.filter((part) => !beforeParts.includes(part)),
+  };
+}
+
+/**
+ * @typedef {Object} AuditBrokenLink
+ * @property {string} file - Audit file name
+ * @property {number} line - Line number (1-based)
+ * @property {string} reason - Why the chain is broken at this entry
+ */
+
+/**
+ * @typedef {Object} AuditVerification
+ * @property {boolean} valid - True if no broken link was found
+ * @property {number} files - Number of files checked
+ * @property {number} entries - Number of entries checked
+ * @property {number} checkpoints - Number of checkpoints found
+ * @property {AuditBrokenLink|null} brokenLink - First broken link, if any
+ * @property {Array<{file?: string, reason: string}>} warnings - Findings that
+ *   do not break the chain (today's unsealed file, unsigned checkpoints
+ *   without a key, ...)
+ */
+
+/**
+ * Verify the hash chain and checkpoints of all audit log files.
+ *
+ * Checks, oldest file first, that every entry matches its hash, links to
+ * the entry before it and that checkpoint HMACs are valid. With a key,
+ * unsigned checkpoints break the chain, and every file except the current
+ * day's open log must end with a checkpoint. Verification
+ * stops at the first broken link. The first entry of the oldest file
+ * anchors the chain, since older files may have been removed by the
+ * retention cleanup. Entries written before the chain was introduced
+ * (no hash) are accepted only at the start.
+ *
+ * @async
+ * @param {Object} [options] - Verification options
+ * @param {string|null} [options.hmacKey] - Checkpoint key (defaults to AUDIT_HMAC_KEY)
+ * @returns {Promise<AuditVerification>} Verification result
+ *
+ * @example
+ * const { valid, brokenLink } = await verifyAuditLogs();
+ * if (!valid) console.error(`${brokenLink.file}:${brokenLink.line} ${brokenLink.reason}`);
+ */
+export async function verifyAuditLogs({ hmacKey = AUDIT_CONFIG.HMAC_KEY } = {}) {
+  /** @type {AuditVerification} */
+  const result = {
+    valid: true,
+    files: 0,
+    entries: 0,
+    checkpoints: 0,
+    brokenLink: null,
+    warnings: [],
+  };
+  const warnOnce = new Set();
+  const warn = (reason, file) => {
+    if (!warnOnce.has(reason)) {
+      warnOnce.add(reason);
+      result.warnings.push(file ? { file, reason } : { reason });
+    }
+  };
+
+  let expectedPrevHash = null;
+  let legacyEntries = 0;
+  const openFile = path.basename(getAuditLogPath());
+
+  for (const file of await listAuditFiles()) {
+    result.files++;
+    const lines = (await fs.readFile(path.join(AUDIT_CONFIG.DIR, file), 'utf8')).split('\n');
+    let lastAction = null;
+    let lastLine = 0;
+
+    for (let i = 0; i < lines.length; i++) {
+      if (!lines[i]) {
+        continue;
+      }
+      lastLine = i + 1;
+      const broken = (reason) => {
+        result.valid = false;
+        result.brokenLink = { file, line: i + 1, reason };
+        return result;
+      };
+
+      let entry;
+      try {
+        entry = JSON.parse(lines[i]);
+      } catch (_parseError) {
+        return broken('entry is not valid JSON');
+      }
+      result.entries++;
+      lastAction = entry.action;
+
+      if (!entry.hash) {
+        if (expectedPrevHash !== null) {
+          return broken('entry has no hash');
+        }
+        legacyEntries++;
+        continue;
+      }
+
+      const { hash, ...linked } = entry;
+      if (hashEntry(linked) !== hash) {
+        return broken('entry was modified (content does not match its hash)');
+      }
+      if (expectedPrevHash !== null && entry.prevHash !== expectedPrevHash) {
+        return broken('previous hash does not match (entries removed, inserted or reordered)');
+      }
+
+      if (entry.action === 'CHECKPOINT') {
+        result.checkpoints++;
+        if (!entry.hmac && hmacKey) {
+          return broken('checkpoint is not signed');
+        } else if (!entry.hmac) {
+          warn('unsigned checkpoints found (AUDIT_HMAC_KEY was not set when written)');
+        } else if (!hmacKey) {
+          warn('checkpoint HMACs not verified (AUDIT_HMAC_KEY is not set)');
+        } else if (checkpointHmac(entry.prevHash, hmacKey) !== entry.hmac) {
+          return broken('checkpoint HMAC does not match');
+        }
+      }
+
+      expectedPrevHash = hash;
+    }
+
+    // Only the current day's log may still be open; older files must be sealed
+    if (lastAction !== 'CHECKPOINT' && file !== openFile) {
+      result.valid = false;
+      result.brokenLink = { file, line: lastLine, reason: 'file does not end with a checkpoint' };
+      return result;
+    }
+    if (lastAction !== 'CHECKPOINT') {
+      result.warnings.push({ file, reason: 'file does not end with a checkpoint' });
+    }
+  }
+
+  if (legacyEntries > 0) {
+    result.warnings.push({ reason: `${legacyEntries} entries predate the hash chain` });
+  }
+  return result;
+}
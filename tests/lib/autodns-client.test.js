@@ -0,0 +1,271 @@
+import { describe, it, expect, vi, beforeEach, afterAll } from 'vitest';
+import axios from 'axios';
+
+vi.mock('axios', () => ({
+  default: {
+    get: vi.fn(),
+    put: vi.fn(),
+    post: vi.fn(),
+  },
+}));
+
+vi.mock('../../src/lib/snapshots.js', () => ({
+  saveZoneSnapshot: vi.fn(async () => 'snapshot.json'),
+}));
+
+import {
+  getZone,
+  getAndValidateZone,
+  updateZone,
+  queryDomains,
+  queryAllAccounts,
+  buildDomainQueryFilters,
+  clearZoneCache,
+  shutdownAutoDNSRateLimiter,
+} from '../../src/lib/autodns-client.js';
+import { config } from '../../src/lib/config.js';
+import { saveZoneSnapshot } from '../../src/lib/snapshots.js';
+
+/**
+ * Build a zone GET response with a single TXT record.
+ * @param {string} value - TXT record value
+ * @returns {Object}
+ */
+function zoneResponse(value) {
+  return {
+    data: {
+      status: { type: 'SUCCESS' },
+      data: [{
+        origin: 'example.com',
+        resourceRecords: [{ name: '', type: 'TXT', value, ttl: 300 }],
+      }],
+    },
+  };
+}
+
+afterAll(() => {
+  shutdownAutoDNSRateLimiter();
+});
+
+describe('autodns-client zone cache', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    clearZoneCache();
+  });
+
+  it('should fetch each zone only once per run', async () => {
+    axios.get.mockResolvedValue(zoneResponse('v=spf1 -all'));
+
+    await getZone('example.com');
+    await getAndValidateZone('EXAMPLE.com');
+
+    expect(axios.get).toHaveBeenCalledTimes(1);
+  });
+
+  it('should hand out copies that do not affect the cache', async () => {
+    axios.get.mockResolvedValue(zoneResponse('v=spf1 -all'));
+
+    const zone = await getAndValidateZone('example.com');
+    zone.resourceRecords[0].value = 'changed';
+
+    const again = await getAndValidateZone('example.com');
+    expect(again.resourceRecords[0].value).toBe('v=spf1 -all');
+  });
+
+  it('should refetch a zone after it was updated', async () => {
+    axios.get
+      .mockResolvedValueOnce(zoneResponse('v=spf1 -all'))
+      .mockResolvedValueOnce(zoneResponse('v=spf1 mx -all'));
+    axios.put.mockResolvedValue({ data: { status: { type: 'SUCCESS' } } });
+
+    const zone = await getAndValidateZone('example.com');
+    await updateZone('example.com', zone);
+    const fresh = await getAndValidateZone('example.com');
+
+    expect(axios.get).toHaveBeenCalledTimes(2);
+    expect(fresh.resourceRecords[0].value).toBe('v=spf1 mx -all');
+  });
+
+  it('should snapshot the zone state before updating it', async () => {
+    axios.get.mockResolvedValue(zoneResponse('v=spf1 -all'));
+    axios.put.mockResolvedValue({ data: { status: { type: 'SUCCESS' } } });
+
+    const zone = await getAndValidateZone('example.com');
+    zone.resourceRecords[0].value = 'v=spf1 mx -all';
+    await updateZone('example.com', zone);
+
+    expect(saveZoneSnapshot).toHaveBeenCalledTimes(1);
+    const [zoneName, snapshot, accountName] = saveZoneSnapshot.mock.calls[0];
+    expect(zoneName).toBe('example.com');
+    expect(snapshot.resourceRecords[0].value).toBe('v=spf1 -all');
+    expect(accountName).toBe(config.accounts[0].name);
+    expect(saveZoneSnapshot.mock.invocationCallOrder[0])
+      .toBeLessThan(axios.put.mock.invocationCallOrder[0]);
+  });
+
+  it('should not update a zone whose snapshot failed', async () => {
+    axios.get.mockResolvedValue(zoneResponse('v=spf1 -all'));
+    saveZoneSnapshot.mockRejectedValueOnce(new Error('EACCES'));
+
+    const zone = await getAndValidateZone('example.com');
+    await expect(updateZone('example.com', zone)).rejects.toThrow('EACCES');
+    expect(axios.put).not.toHaveBeenCalled();
+  });
+
+  it('should not cache failed lookups', async () => {
+    const notFound = Object.assign(new Error('Not found'), {
+      response: { status: 404, statusText: 'Not Found' },
+    });
+    axios.get
+      .mockRejectedValueOnce(notFound)
+      .mockResolvedValueOnce(zoneResponse('v=spf1 -all'));
+
+    await expect(getZone('example.com')).rejects.toThrow('Not found');
+    await expect(getZone('example.com')).resolves.toBeDefined();
+    expect(axios.get).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('buildDomainQueryFilters', () => {
+  const noFilters = {
+    names: [], tlds: [], createdAfter: null, createdBefore: null, statuses: [],
+  };
+
+  it('should return no filters when nothing is configured', () => {
+    expect(buildDomainQueryFilters(noFilters)).toEqual([]);
+  });
+
+  it('should use LIKE for wildcard patterns and EQUAL otherwise', () => {
+    const filters = buildDomainQueryFilters({
+      ...noFilters, names: ['shop*', 'example.com'],
+    });
+
+    expect(filters).toEqual([{
+      link: 'AND',
+      filters: [
+        { key: 'name', value: 'shop*', operator: 'LIKE', link: 'OR' },
+        { key: 'name', value: 'example.com', operator: 'EQUAL', link: 'OR' },
+      ],
+    }]);
+  });
+
+  it('should AND together TLD, date and status restrictions', () => {
+    const filters = buildDomainQueryFilters({
+      ...noFilters,
+      tlds: ['de'],
+      createdAfter: '2024-01-01',
+      statuses: ['ACTIVE'],
+    });
+
+    expect(filters).toEqual([
+      { key: 'name', value: '*.de', operator: 'LIKE', link: 'AND' },
+      { key: 'created', value: '2024-01-01', operator: 'GREATER_EQUAL', link: 'AND' },
+      { key: 'registryStatus', value: 'ACTIVE', operator: 'EQUAL', link: 'AND' },
+    ]);
+  });
+
+  it('should restrict to exact names when given', () => {
+    const filters = buildDomainQueryFilters(noFilters, ['Example.com']);
+
+    expect(filters).toEqual([
+      { key: 'name', value: 'example.com', operator: 'EQUAL', link: 'AND' },
+    ]);
+  });
+});
+
+describe('queryDomains', () => {
+  const originalPageSize = config.domainPageSize;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    config.domainPageSize = 2;
+  });
+
+  afterAll(() => {
+    config.domainPageSize = originalPageSize;
+  });
+
+  it('should follow offset/limit paging until the total is reached', async () => {
+    axios.post
+      .mockResolvedValueOnce({ data: {
+        status: { type: 'SUCCESS' },
+        object: { summary: 3 },
+        data: [{ name: 'a.com' }, { name: 'b.com' }],
+      } })
+      .mockResolvedValueOnce({ data: {
+        status: { type: 'SUCCESS' },
+        object: { summary: 3 },
+        data: [{ name: 'c.com' }],
+      } });
+
+    const result = await queryDomains();
+
+    expect(result.data.map((d) => d.name)).toEqual(['a.com', 'b.com', 'c.com']);
+    expect(axios.post).toHaveBeenCalledTimes(2);
+    expect(axios.post.mock.calls[1][1].view).toMatchObject({ offset: 2, limit: 2 });
+  });
+
+  it('should return an error response from the first page as-is', async () => {
+    axios.post.mockResolvedValueOnce({ data: {
+      status: { type: 'ERROR', text: 'Login failed' },
+    } });
+
+    const result = await queryDomains();
+
+    expect(result.status.type).toBe('ERROR');
+    expect(axios.post).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('queryAllAccounts', () => {
+  const accounts = [
+    { name: 'main', user: 'u1', password: 'p1', context: 4, apiUrl: 'https://api.test' },
+    { name: 'sub', user: 'u2', password: 'p2', context: 9, apiUrl: 'https://api.test' },
+  ];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should tag every domain with its account', async () => {
+    axios.post
+      .mockResolvedValueOnce({ data: {
+        status: { type: 'SUCCESS' }, object: { summary: 1 }, data: [{ name: 'a.com' }],
+      } })
+      .mockResolvedValueOnce({ data: {
+        status: { type: 'SUCCESS' }, object: { summary: 1 }, data: [{ name: 'b.com' }],
+      } });
+
+    const result = await queryAllAccounts(accounts);
+
+    expect(result.data).toEqual([
+      { name: 'a.com', account: 'main' },
+      { name: 'b.com', account: 'sub' },
+    ]);
+    expect(result.accountErrors).toEqual([]);
+    expect(axios.post.mock.calls[1][2].headers['X-Domainrobot-Context']).toBe(9);
+    expect(axios.post.mock.calls[1][2].auth.username).toBe('u2');
+  });
+
+  it('should keep going when one account fails', async () => {
+    axios.post
+      .mockResolvedValueOnce({ data: { status: { type: 'ERROR', text: 'Login failed' } } })
+      .mockResolvedValueOnce({ data: {
+        status: { type: 'SUCCESS' }, object: { summary: 1 }, data: [{ name: 'b.com' }],
+      } });
+
+    const result = await queryAllAccounts(accounts);
+
+    expect(result.data).toEqual([{ name: 'b.com', account: 'sub' }]);
+    expect(result.accountErrors).toEqual([{ account: 'main', error: 'Login failed' }]);
+  });
+
+  it('should report an error response when every account fails', async () => {
+    axios.post.mockResolvedValue({ data: { status: { type: 'ERROR', text: 'Login failed' } } });
+
+    const result = await queryAllAccounts(accounts);
+
+    expect(result.status.type).toBe('ERROR');
+    expect(result.status.text).toBe('main: Login failed; sub: Login failed');
+  });
+});
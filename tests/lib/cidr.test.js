@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { parseNetwork, aggregateNetworks, ipv6Nibbles } from '../../src/lib/cidr.js';
+
+/**
+ * Aggregate networks given as 'address/prefix' strings.
+ * @param {string[]} cidrs
+ * @returns {string[]} Aggregated blocks as 'address/prefix'
+ */
+function aggregate(cidrs) {
+  const networks = cidrs.map((cidr) => {
+    const [address, prefix] = cidr.split('/');
+    return parseNetwork(address, prefix === undefined ? null : Number(prefix));
+  });
+  return aggregateNetworks(networks).map((b) => `${b.address}/${b.prefix}`);
+}
+
+describe('ipv6Nibbles', () => {
+  it('should expand compressed and embedded IPv4 notation', () => {
+    expect(ipv6Nibbles('2001:db8::1').join('')).toBe('20010db8000000000000000000000001');
+    expect(ipv6Nibbles('::ffff:192.0.2.1').join('')).toBe('00000000000000000000ffffc0000201');
+  });
+});
+
+describe('parseNetwork', () => {
+  it('should mask host bits below the prefix', () => {
+    const network = parseNetwork('192.0.2.77', 24);
+
+    expect(network).toEqual({ version: 4, start: 0xc0000200n, end: 0xc00002ffn });
+  });
+
+  it('should treat a missing prefix as a single address', () => {
+    const network = parseNetwork('2001:db8::1');
+
+    expect(network.start).toBe(network.end);
+  });
+
+  it('should reject invalid input', () => {
+    expect(() => parseNetwork('192.0.2.300')).toThrow('Invalid IP address');
+    expect(() => parseNetwork('192.0.2.0', 33)).toThrow('Invalid prefix length');
+  });
+});
+
+describe('aggregateNetworks', () => {
+  it('should merge adjacent networks into a wider prefix', () => {
+    expect(aggregate(['192.0.2.0/25', '192.0.2.128/25'])).toEqual(['192.0.2.0/24']);
+    expect(aggregate(['192.0.2.0', '192.0.2.1', '192.0.2.2', '192.0.2.3']))
+      .toEqual(['192.0.2.0/30']);
+  });
+
+  it('should drop networks covered by a wider one', () => {
+    expect(aggregate(['192.0.2.7', '192.0.2.0/24', '192.0.2.64/26', '192.0.2.0/24']))
+      .toEqual(['192.0.2.0/24']);
+  });
+
+  it('should split unaligned ranges into exact blocks', () => {
+    expect(aggregate(['192.0.2.1', '192.0.2.2', '192.0.2.3'])).toEqual([
+      '192.0.2.1/32', '192.0.2.2/31',
+    ]);
+  });
+
+  it('should keep separate ranges apart and sort them', () => {
+    expect(aggregate(['198.51.100.0/24', '192.0.2.0/24'])).toEqual([
+      '192.0.2.0/24', '198.51.100.0/24',
+    ]);
+  });
+
+  it('should aggregate IPv6 and list it after IPv4', () => {
+    expect(aggregate(['2001:db8:0:1::/64', '192.0.2.1', '2001:db8::/64', '2001:db8::5']))
+      .toEqual(['192.0.2.1/32', '2001:db8::/63']);
+  });
+
+  it('should handle the full address space', () => {
+    expect(aggregate(['0.0.0.0/1', '128.0.0.0/1'])).toEqual(['0.0.0.0/0']);
+    expect(aggregate(['::/0', '2001:db8::1'])).toEqual(['::/0']);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseDmarcRecord,
+  parseDmarcUri,
+  validateDmarcSyntax,
+} from '../../src/lib/dmarc-parser.js';
+
+describe('parseDmarcRecord', () => {
+  it('should parse and normalize all RFC 7489 tags', () => {
+    const dmarc = parseDmarcRecord(
+      'v=DMARC1; p=Reject; sp=quarantine; np=reject; pct=050; adkim=s; aspf=R; ' +
+        'rua=mailto:dmarc@example.com!10M,MAILTO:agg@example.net; ruf=mailto:ruf@example.com; ' +
+        'fo=s:d:s; rf=afrf; ri=3600;',
+    );
+
+    expect(dmarc.errors).toEqual([]);
+    expect(dmarc.tags).toEqual({
+      p: 'reject',
+      sp: 'quarantine',
+      np: 'reject',
+      pct: '50',
+      adkim: 's',
+      aspf: 'r',
+      rua: 'mailto:dmarc@example.com!10m,mailto:agg@example.net',
+      ruf: 'mailto:ruf@example.com',
+      fo: 'd:s',
+      rf: 'afrf',
+      ri: '3600',
+    });
+    expect(dmarc.reportUris.rua[0]).toEqual({
+      uri: 'mailto:dmarc@example.com',
+      scheme: 'mailto',
+      address: 'dmarc@example.com',
+      maxSize: '10m',
+    });
+  });
+
+  it('should report one error per invalid tag', () => {
+    expect(validateDmarcSyntax(
+      'v=DMARC1; p=block; pct=150; adkim=x; rua=mailto:not-an-address; fo=2; ri=-1; p=none',
+    )).toEqual([
+      'p: "block" is not one of none, quarantine, reject',
+      'pct: "150" is not a number between 0 and 100',
+      'adkim: "x" is not one of r, s',
+      'rua: invalid mailbox "not-an-address"',
+      'fo: "2" is not one of 0, 1, d, s',
+      'ri: "-1" is not a number between 0 and 4294967295',
+      'p: duplicate tag',
+    ]);
+  });
+
+  it('should ignore unknown tags with a warning', () => {
+    const dmarc = parseDmarcRecord('v=DMARC1; p=reject; foo=bar; adkim=s');
+
+    expect(dmarc.errors).toEqual([]);
+    expect(dmarc.tags).toEqual({ p: 'reject', adkim: 's' });
+    expect(dmarc.warnings.map((warning) => warning.message)).toEqual(['foo: unknown tag ignored']);
+  });
+
+  it('should require v=DMARC1 followed by p', () => {
+    expect(validateDmarcSyntax('p=reject; v=DMARC1')).toEqual(['Record does not start with v=DMARC1']);
+    expect(validateDmarcSyntax('v=DMARC1; rua=mailto:dmarc@example.com'))
+      .toEqual(['p: required tag is missing']);
+    expect(validateDmarcSyntax('v=DMARC1; sp=none; p=reject'))
+      .toEqual(['p: must directly follow v=DMARC1']);
+  });
+});
+
+describe('parseDmarcUri', () => {
+  it('should accept other schemes without a mailbox', () => {
+    expect(parseDmarcUri('HTTPS://example.com/report!50k')).toEqual({
+      uri: 'https://example.com/report',
+      scheme: 'https',
+      address: null,
+      maxSize: '50k',
+    });
+  });
+
+  it('should reject malformed URIs', () => {
+    expect(() => parseDmarcUri('dmarc@example.com')).toThrow('invalid report URI "dmarc@example.com"');
+  });
+
+  it('should decode percent-encoded mailboxes', () => {
+    expect(parseDmarcUri('mailto:dmarc%2Breports@example.com').address)
+      .toBe('dmarc+reports@example.com');
+  });
+});
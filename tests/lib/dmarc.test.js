@@ -1,5 +1,16 @@
-import { describe, it, expect } from 'vitest';
-import { normalizeDMARC } from '../../src/lib/dmarc.js';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../src/lib/dns-operations.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  resolveTxtRecord: vi.fn(),
+}));
+
+import { resolveTxtRecord } from '../../src/lib/dns-operations.js';
+import {
+  normalizeDMARC,
+  compareDmarcRecords,
+  checkDMARCReportDestinations,
+} from '../../src/lib/dmarc.js';
 
 describe('normalizeDMARC', () => {
   it('should remove spaces after semicolons', () => {
@@ -42,3 +53,123 @@ describe('normalizeDMARC', () => {
     expect(result).toBe('v=DMARC1;p=reject;sp=reject');
   });
 });
+
+describe('compareDmarcRecords', () => {
+  const expected = 'v=DMARC1;p=reject;sp=reject;adkim=s;aspf=s;rua=mailto:dmarc@example.com';
+
+  it('should ignore tag order, case, spacing and default values', () => {
+    expect(compareDmarcRecords(
+      'v=DMARC1; P=Reject; aspf=s; adkim=S; pct=100; rua=mailto:dmarc@example.com; sp=reject;',
+      expected,
+    )).toEqual({ equal: true, differences: [] });
+  });
+
+  it('should name the tags that differ', () => {
+    expect(compareDmarcRecords(
+      'v=DMARC1; p=none; adkim=s; aspf=s; pct=50; ruf=mailto:ruf@example.com',
+      expected,
+    )).toEqual({
+      equal: false,
+      differences: [
+        'p=none instead of p=reject',
+        'missing sp=reject',
+        'pct=50 instead of pct=100',
+        'missing rua=mailto:dmarc@example.com',
+        'unexpected ruf=mailto:ruf@example.com',
+      ],
+    });
+  });
+
+  it('should ignore unknown tags', () => {
+    expect(compareDmarcRecords('v=DMARC1; p=reject; foo=bar', 'v=DMARC1; p=reject'))
+      .toEqual({ equal: true, differences: [] });
+    expect(compareDmarcRecords('v=DMARC1; p=none; foo=bar', 'v=DMARC1; p=reject'))
+      .toEqual({ equal: false, differences: ['p=none instead of p=reject'] });
+  });
+
+  it('should report the syntax errors of an invalid record', () => {
+    expect(compareDmarcRecords('v=DMARC1; p=block', expected)).toEqual({
+      equal: false,
+      differences: ['p: "block" is not one of none, quarantine, reject'],
+    });
+    expect(compareDmarcRecords(null, expected).equal).toBe(false);
+  });
+});
+
+describe('checkDMARCReportDestinations', () => {
+  const record = 'v=DMARC1; p=reject; ' +
+    'rua=mailto:dmarc@example.com,mailto:agg@reports.example.net; ' +
+    'ruf=mailto:ruf@example.org,mailto:ruf@mail.example.com';
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    resolveTxtRecord.mockImplementation(async (host) => {
+      if (host === 'example.org') {
+        throw Object.assign(new Error('queryTxt ETIMEOUT'), { code: 'ETIMEOUT' });
+      }
+      return host === 'reports.example.net' ? 'v=DMARC1' : null;
+    });
+  });
+
+  it('should check the authorization of every external destination', async () => {
+    const destinations = await checkDMARCReportDestinations(
+      'Example.com', record, ['example.com', 'example.net']);
+
+    expect(destinations).toEqual([
+      {
+        tag: 'rua',
+        uri: 'mailto:agg@reports.example.net',
+        host: 'reports.example.net',
+        authRecord: 'example.com._report._dmarc.reports.example.net',
+        authorized: true,
+        error: null,
+        managed: true,
+      },
+      {
+        tag: 'ruf',
+        uri: 'mailto:ruf@example.org',
+        host: 'example.org',
+        authRecord: 'example.com._report._dmarc.example.org',
+        authorized: null,
+        error: 'queryTxt ETIMEOUT',
+        managed: false,
+      },
+    ]);
+    expect(resolveTxtRecord).toHaveBeenCalledWith(
+      'reports.example.net', 'v=DMARC1', 'example.com._report._dmarc');
+  });
+
+  it('should report destinations without an authorization record', async () => {
+    const [destination] = await checkDMARCReportDestinations(
+      'example.com', 'v=DMARC1; p=none; rua=mailto:dmarc@example.info');
+
+    expect(destination).toMatchObject({ host: 'example.info', authorized: false, managed: false });
+  });
+
+  it('should not check destinations of the same organization', async () => {
+    const destinations = await checkDMARCReportDestinations(
+      'sub.example.com', 'v=DMARC1; p=none; rua=mailto:d@example.com,mailto:d@mx.example.com');
+
+    expect(destinations).toEqual([]);
+    expect(resolveTxtRecord).not.toHaveBeenCalled();
+  });
+
+  it('should check sibling domains under a multi-label public suffix', async () => {
+    const [destination] = await checkDMARCReportDestinations(
+      'shop.example.co.uk', 'v=DMARC1; p=none; rua=mailto:d@other.co.uk');
+
+    expect(destination).toMatchObject({ host: 'other.co.uk', authorized: false });
+  });
+
+  it('should take the host of other URI schemes', async () => {
+    const [destination] = await checkDMARCReportDestinations(
+      'example.com', 'v=DMARC1; p=none; rua=https://reports.example.info/dmarc');
+
+    expect(destination).toMatchObject({ host: 'reports.example.info', authorized: false });
+  });
+
+  it('should not look anything up without a record', async () => {
+    expect(await checkDMARCReportDestinations('example.com', null)).toEqual([]);
+    expect(resolveTxtRecord).not.toHaveBeenCalled();
+  });
+});
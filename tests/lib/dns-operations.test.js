@@ -262,4 +262,41 @@ describe('dns-operations', () => {
       expect(result).toBe(true);
     });
   });
+
+  describe('findZoneApex', () => {
+    /**
+     * Answer SOA queries for the given zone apexes only.
+     * @param {string[]} apexes
+     */
+    function mockSoaApexes(apexes) {
+      dns.default.resolveSoa.mockImplementation((name, callback) => {
+        if (apexes.includes(name)) {
+          callback(null, { nsname: `ns1.${name}`, hostmaster: `hostmaster.${name}` });
+        } else {
+          callback(Object.assign(new Error('no SOA'), { code: 'ENODATA' }), null);
+        }
+      });
+    }
+
+    it('should return the closest enclosing zone', async () => {
+      mockSoaApexes(['co.uk', 'example.co.uk']);
+      expect(await dnsOps.findZoneApex('_spf.example.co.uk')).toBe('example.co.uk');
+
+      mockSoaApexes(['example.com', 'mail.example.com']);
+      expect(await dnsOps.findZoneApex('_spf.mail.example.com.')).toBe('mail.example.com');
+    });
+
+    it('should return null without an enclosing zone below the TLD', async () => {
+      mockSoaApexes(['invalid']);
+      expect(await dnsOps.findZoneApex('_spf.example.invalid')).toBeNull();
+      expect(dns.default.resolveSoa).toHaveBeenCalledTimes(2);
+    });
+
+    it('should throw on other DNS errors', async () => {
+      dns.default.resolveSoa.mockImplementation((name, callback) => {
+        callback(Object.assign(new Error('timeout'), { code: 'ETIMEOUT' }), null);
+      });
+      await expect(dnsOps.findZoneApex('_spf.example.com')).rejects.toThrow('timeout');
+    });
+  });
 });
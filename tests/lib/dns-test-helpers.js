@@ -0,0 +1,45 @@
+/**
+ * DNS helpers shared by the tests of the SPF modules.
+ *
+ * `mockDns` expects the test file to mock resolveTxt, resolve4, resolve6,
+ * resolveMx and reversePtr of dns-operations.js with `vi.fn()`.
+ */
+
+import {
+  resolveTxt,
+  resolve4,
+  resolve6,
+  resolveMx,
+  reversePtr,
+} from '../../src/lib/dns-operations.js';
+
+/**
+ * Build a DNS error with the given code.
+ * @param {string} code
+ * @returns {Error}
+ */
+export function dnsError(code) {
+  return Object.assign(new Error(`query failed: ${code}`), { code });
+}
+
+/**
+ * Serve DNS answers from tables keyed by name; missing names are NXDOMAIN.
+ * @param {Object} tables - { txt, a, aaaa, mx, ptr } maps of name to answers
+ *   (or an Error to throw)
+ */
+export function mockDns({ txt = {}, a = {}, aaaa = {}, mx = {}, ptr = {} }) {
+  const lookup = (records, wrap = (v) => v) => async (name) => {
+    if (records[name] instanceof Error) {
+      throw records[name];
+    }
+    if (!records[name]) {
+      throw dnsError('ENOTFOUND');
+    }
+    return records[name].map(wrap);
+  };
+  resolveTxt.mockImplementation(lookup(txt, (v) => [v]));
+  resolve4.mockImplementation(lookup(a));
+  resolve6.mockImplementation(lookup(aaaa));
+  resolveMx.mockImplementation(lookup(mx, (exchange) => ({ exchange, priority: 10 })));
+  reversePtr.mockImplementation(lookup(ptr));
+}
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import {
+  matchesDomainPattern,
+  validateDomainGroups,
+  getDomainGroups,
+  isDomainSelected,
+} from '../../src/lib/domain-groups.js';
+
+const groups = {
+  customers: ['example.com', '*.example.org'],
+  germany: ['*.de'],
+};
+
+describe('matchesDomainPattern', () => {
+  it('should match names exactly and case-insensitively', () => {
+    expect(matchesDomainPattern('Example.COM', 'example.com')).toBe(true);
+    expect(matchesDomainPattern('example.co', 'example.com')).toBe(false);
+  });
+
+  it('should treat * as wildcard and dots literally', () => {
+    expect(matchesDomainPattern('shop.example.org', '*.example.org')).toBe(true);
+    expect(matchesDomainPattern('example.org', '*.example.org')).toBe(false);
+    expect(matchesDomainPattern('exampleXcom', 'example.com')).toBe(false);
+  });
+});
+
+describe('domain groups', () => {
+  it('should list the groups of a domain', () => {
+    expect(getDomainGroups('shop.example.org', groups)).toEqual(['customers']);
+    expect(getDomainGroups('example.de', groups)).toEqual(['germany']);
+    expect(getDomainGroups('example.net', groups)).toEqual([]);
+  });
+
+  it('should select domains by name or group', () => {
+    expect(isDomainSelected('example.de', { groups: ['germany'] }, groups)).toBe(true);
+    expect(isDomainSelected('example.net', { domains: ['*.net'] }, groups)).toBe(true);
+    expect(isDomainSelected('example.net', { groups: ['customers'] }, groups)).toBe(false);
+  });
+
+  it('should reject malformed group definitions', () => {
+    expect(validateDomainGroups(groups)).toEqual([]);
+    expect(validateDomainGroups([])).toHaveLength(1);
+    expect(validateDomainGroups({ bad: 'example.com' })).toEqual([
+      'group "bad" must be a list of domain names or patterns',
+    ]);
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { config } from '../../src/lib/config.js';
+import {
+  saveZoneSnapshot,
+  listSnapshotRuns,
+  loadRunSnapshots,
+  isValidRunId,
+} from '../../src/lib/snapshots.js';
+
+describe('snapshots', () => {
+  const originalDir = config.snapshotDir;
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'snapshots-'));
+    config.snapshotDir = tmpDir;
+  });
+
+  afterEach(async () => {
+    config.snapshotDir = originalDir;
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should keep only the first snapshot of a zone per run', async () => {
+    const before = { origin: 'example.com', resourceRecords: [{ value: 'old' }] };
+    const after = { origin: 'example.com', resourceRecords: [{ value: 'new' }] };
+
+    expect(await saveZoneSnapshot('example.com', before, 'default', 'run-1')).toBeTruthy();
+    expect(await saveZoneSnapshot('example.com', after, 'default', 'run-1')).toBeNull();
+
+    const [snapshot] = await loadRunSnapshots('run-1');
+    expect(snapshot.zone.resourceRecords[0].value).toBe('old');
+    expect(snapshot).toMatchObject({ runId: 'run-1', account: 'default', zoneName: 'example.com' });
+  });
+
+  it('should list runs newest first and load snapshots sorted', async () => {
+    await saveZoneSnapshot('b.com', {}, 'default', '2024-01-02T00-00-00');
+    await saveZoneSnapshot('a.com', {}, 'default', '2024-01-02T00-00-00');
+    await saveZoneSnapshot('a.com', {}, 'default', '2024-01-01T00-00-00');
+
+    expect(await listSnapshotRuns()).toEqual(['2024-01-02T00-00-00', '2024-01-01T00-00-00']);
+    const snapshots = await loadRunSnapshots('2024-01-02T00-00-00');
+    expect(snapshots.map((s) => s.zoneName)).toEqual(['a.com', 'b.com']);
+  });
+
+  it('should return nothing for unknown runs and reject unsafe run IDs', async () => {
+    expect(await listSnapshotRuns()).toEqual([]);
+    expect(await loadRunSnapshots('missing')).toEqual([]);
+    expect(isValidRunId('../etc')).toBe(false);
+    await expect(loadRunSnapshots('../etc')).rejects.toThrow('Invalid run ID');
+  });
+});
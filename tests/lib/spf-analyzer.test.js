@@ -0,0 +1,151 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../src/lib/dns-operations.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  resolveTxt: vi.fn(),
+  resolve4: vi.fn(),
+  resolve6: vi.fn(),
+  resolveMx: vi.fn(),
+  reversePtr: vi.fn(),
+}));
+
+import { resolve4 } from '../../src/lib/dns-operations.js';
+import {
+  analyzeSpf,
+  formatSpfTree,
+  formatSpfLookupSummary,
+} from '../../src/lib/spf-analyzer.js';
+import { dnsError, mockDns } from './dns-test-helpers.js';
+
+describe('analyzeSpf', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should count lookups through nested includes', async () => {
+    mockDns({
+      txt: {
+        '_spf.example.net': ['v=spf1 include:_n1.example.net a:mail.example.net ~all'],
+        '_n1.example.net': ['v=spf1 ip4:192.0.2.0/24 -all'],
+      },
+      a: { 'mail.example.net': ['192.0.2.10'], 'example.com': ['192.0.2.1'] },
+      mx: { 'example.com': ['mx.example.com'] },
+    });
+
+    const analysis = await analyzeSpf(
+      'example.com', 'v=spf1 a mx include:_spf.example.net ip4:198.51.100.1 -all');
+
+    expect(analysis.lookups).toBe(5);
+    expect(analysis.voidLookups).toBe(0);
+    expect(analysis.permerror).toBe(false);
+    expect(analysis.tree.children.map((n) => n.term)).toEqual([
+      'a', 'mx', 'include:_spf.example.net',
+    ]);
+    expect(analysis.tree.children[2].children.map((n) => n.lookup)).toEqual([4, 5]);
+  });
+
+  it('should report permerror above 10 lookups', async () => {
+    const includes = Array.from({ length: 11 }, (_, i) => `include:s${i}.example.net`);
+    const txt = Object.fromEntries(
+      includes.map((_, i) => [`s${i}.example.net`, ['v=spf1 ip4:192.0.2.1 -all']]));
+    mockDns({ txt });
+
+    const analysis = await analyzeSpf('example.com', `v=spf1 ${includes.join(' ')} -all`);
+
+    expect(analysis.lookups).toBe(11);
+    expect(analysis.permerror).toBe(true);
+    expect(analysis.errors).toEqual(['11 DNS lookups exceed the limit of 10']);
+  });
+
+  it('should report permerror above 2 void lookups', async () => {
+    mockDns({ a: {}, mx: {} });
+
+    const analysis = await analyzeSpf(
+      'example.com', 'v=spf1 a:gone1.example.com a:gone2.example.com mx:gone3.example.com -all');
+
+    expect(analysis.voidLookups).toBe(3);
+    expect(analysis.errors).toEqual(['3 void lookups exceed the limit of 2']);
+    expect(analysis.tree.children.every((n) => n.note === 'void')).toBe(true);
+  });
+
+  it('should treat includes without an SPF record as permerror', async () => {
+    mockDns({ txt: { 'nospf.example.net': ['google-site-verification=abc'] } });
+
+    const analysis = await analyzeSpf('example.com', 'v=spf1 include:nospf.example.net -all');
+
+    expect(analysis.voidLookups).toBe(0);
+    expect(analysis.errors).toEqual([
+      'include:nospf.example.net: no SPF record at nospf.example.net',
+    ]);
+  });
+
+  it('should detect include loops', async () => {
+    mockDns({ txt: { 'loop.example.net': ['v=spf1 include:example.com -all'] } });
+
+    const analysis = await analyzeSpf('example.com', 'v=spf1 include:loop.example.net -all');
+
+    expect(analysis.errors).toEqual(['include:example.com: include loop']);
+  });
+
+  it('should follow redirect only without an all mechanism', async () => {
+    mockDns({ txt: { '_spf.example.net': ['v=spf1 mx:example.net -all'] }, mx: {} });
+
+    const redirected = await analyzeSpf('example.com', 'v=spf1 redirect=_spf.example.net');
+    const ignored = await analyzeSpf('example.com', 'v=spf1 -all redirect=_spf.example.net');
+
+    expect(redirected.lookups).toBe(2);
+    expect(redirected.voidLookups).toBe(1);
+    expect(ignored.lookups).toBe(0);
+  });
+
+  it('should report syntax errors in included records', async () => {
+    mockDns({ txt: { '_spf.example.net': ['v=spf1 ip4:192.0.2.300 -all'] } });
+
+    const analysis = await analyzeSpf('example.com', 'v=spf1 include:_spf.example.net -all');
+
+    expect(analysis.permerror).toBe(true);
+    expect(analysis.errors[0]).toContain('_spf.example.net: Invalid ip4 mechanism');
+  });
+
+  it('should count but not evaluate macros and ptr', async () => {
+    mockDns({});
+
+    const analysis = await analyzeSpf(
+      'example.com', 'v=spf1 exists:%{i}.rbl.example.net ptr -all');
+
+    expect(analysis.lookups).toBe(2);
+    expect(analysis.voidLookups).toBe(0);
+    expect(analysis.permerror).toBe(false);
+    expect(analysis.warnings).toHaveLength(2);
+    expect(resolve4).not.toHaveBeenCalled();
+  });
+
+  it('should report temporary DNS errors as warnings', async () => {
+    mockDns({ txt: { '_spf.example.net': dnsError('ESERVFAIL') } });
+
+    const analysis = await analyzeSpf('example.com', 'v=spf1 include:_spf.example.net -all');
+
+    expect(analysis.permerror).toBe(false);
+    expect(analysis.tree.children[0].note).toBe('temperror (ESERVFAIL)');
+    expect(analysis.warnings).toEqual(['include:_spf.example.net: DNS error ESERVFAIL']);
+  });
+});
+
+describe('formatSpfTree', () => {
+  it('should render the lookup tree', async () => {
+    mockDns({
+      txt: { '_spf.example.net': ['v=spf1 a:mail.example.net -all'] },
+      a: { 'mail.example.net': ['192.0.2.10'] },
+    });
+
+    const analysis = await analyzeSpf('example.com', 'v=spf1 include:_spf.example.net mx -all');
+
+    expect(formatSpfLookupSummary(analysis)).toBe('3/10 DNS lookups, 1/2 void');
+    expect(formatSpfTree(analysis)).toEqual([
+      'example.com (3/10 DNS lookups, 1/2 void)',
+      '  #1 include:_spf.example.net',
+      '    #2 a:mail.example.net',
+      '  #3 mx [void]',
+    ]);
+  });
+});
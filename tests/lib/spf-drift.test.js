@@ -0,0 +1,225 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  loadSpfState,
+  saveSpfState,
+  computeSpfDrift,
+  checkSpfSafety,
+  formatSpfSafetyReport,
+  formatSpfDriftReport,
+} from '../../src/lib/spf-drift.js';
+
+/**
+ * Build a buildFlattenedSpfRecord-like result.
+ * @param {Object<string, string[]>} sources
+ * @returns {Object}
+ */
+function buildSpfData(sources) {
+  const mechanisms = Object.values(sources).flat();
+  return {
+    mainRecord: `v=spf1 ${mechanisms.join(' ')} -all`,
+    chunkRecords: [],
+    needsSplit: false,
+    sources,
+  };
+}
+
+describe('SPF state', () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'spf-state-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should return null without a stored state', async () => {
+    expect(await loadSpfState(path.join(tmpDir, 'missing.json'))).toBeNull();
+  });
+
+  it('should save and load the flattened state', async () => {
+    const file = path.join(tmpDir, 'nested', 'spf.json');
+    const spfData = buildSpfData({ 'include:_spf.example.net': ['ip4:192.0.2.0/24'] });
+
+    await saveSpfState('v=spf1 include:_spf.example.net -all', spfData, file);
+    const state = await loadSpfState(file);
+
+    expect(state).toMatchObject({
+      baseRecord: 'v=spf1 include:_spf.example.net -all',
+      mainRecord: spfData.mainRecord,
+      chunkRecords: [],
+      sources: spfData.sources,
+      retiredChunks: {},
+    });
+    expect(Date.parse(state.updatedAt)).not.toBeNaN();
+  });
+
+  it('should throw on a corrupt state file', async () => {
+    const file = path.join(tmpDir, 'spf.json');
+    await fs.writeFile(file, '{not json');
+
+    await expect(loadSpfState(file)).rejects.toThrow(SyntaxError);
+  });
+});
+
+describe('computeSpfDrift', () => {
+  const previous = {
+    updatedAt: '2024-05-01T01:00:00.000Z',
+    ...buildSpfData({
+      'include:_spf.example.net': ['ip4:192.0.2.0/24', 'ip4:198.51.100.1'],
+      'include:mail.example.org': ['ip6:2001:db8::/32'],
+      'ip4:203.0.113.5': ['ip4:203.0.113.5'],
+    }),
+  };
+
+  it('should report a baseline without previous state', () => {
+    const drift = computeSpfDrift(null, buildSpfData({}));
+
+    expect(drift).toEqual({ baseline: true, previousAt: null, sources: [], recordChanged: true });
+  });
+
+  it('should report no changes for the same mechanisms', () => {
+    const drift = computeSpfDrift(previous, buildSpfData(previous.sources));
+
+    expect(drift.sources).toEqual([]);
+    expect(drift.recordChanged).toBe(false);
+  });
+
+  it('should list added and removed mechanisms per source', () => {
+    const drift = computeSpfDrift(previous, buildSpfData({
+      'include:_spf.example.net': ['ip4:192.0.2.0/24', 'ip4:198.51.100.2'],
+      'include:mail.example.org': ['ip6:2001:db8::/32'],
+      'include:new.example.com': ['ip4:192.0.2.200'],
+    }));
+
+    expect(drift.sources).toEqual([
+      {
+        source: 'include:_spf.example.net',
+        added: ['ip4:198.51.100.2'],
+        removed: ['ip4:198.51.100.1'],
+      },
+      { source: 'ip4:203.0.113.5', added: [], removed: ['ip4:203.0.113.5'] },
+      { source: 'include:new.example.com', added: ['ip4:192.0.2.200'], removed: [] },
+    ]);
+    expect(drift.recordChanged).toBe(true);
+    expect(drift.previousAt).toBe('2024-05-01T01:00:00.000Z');
+  });
+});
+
+describe('formatSpfDriftReport', () => {
+  it('should describe the baseline and unchanged cases', () => {
+    expect(formatSpfDriftReport({ baseline: true, sources: [] }))
+      .toContain('this run is the baseline');
+    expect(formatSpfDriftReport({ baseline: false, previousAt: 'yesterday', sources: [] }))
+      .toContain('No provider changed their ranges since yesterday');
+  });
+
+  it('should list the changes per provider', () => {
+    const report = formatSpfDriftReport({
+      baseline: false,
+      previousAt: '2024-05-01T01:00:00.000Z',
+      sources: [
+        { source: 'include:_spf.example.net', added: ['ip4:192.0.2.1'], removed: ['ip4:192.0.2.2'] },
+      ],
+    });
+
+    expect(report).toContain('SPF Provider Range Changes');
+    expect(report).toContain('include:_spf.example.net\n  + ip4:192.0.2.1\n  - ip4:192.0.2.2\n');
+  });
+});
+
+describe('checkSpfSafety', () => {
+  const previous = {
+    updatedAt: '2024-05-01T01:00:00.000Z',
+    sources: {
+      'include:_spf.example.net': ['ip4:192.0.2.1', 'ip4:192.0.2.2', 'ip4:192.0.2.3'],
+      'include:mail.example.org': ['ip6:2001:db8::/32'],
+    },
+  };
+
+  it('should allow a complete flattening without a previous state', () => {
+    expect(checkSpfSafety(null, buildSpfData(previous.sources), 20))
+      .toEqual({ safe: true, reasons: [] });
+  });
+
+  it('should refuse a flattening with unresolved targets', () => {
+    const spfData = {
+      ...buildSpfData({ 'include:_spf.example.net': [] }),
+      failures: [{ target: '_spf.example.net', reason: 'queryTxt ETIMEOUT' }],
+    };
+
+    const safety = checkSpfSafety(null, spfData, 20);
+
+    expect(safety.safe).toBe(false);
+    expect(safety.reasons).toEqual(['_spf.example.net could not be resolved (queryTxt ETIMEOUT)']);
+  });
+
+  it('should refuse records that exceed the DNS lookup limit', () => {
+    const spfData = { ...buildSpfData(previous.sources), lookups: 12 };
+
+    expect(checkSpfSafety(previous, spfData, 20).reasons)
+      .toEqual(['12 DNS lookups exceed the limit of 10']);
+  });
+
+  it('should refuse records that exceed the TXT string limit', () => {
+    const violation = 'chunk 1 would be up to 270 bytes, over the 255-byte TXT string limit';
+    const spfData = { ...buildSpfData(previous.sources), limitViolations: [violation] };
+
+    expect(checkSpfSafety(previous, spfData, 20).reasons).toEqual([violation]);
+  });
+
+  it('should refuse a flattening that lost more mechanisms than allowed', () => {
+    const spfData = buildSpfData({
+      'include:_spf.example.net': ['ip4:192.0.2.1', 'ip4:192.0.2.2'],
+      'include:mail.example.org': [],
+    });
+
+    const safety = checkSpfSafety(previous, spfData, 25);
+
+    expect(safety.safe).toBe(false);
+    expect(safety.reasons).toEqual(['mechanisms dropped from 4 to 2 (50%, allowed: 25%)']);
+  });
+
+  it('should allow drops within the limit and growth', () => {
+    const shrunk = buildSpfData({
+      'include:_spf.example.net': ['ip4:192.0.2.1', 'ip4:192.0.2.2'],
+      'include:mail.example.org': ['ip6:2001:db8::/32'],
+    });
+    const grown = buildSpfData({
+      ...previous.sources,
+      'include:new.example.com': ['ip4:198.51.100.1'],
+    });
+
+    expect(checkSpfSafety(previous, shrunk, 25).safe).toBe(true);
+    expect(checkSpfSafety(previous, grown, 0).safe).toBe(true);
+  });
+
+  it('should not count providers removed from the base record as a drop', () => {
+    const withoutInclude = buildSpfData({
+      'include:mail.example.org': ['ip6:2001:db8::/32'],
+    });
+
+    expect(checkSpfSafety(previous, withoutInclude, 0)).toEqual({ safe: true, reasons: [] });
+  });
+});
+
+describe('formatSpfSafetyReport', () => {
+  it('should be empty when publishing is allowed', () => {
+    expect(formatSpfSafetyReport({ safe: true, reasons: [] })).toBe('');
+  });
+
+  it('should list why publishing was refused', () => {
+    const report = formatSpfSafetyReport({
+      safe: false,
+      reasons: ['_spf.example.net could not be resolved (no SPF record)'],
+    });
+
+    expect(report).toContain('SPF Safety Guard');
+    expect(report).toContain('previous record stays in place');
+    expect(report).toContain('  - _spf.example.net could not be resolved (no SPF record)\n');
+  });
+});
@@ -0,0 +1,236 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../src/lib/dns-operations.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  resolveTxt: vi.fn(),
+  resolve4: vi.fn(),
+  resolve6: vi.fn(),
+  resolveMx: vi.fn(),
+  reversePtr: vi.fn(),
+}));
+
+import { resolveTxt } from '../../src/lib/dns-operations.js';
+import { checkHost, expandMacros } from '../../src/lib/spf-evaluator.js';
+import { dnsError, mockDns } from './dns-test-helpers.js';
+
+describe('checkHost', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should pass through an include and report the matching chain', async () => {
+    mockDns({
+      txt: {
+        'example.com': ['v=spf1 include:_spf.example.com -all'],
+        '_spf.example.com': ['v=spf1 ip4:198.51.100.1 ip4:192.0.2.0/24 -all'],
+      },
+    });
+
+    const check = await checkHost({ ip: '192.0.2.10', domain: 'example.com' });
+
+    expect(check.result).toBe('pass');
+    expect(check.matches).toEqual([
+      { domain: 'example.com', term: 'include:_spf.example.com' },
+      { domain: '_spf.example.com', term: 'ip4:192.0.2.0/24' },
+    ]);
+    expect(check.lookups).toBe(1);
+  });
+
+  it('should return the qualifier result of the matching mechanism', async () => {
+    mockDns({ txt: { 'example.com': ['v=spf1 ip4:192.0.2.1 ?ip6:2001:db8::/32 ~all'] } });
+
+    expect((await checkHost({ ip: '203.0.113.5', domain: 'example.com' })).result)
+      .toBe('softfail');
+    expect((await checkHost({ ip: '2001:db8::5', domain: 'example.com' })).result)
+      .toBe('neutral');
+  });
+
+  it('should not match includes that fail', async () => {
+    mockDns({
+      txt: {
+        'example.com': ['v=spf1 include:_spf.example.net ip4:192.0.2.10 -all'],
+        '_spf.example.net': ['v=spf1 -ip4:192.0.2.10 ~all'],
+      },
+    });
+
+    const check = await checkHost({ ip: '192.0.2.10', domain: 'example.com' });
+
+    expect(check.result).toBe('pass');
+    expect(check.matches).toEqual([{ domain: 'example.com', term: 'ip4:192.0.2.10' }]);
+  });
+
+  it('should match a and mx with CIDR lengths', async () => {
+    mockDns({
+      txt: { 'example.com': ['v=spf1 a:web.example.com/28 mx -all'] },
+      a: { 'web.example.com': ['192.0.2.1'], 'mx.example.com': ['198.51.100.7'] },
+      mx: { 'example.com': ['mx.example.com'] },
+    });
+
+    expect((await checkHost({ ip: '192.0.2.14', domain: 'example.com' })).result).toBe('pass');
+    const viaMx = await checkHost({ ip: '198.51.100.7', domain: 'example.com' });
+    expect(viaMx.result).toBe('pass');
+    expect(viaMx.matches[0].term).toBe('mx');
+    expect((await checkHost({ ip: '192.0.2.16', domain: 'example.com' })).result).toBe('fail');
+  });
+
+  it('should expand macros for exists', async () => {
+    mockDns({
+      txt: { 'example.com': ['v=spf1 exists:%{ir}.%{l1r-}.allow.example.com -all'] },
+      a: { '10.2.0.192.bob.allow.example.com': ['127.0.0.2'] },
+    });
+
+    const allowed = await checkHost({
+      ip: '192.0.2.10', domain: 'example.com', sender: 'bob-alice@example.com',
+    });
+
+    expect(allowed.result).toBe('pass');
+  });
+
+  it('should validate ptr names against the client IP', async () => {
+    mockDns({
+      txt: { 'example.com': ['v=spf1 ptr -all'] },
+      ptr: { '192.0.2.10': ['mail.example.com', 'other.example.org'] },
+      a: { 'mail.example.com': ['192.0.2.10'] },
+    });
+
+    expect((await checkHost({ ip: '192.0.2.10', domain: 'example.com' })).result).toBe('pass');
+  });
+
+  it('should follow redirect and use the explanation of the target', async () => {
+    mockDns({
+      txt: {
+        'example.com': ['v=spf1 redirect=_spf.example.net'],
+        '_spf.example.net': ['v=spf1 ip4:192.0.2.1 -all exp=exp.example.net'],
+        'exp.example.net': ['%{i} is not allowed to send for %{d}'],
+      },
+    });
+
+    const check = await checkHost({ ip: '203.0.113.5', domain: 'example.com' });
+
+    expect(check.result).toBe('fail');
+    expect(check.matches).toEqual([
+      { domain: 'example.com', term: 'redirect=_spf.example.net' },
+      { domain: '_spf.example.net', term: '-all' },
+    ]);
+    expect(check.explanation).toBe('203.0.113.5 is not allowed to send for _spf.example.net');
+  });
+
+  it('should return neutral when nothing matches', async () => {
+    mockDns({ txt: { 'example.com': ['v=spf1 ip4:192.0.2.1'] } });
+
+    const check = await checkHost({ ip: '203.0.113.5', domain: 'example.com' });
+
+    expect(check.result).toBe('neutral');
+    expect(check.matches).toEqual([]);
+  });
+
+  it('should return none without an SPF record', async () => {
+    mockDns({ txt: { 'example.com': ['google-site-verification=abc'] } });
+
+    expect((await checkHost({ ip: '192.0.2.1', domain: 'example.com' })).result).toBe('none');
+  });
+
+  it('should return permerror for include targets without a record', async () => {
+    mockDns({ txt: { 'example.com': ['v=spf1 include:missing.example.net -all'] } });
+
+    const check = await checkHost({ ip: '192.0.2.1', domain: 'example.com' });
+
+    expect(check.result).toBe('permerror');
+    expect(check.error).toBe('include target missing.example.net has no SPF record');
+  });
+
+  it('should return permerror above the lookup limit', async () => {
+    const includes = Array.from({ length: 11 }, (_, i) => `include:s${i}.example.net`);
+    const txt = { 'example.com': [`v=spf1 ${includes.join(' ')} -all`] };
+    includes.forEach((_, i) => {
+      txt[`s${i}.example.net`] = ['v=spf1 ip4:198.51.100.1 -all'];
+    });
+    mockDns({ txt });
+
+    const check = await checkHost({ ip: '192.0.2.1', domain: 'example.com' });
+
+    expect(check.result).toBe('permerror');
+    expect(check.error).toContain('more than 10 DNS lookups');
+  });
+
+  it('should return permerror above the void lookup limit', async () => {
+    mockDns({
+      txt: { 'example.com': ['v=spf1 a:x1.example.com a:x2.example.com a:x3.example.com -all'] },
+    });
+
+    const check = await checkHost({ ip: '192.0.2.1', domain: 'example.com' });
+
+    expect(check.result).toBe('permerror');
+    expect(check.voidLookups).toBe(3);
+  });
+
+  it('should return permerror for multiple records and syntax errors', async () => {
+    mockDns({
+      txt: {
+        'multi.example.com': ['v=spf1 -all', 'v=spf1 ~all'],
+        'bad.example.com': ['v=spf1 ip4:192.0.2.300 -all'],
+      },
+    });
+
+    expect((await checkHost({ ip: '192.0.2.1', domain: 'multi.example.com' })).result)
+      .toBe('permerror');
+    expect((await checkHost({ ip: '192.0.2.1', domain: 'bad.example.com' })).result)
+      .toBe('permerror');
+  });
+
+  it('should return temperror on DNS failures', async () => {
+    mockDns({ txt: { 'example.com': dnsError('ETIMEOUT') } });
+
+    const check = await checkHost({ ip: '192.0.2.1', domain: 'example.com' });
+
+    expect(check.result).toBe('temperror');
+    expect(check.error).toBe('DNS error for example.com: ETIMEOUT');
+  });
+
+  it('should evaluate a given record instead of the published one', async () => {
+    mockDns({ txt: { 'example.com': ['v=spf1 -all'] } });
+
+    const check = await checkHost({
+      ip: '192.0.2.1', domain: 'example.com', record: 'v=spf1 ip4:192.0.2.0/24 -all',
+    });
+
+    expect(check.result).toBe('pass');
+    expect(resolveTxt).not.toHaveBeenCalled();
+  });
+
+  it('should reject invalid IP addresses', async () => {
+    await expect(checkHost({ ip: 'not-an-ip', domain: 'example.com' }))
+      .rejects.toThrow('Invalid IP address');
+  });
+});
+
+describe('expandMacros', () => {
+  // Examples from RFC 7208 section 7.4
+  const ctx = { sender: 'strong-bad@email.example.com', ip: '192.0.2.3', ipVersion: 4 };
+  const expand = (value) => expandMacros(value, 'email.example.com', ctx);
+
+  it('should expand the RFC examples', () => {
+    expect(expand('%{s}')).toBe('strong-bad@email.example.com');
+    expect(expand('%{o}')).toBe('email.example.com');
+    expect(expand('%{d2}')).toBe('example.com');
+    expect(expand('%{dr}')).toBe('com.example.email');
+    expect(expand('%{d2r}')).toBe('example.email');
+    expect(expand('%{l-}')).toBe('strong.bad');
+    expect(expand('%{lr-}')).toBe('bad.strong');
+    expect(expand('%{l1r-}')).toBe('strong');
+    expect(expand('%{ir}.%{v}._spf.%{d2}')).toBe('3.2.0.192.in-addr._spf.example.com');
+    expect(expand('%{lr-}.lp._spf.%{d2}')).toBe('bad.strong.lp._spf.example.com');
+  });
+
+  it('should expand IPv6 addresses to nibbles', () => {
+    const v6 = { ...ctx, ip: '2001:db8::cb01', ipVersion: 6 };
+
+    expect(expandMacros('%{ir}.%{v}._spf.%{d2}', 'email.example.com', v6)).toBe(
+      '1.0.b.c.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.8.b.d.0.1.0.0.2.ip6._spf.example.com');
+  });
+
+  it('should expand escapes and URL-encode upper-case macros', () => {
+    expect(expand('%%%_%-')).toBe('% %20');
+    expect(expand('%{S}')).toBe('strong-bad%40email.example.com');
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseSpfRecord,
+  formatSpfTerm,
+  validateSpfSyntax,
+  validateDomainSpec,
+  hasMacros,
+} from '../../src/lib/spf-parser.js';
+
+describe('parseSpfRecord', () => {
+  it('should parse qualifiers and mechanisms', () => {
+    const spf = parseSpfRecord('v=spf1 +a -include:bad.example.com ~mx ?ip4:192.0.2.1 all');
+
+    expect(spf.errors).toEqual([]);
+    expect(spf.mechanisms.map((m) => [m.qualifier, m.mechanism])).toEqual([
+      ['+', 'a'],
+      ['-', 'include'],
+      ['~', 'mx'],
+      ['?', 'ip4'],
+      ['+', 'all'],
+    ]);
+    expect(spf.mechanisms[1].domainSpec).toBe('bad.example.com');
+  });
+
+  it('should parse dual CIDR lengths on a and mx', () => {
+    const spf = parseSpfRecord('v=spf1 a:mail.example.com/24//64 mx/28 a//96');
+    const [a, mx, plainA] = spf.mechanisms;
+
+    expect(a).toMatchObject({ domainSpec: 'mail.example.com', ip4Cidr: 24, ip6Cidr: 64 });
+    expect(mx).toMatchObject({ domainSpec: null, ip4Cidr: 28, ip6Cidr: null });
+    expect(plainA).toMatchObject({ domainSpec: null, ip4Cidr: null, ip6Cidr: 96 });
+  });
+
+  it('should parse ip4 and ip6 networks with prefix lengths', () => {
+    const spf = parseSpfRecord('v=spf1 ip4:192.0.2.0/24 ip6:2001:db8::/32 ip6:2001:db8::1');
+
+    expect(spf.mechanisms[0]).toMatchObject({ network: '192.0.2.0', ip4Cidr: 24 });
+    expect(spf.mechanisms[1]).toMatchObject({ network: '2001:db8::', ip6Cidr: 32 });
+    expect(spf.mechanisms[2]).toMatchObject({ network: '2001:db8::1', ip6Cidr: null });
+  });
+
+  it('should parse exists, ptr and macros', () => {
+    const spf = parseSpfRecord('v=spf1 exists:%{ir}.%{l1r+-}._spf.%{d} ptr ptr:example.com');
+
+    expect(spf.errors).toEqual([]);
+    expect(spf.mechanisms[0].domainSpec).toBe('%{ir}.%{l1r+-}._spf.%{d}');
+    expect(hasMacros(spf.mechanisms[0].domainSpec)).toBe(true);
+    expect(spf.mechanisms[1].domainSpec).toBeNull();
+    expect(spf.mechanisms[2].domainSpec).toBe('example.com');
+  });
+
+  it('should parse redirect, exp and unknown modifiers', () => {
+    const spf = parseSpfRecord('v=spf1 redirect=_spf.example.com exp=exp.example.com foo=bar');
+
+    expect(spf.redirect).toBe('_spf.example.com');
+    expect(spf.exp).toBe('exp.example.com');
+    expect(spf.modifiers.map((m) => m.name)).toEqual(['redirect', 'exp', 'foo']);
+  });
+
+  it('should report duplicate redirect modifiers', () => {
+    const spf = parseSpfRecord('v=spf1 redirect=a.example.com redirect=b.example.com');
+
+    expect(spf.redirect).toBe('a.example.com');
+    expect(spf.errors).toHaveLength(1);
+    expect(spf.errors[0].message).toContain('Duplicate redirect');
+    expect(spf.errors[0].term).toBe('redirect=b.example.com');
+  });
+
+  it('should report invalid terms and keep the valid ones', () => {
+    const spf = parseSpfRecord(
+      'v=spf1 foo:bar ip4:300.1.1.1 ip4:192.0.2.0/33 include: exists a:host/24x -all');
+
+    expect(spf.errors.map((e) => e.term)).toEqual([
+      'foo:bar', 'ip4:300.1.1.1', 'ip4:192.0.2.0/33', 'include:', 'exists', 'a:host/24x',
+    ]);
+    expect(spf.mechanisms.map((m) => m.mechanism)).toEqual(['all']);
+  });
+
+  it('should reject records without v=spf1', () => {
+    const spf = parseSpfRecord('v=spf2 ip4:192.0.2.1 -all');
+
+    expect(spf.terms).toEqual([]);
+    expect(spf.errors[0].message).toContain('v=spf1');
+  });
+
+  it('should handle empty input', () => {
+    expect(parseSpfRecord('').errors).toHaveLength(1);
+    expect(parseSpfRecord(null).errors).toHaveLength(1);
+  });
+});
+
+describe('validateDomainSpec', () => {
+  it('should accept domains and domain-specs ending in a macro', () => {
+    expect(validateDomainSpec('example.com')).toBeNull();
+    expect(validateDomainSpec('example.com.')).toBeNull();
+    expect(validateDomainSpec('%{d}')).toBeNull();
+  });
+
+  it('should reject invalid domain-specs', () => {
+    expect(validateDomainSpec('localhost')).toBe('invalid domain');
+    expect(validateDomainSpec('example.123')).toBe('invalid domain');
+    expect(validateDomainSpec('%{x}.example.com')).toBe('invalid macro');
+    expect(validateDomainSpec('')).toBe('empty domain');
+  });
+});
+
+describe('formatSpfTerm', () => {
+  it('should round-trip terms in normalized form', () => {
+    const record = 'v=spf1 +A:Mail.example.com/24//64 ~mx//64 ip6:2001:db8::/32 ' +
+      '-include:bad.example.com exists:%{i}.example.com Redirect=_spf.example.com';
+    const terms = parseSpfRecord(record).terms.map(formatSpfTerm);
+
+    expect(terms).toEqual([
+      'a:Mail.example.com/24//64',
+      '~mx//64',
+      'ip6:2001:db8::/32',
+      '-include:bad.example.com',
+      'exists:%{i}.example.com',
+      'redirect=_spf.example.com',
+    ]);
+  });
+});
+
+describe('validateSpfSyntax', () => {
+  it('should return no errors for a valid record', () => {
+    expect(validateSpfSyntax('v=spf1 include:_spf.example.com ~all')).toEqual([]);
+  });
+
+  it('should return error messages with the offending term', () => {
+    expect(validateSpfSyntax('v=spf1 ipv4:192.0.2.1 -all')).toEqual([
+      'Unknown mechanism: "ipv4:192.0.2.1"',
+    ]);
+  });
+});
@@ -0,0 +1,150 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../src/lib/dns-operations.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  resolve4: vi.fn(),
+  resolve6: vi.fn(),
+  resolveMx: vi.fn(),
+}));
+
+import { resolve4, resolve6, resolveMx } from '../../src/lib/dns-operations.js';
+import { config } from '../../src/lib/config.js';
+import {
+  validateSpfPolicies,
+  getDomainSpfPolicy,
+  getExpectedSpfRecord,
+  compareSpfRecords,
+} from '../../src/lib/spf-policies.js';
+import { dnsError } from './dns-test-helpers.js';
+
+const groups = { parked: ['*.example.info'], customers: ['*.example.org'] };
+
+const spfPolicies = {
+  policies: {
+    standard: { record: 'v=spf1 include:_spf.example.net -all', allow: ['a', 'mx'] },
+    parked: { record: 'v=spf1 -all' },
+  },
+  assignments: [
+    { groups: ['parked'], policy: 'parked' },
+    { domains: ['shop.example.org'], policy: 'standard', additions: ['include:crm.example.com'] },
+    { groups: ['customers'], policy: 'standard' },
+  ],
+};
+
+describe('validateSpfPolicies', () => {
+  it('should accept a valid definition', () => {
+    expect(validateSpfPolicies(spfPolicies, groups)).toEqual([]);
+  });
+
+  it('should report invalid policies and assignments', () => {
+    const problems = validateSpfPolicies({
+      policies: {
+        broken: { record: 'v=spf1 include: -all', allow: ['ptr'] },
+        empty: {},
+      },
+      assignments: [
+        { domains: ['example.com'], policy: 'missing' },
+        { groups: ['nope'], policy: 'broken', additions: ['-all', 'ip4:192.0.2.1 a'] },
+      ],
+    }, groups);
+
+    expect(problems).toEqual([
+      expect.stringMatching(/^policy "broken": /),
+      'policy "broken": "allow" may only list a, mx',
+      'policy "empty": "record" is required',
+      'assignment 1: unknown policy "missing"',
+      'assignment 2: unknown domain group "nope"',
+      'assignment 2: invalid addition "-all"',
+      'assignment 2: invalid addition "ip4:192.0.2.1 a"',
+    ]);
+  });
+});
+
+describe('getDomainSpfPolicy', () => {
+  it('should use the first matching assignment', () => {
+    expect(getDomainSpfPolicy('www.example.info', spfPolicies, groups))
+      .toEqual({ name: 'parked', record: 'v=spf1 -all', allow: [] });
+    expect(getDomainSpfPolicy('shop.example.org', spfPolicies, groups)).toEqual({
+      name: 'standard',
+      record: 'v=spf1 include:_spf.example.net include:crm.example.com -all',
+      allow: ['a', 'mx'],
+    });
+  });
+
+  it('should fall back to EXPECTED_SPF', () => {
+    expect(getDomainSpfPolicy('example.com', spfPolicies, groups))
+      .toEqual({ name: null, record: config.expectedSpf, allow: [] });
+  });
+});
+
+describe('getExpectedSpfRecord', () => {
+  const policy = { name: 'standard', record: 'v=spf1 include:_spf.example.net -all', allow: ['a', 'mx'] };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    resolve4.mockResolvedValue(['192.0.2.10']);
+    resolve6.mockRejectedValue(dnsError('ENODATA'));
+    resolveMx.mockRejectedValue(dnsError('ENODATA'));
+  });
+
+  it('should keep allowed mechanisms the domain has records for', async () => {
+    const expected = await getExpectedSpfRecord(
+      'example.org', policy, 'v=spf1 a mx include:_spf.example.net -all');
+
+    expect(expected).toBe('v=spf1 include:_spf.example.net a -all');
+  });
+
+  it('should not look up anything without allowed mechanisms', async () => {
+    const parked = { name: 'parked', record: 'v=spf1 -all', allow: [] };
+
+    expect(await getExpectedSpfRecord('example.info', parked, 'v=spf1 a -all')).toBe('v=spf1 -all');
+    expect(resolve4).not.toHaveBeenCalled();
+  });
+});
+
+describe('compareSpfRecords', () => {
+  it('should ignore order, case, whitespace, duplicates and the + qualifier', () => {
+    expect(compareSpfRecords(
+      'v=spf1  +a Include:_SPF.example.net a  -ALL',
+      'v=spf1 include:_spf.example.net a -all',
+    )).toEqual({ equal: true, differences: [] });
+  });
+
+  it('should list missing and unexpected terms', () => {
+    expect(compareSpfRecords(
+      'v=spf1 a mx exp=explain.example.com -all',
+      'v=spf1 include:_spf.example.com a -all',
+    )).toEqual({
+      equal: false,
+      differences: [
+        'missing include:_spf.example.com',
+        'unexpected mx',
+        'unexpected exp=explain.example.com',
+      ],
+    });
+  });
+
+  it('should compare the all qualifier and position', () => {
+    expect(compareSpfRecords('v=spf1 a ~all', 'v=spf1 a -all').differences)
+      .toEqual(['~all instead of -all']);
+    expect(compareSpfRecords('v=spf1 -all a', 'v=spf1 a -all').differences)
+      .toEqual(['a after all']);
+    expect(compareSpfRecords('v=spf1 a', 'v=spf1 a -all').differences)
+      .toEqual(['missing -all']);
+  });
+
+  it('should only compare redirect when it takes effect', () => {
+    expect(compareSpfRecords('v=spf1 redirect=_spf.example.org', 'v=spf1 redirect=_spf.example.net')
+      .differences).toEqual(['redirect=_spf.example.org instead of redirect=_spf.example.net']);
+    expect(compareSpfRecords('v=spf1 -all redirect=_spf.example.org', 'v=spf1 -all').equal)
+      .toBe(true);
+  });
+
+  it('should only match invalid records written the same way', () => {
+    expect(compareSpfRecords('v=spf1 include: -all', 'v=spf1  include: -all'))
+      .toEqual({ equal: true, differences: [] });
+    expect(compareSpfRecords('v=spf1 include: a -all', 'v=spf1 a -all').equal).toBe(false);
+    expect(compareSpfRecords(null, 'v=spf1 -all').equal).toBe(false);
+    expect(compareSpfRecords(null, '').equal).toBe(true);
+  });
+});
@@ -1,7 +1,45 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('../../src/lib/dns-operations.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  resolveTxt: vi.fn(),
+  resolveTxtRecord: vi.fn(),
+  resolveHostToIPs: vi.fn(),
+  findZoneApex: vi.fn(),
+  createAuthoritativeResolver: vi.fn(),
+}));
+
+vi.mock('../../src/lib/autodns-client.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  getAndValidateZone: vi.fn(),
+  updateZone: vi.fn(),
+}));
+
+vi.mock('../../src/utils/audit.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  auditDNSUpdate: vi.fn(),
+}));
+
+import {
+  resolveTxt,
+  resolveTxtRecord,
+  resolveHostToIPs,
+  findZoneApex,
+  createAuthoritativeResolver,
+} from '../../src/lib/dns-operations.js';
+import { getAndValidateZone, updateZone } from '../../src/lib/autodns-client.js';
+import { auditDNSUpdate } from '../../src/utils/audit.js';
+import { config } from '../../src/lib/config.js';
+import { ZoneChangeset } from '../../src/lib/zone-changeset.js';
 import {
   resolveSpfIncludes,
+  aggregateIpMechanisms,
   splitMechanismsIntoChunks,
+  buildFlattenedSpfRecord,
+  getSPFRecords,
+  findSpfRecordProblems,
+  stageDomainSPFRecord,
+  updateMainSPFRecord,
 } from '../../src/lib/spf.js';
 
 /**
@@ -90,6 +128,9 @@ describe('resolveSpfIncludes', () => {
 
     expect(result.mechanisms).toEqual([]);
     expect(result.modifiers).toEqual([]);
+    expect(result.failures).toEqual([
+      { target: spf, reason: 'maximum include depth reached' },
+    ]);
   });
 
   it('should handle empty SPF record', async () => {
@@ -108,6 +149,274 @@ describe('resolveSpfIncludes', () => {
     expect(result.mechanisms).toContain('ip4:10.0.0.1');
     expect(result.mechanisms).toContain('ip6:2001:db8::1');
   });
+
+  it('should keep sender-dependent and qualified mechanisms as written', async () => {
+    const spf = 'v=spf1 -include:bad.example.com exists:%{i}.rbl.example.com ' +
+      'include:%{d}.spf.example.com ptr:example.com ~all';
+    const result = await resolveSpfIncludes(spf);
+
+    expect(result.mechanisms).toEqual([
+      '-include:bad.example.com',
+      'exists:%{i}.rbl.example.com',
+      'include:%{d}.spf.example.com',
+      'ptr:example.com',
+    ]);
+  });
+
+  it('should keep exp and skip invalid terms', async () => {
+    const spf = 'v=spf1 ip4:192.0.2.0/24 ip4:300.1.1.1 foo:bar exp=explain.example.com -all';
+    const result = await resolveSpfIncludes(spf);
+
+    expect(result.mechanisms).toEqual(['ip4:192.0.2.0/24']);
+    expect(result.modifiers).toEqual(['exp=explain.example.com', '-all']);
+  });
+});
+
+describe('include flattening modes', () => {
+  const records = {
+    '_spf.google.com': 'v=spf1 include:_netblocks.google.com ~all',
+    '_netblocks.google.com': 'v=spf1 ip4:172.217.0.0/19 ~all',
+    '_spf.example.net': 'v=spf1 ip4:192.0.2.0/24 a:mail.example.net -all',
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    resolveTxtRecord.mockImplementation(async (domain) => records[domain] ?? null);
+    resolveTxt.mockImplementation(async (domain) => {
+      if (!records[domain]) {
+        throw Object.assign(new Error('not found'), { code: 'ENOTFOUND' });
+      }
+      return [[records[domain]]];
+    });
+    resolveHostToIPs.mockResolvedValue(['ip4:198.51.100.10']);
+  });
+
+  afterEach(() => {
+    config.spfIncludeModes = {};
+    vi.restoreAllMocks();
+  });
+
+  it('should flatten includes by default', async () => {
+    const result = await resolveSpfIncludes('v=spf1 include:_spf.example.net -all');
+
+    expect(result.mechanisms).toEqual(['ip4:192.0.2.0/24', 'ip4:198.51.100.10']);
+    expect(result.keptIncludes).toEqual({});
+  });
+
+  it('should keep includes in keep-include mode and count their lookups', async () => {
+    config.spfIncludeModes = { '_spf.google.com': 'keep-include' };
+
+    const spfData = await buildFlattenedSpfRecord(
+      'v=spf1 include:_spf.google.com include:_spf.example.net -all');
+
+    expect(spfData.mainRecord).toBe(
+      'v=spf1 include:_spf.google.com ip4:192.0.2.0/24 ip4:198.51.100.10 -all');
+    // include:_spf.google.com plus its nested include
+    expect(spfData.lookups).toBe(2);
+    expect(spfData.failures).toEqual([]);
+  });
+
+  it('should report kept includes without an SPF record', async () => {
+    config.spfIncludeModes = { 'gone.example.com': 'keep-include' };
+
+    const result = await resolveSpfIncludes('v=spf1 include:gone.example.com -all');
+
+    expect(result.mechanisms).toEqual(['include:gone.example.com']);
+    expect(result.failures).toEqual([{ target: 'gone.example.com', reason: 'no SPF record' }]);
+  });
+
+  it('should reuse stored mechanisms of pinned includes', async () => {
+    config.spfIncludeModes = { '_spf.example.net': 'pin' };
+
+    const spfData = await buildFlattenedSpfRecord(
+      'v=spf1 include:_spf.example.net -all',
+      { '_spf.example.net': ['ip4:203.0.113.0/24'] },
+    );
+
+    expect(spfData.mainRecord).toBe('v=spf1 ip4:203.0.113.0/24 -all');
+    expect(spfData.pinned).toEqual({ '_spf.example.net': ['ip4:203.0.113.0/24'] });
+    expect(resolveTxtRecord).not.toHaveBeenCalled();
+  });
+
+  it('should resolve and pin includes without stored mechanisms', async () => {
+    config.spfIncludeModes = { '_spf.example.net': 'pin' };
+
+    const spfData = await buildFlattenedSpfRecord('v=spf1 include:_spf.example.net -all');
+
+    expect(spfData.pinned).toEqual({
+      '_spf.example.net': ['ip4:192.0.2.0/24', 'ip4:198.51.100.10'],
+    });
+  });
+});
+
+describe('buildFlattenedSpfRecord chunk layout', () => {
+  const recordName = config.mainSpfRecordName;
+
+  /**
+   * Build a base record of distinct, non-adjacent ip4 mechanisms.
+   * @param {number} count
+   * @returns {string}
+   */
+  function baseRecord(count) {
+    const ips = Array.from({ length: count }, (_, i) => `ip4:10.${i >> 8}.${i & 255}.1`);
+    return ['v=spf1', ...ips, '-all'].join(' ');
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    config.mainSpfRecordName = '_spf.example.com';
+  });
+
+  afterEach(() => {
+    config.mainSpfRecordName = recordName;
+  });
+
+  it('should list the chunks in the main record while it fits', async () => {
+    const spfData = await buildFlattenedSpfRecord(baseRecord(30));
+
+    expect(spfData.chunkRecords).toHaveLength(2);
+    expect(spfData.mainRecord).toBe('v=spf1 include:_spf1 include:_spf2 -all');
+    expect(spfData.lookups).toBe(2);
+    expect(spfData.limitViolations).toEqual([]);
+  });
+
+  it('should chain the chunks when the main record would grow too large', async () => {
+    const spfData = await buildFlattenedSpfRecord(baseRecord(100));
+
+    expect(spfData.mainRecord).toBe('v=spf1 include:_spf1 -all');
+    spfData.chunkRecords.forEach((record, i) => {
+      const next = i + 1 < spfData.chunkRecords.length ? ` include:_spf${i + 2}` : '';
+      expect(record.endsWith(`${next} ~all`)).toBe(true);
+      expect(record.length).toBeLessThanOrEqual(240);
+    });
+    expect(spfData.lookups).toBe(spfData.chunkRecords.length);
+    expect(spfData.limitViolations).toEqual([]);
+  });
+
+  it('should report records that cannot fit in a TXT string', async () => {
+    const labels = ['a', 'b', 'c', 'd'].map((c) => c.repeat(60)).join('.');
+    const longTerm = `exists:%{i}.${labels}.example.com`;
+
+    const spfData = await buildFlattenedSpfRecord(`v=spf1 ${longTerm} ${baseRecord(20).slice(7)}`);
+
+    expect(spfData.limitViolations).toEqual([
+      expect.stringMatching(/^chunk 1 would be up to \d+ bytes, over the 255-byte TXT string/),
+    ]);
+  });
+});
+
+describe('getSPFRecords', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should return every SPF record regardless of version case', async () => {
+    resolveTxt.mockResolvedValue([
+      ['v=spf1 include:_spf.example.net ', '-all'],
+      ['google-site-verification=abc'],
+      ['V=SPF1 a -all'],
+      ['v=spf10 -all'],
+    ]);
+
+    expect(await getSPFRecords('example.com'))
+      .toEqual(['v=spf1 include:_spf.example.net -all', 'V=SPF1 a -all']);
+  });
+
+  it('should return no records for NXDOMAIN', async () => {
+    resolveTxt.mockRejectedValue(Object.assign(new Error('not found'), { code: 'ENOTFOUND' }));
+
+    expect(await getSPFRecords('example.com')).toEqual([]);
+  });
+});
+
+describe('findSpfRecordProblems', () => {
+  it('should accept a single well-formed record', () => {
+    expect(findSpfRecordProblems(['v=spf1 -all'])).toEqual([]);
+    expect(findSpfRecordProblems([])).toEqual([]);
+  });
+
+  it('should report duplicates, wrong case and legacy records', () => {
+    expect(findSpfRecordProblems(['v=spf1 -all', 'V=Spf1 a -all'], 1)).toEqual([
+      '2 SPF records (permerror)',
+      'version must be lower-case v=spf1: V=Spf1',
+      'deprecated SPF record type (99) in use',
+    ]);
+  });
+});
+
+describe('stageDomainSPFRecord', () => {
+  it('should consolidate all SPF records into one', () => {
+    const zone = {
+      origin: 'example.com',
+      resourceRecords: [
+        { name: '', type: 'TXT', value: 'V=SPF1 a -all', ttl: 300 },
+        { name: '', type: 'TXT', value: 'google-site-verification=abc', ttl: 300 },
+        { name: '', type: 'TXT', value: 'v=spf1 mx -all', ttl: 300 },
+        { name: '', type: 'SPF', value: 'v=spf1 mx -all', ttl: 300 },
+        { name: 'www', type: 'TXT', value: 'v=spf1 -all', ttl: 300 },
+      ],
+    };
+    const changeset = new ZoneChangeset('example.com');
+    stageDomainSPFRecord(changeset, 'v=spf1 include:_spf.example.net -all');
+
+    changeset.applyTo(zone);
+
+    expect(zone.resourceRecords).toEqual([
+      { name: '', type: 'TXT', value: 'v=spf1 include:_spf.example.net -all', ttl: 300 },
+      { name: '', type: 'TXT', value: 'google-site-verification=abc', ttl: 300 },
+      { name: 'www', type: 'TXT', value: 'v=spf1 -all', ttl: 300 },
+    ]);
+  });
+});
+
+describe('aggregateIpMechanisms', () => {
+  it('should merge contiguous and covered networks', () => {
+    const mechanisms = [
+      'ip4:192.0.2.0/25', 'ip4:192.0.2.128/25', 'ip4:192.0.2.7',
+      'ip6:2001:db8::/33', 'ip6:2001:db8:8000::/33',
+    ];
+
+    expect(aggregateIpMechanisms(mechanisms)).toEqual([
+      'ip4:192.0.2.0/24', 'ip6:2001:db8::/32',
+    ]);
+  });
+
+  it('should keep single addresses without a prefix length', () => {
+    expect(aggregateIpMechanisms(['ip4:198.51.100.1', 'ip4:192.0.2.1/32'])).toEqual([
+      'ip4:192.0.2.1', 'ip4:198.51.100.1',
+    ]);
+  });
+
+  it('should keep other mechanisms in place', () => {
+    const mechanisms = [
+      'include:_spf.example.com', 'ip4:192.0.2.0/25', 'ip4:192.0.2.128/25', 'exp=explain.%{d}',
+      'ip4:198.51.100.0/24',
+    ];
+
+    expect(aggregateIpMechanisms(mechanisms)).toEqual([
+      'include:_spf.example.com', 'ip4:192.0.2.0/24', 'exp=explain.%{d}', 'ip4:198.51.100.0/24',
+    ]);
+  });
+
+  it('should not aggregate across terms doing DNS lookups', () => {
+    const mechanisms = [
+      'ip4:192.0.2.0/25', 'include:_spf.example.com', 'ip4:192.0.2.128/25', 'a',
+      'ip4:198.51.100.1', 'exists:%{i}.example.com', 'ip4:198.51.100.0/24',
+      'redirect=_spf.example.net',
+    ];
+
+    expect(aggregateIpMechanisms(mechanisms)).toEqual(mechanisms);
+  });
+
+  it('should not aggregate across qualified mechanisms', () => {
+    const mechanisms = [
+      'ip4:192.0.2.0/25', '-ip4:192.0.2.128', 'ip4:192.0.2.128/25', '~ip4:198.51.100.1',
+    ];
+
+    expect(aggregateIpMechanisms(mechanisms)).toEqual(mechanisms);
+  });
 });
 
 describe('splitMechanismsIntoChunks', () => {
@@ -155,3 +464,190 @@ describe('splitMechanismsIntoChunks', () => {
     expect(flattened).toEqual(mechanisms);
   });
 });
+
+describe('updateMainSPFRecord', () => {
+  const spfData = { mainRecord: 'v=spf1 ip4:192.0.2.1 -all', chunkRecords: [], needsSplit: false };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    updateZone.mockResolvedValue({ status: { type: 'SUCCESS' } });
+  });
+
+  it('should write to the zone found by the SOA lookup', async () => {
+    findZoneApex.mockResolvedValue('mail.example.com');
+    getAndValidateZone.mockResolvedValue({ origin: 'mail.example.com', resourceRecords: [] });
+
+    await updateMainSPFRecord('_spf.mail.example.com', spfData);
+
+    expect(updateZone).toHaveBeenCalledWith('mail.example.com', {
+      origin: 'mail.example.com',
+      resourceRecords: [{ name: '_spf', type: 'TXT', value: spfData.mainRecord, ttl: 300 }],
+    });
+  });
+
+  it('should ask AutoDNS when DNS does not know the zone', async () => {
+    findZoneApex.mockResolvedValue(null);
+    getAndValidateZone.mockImplementation(async (zoneName) => {
+      if (zoneName !== 'example.co.uk') {
+        throw new Error('not found');
+      }
+      return { origin: 'example.co.uk', resourceRecords: [] };
+    });
+
+    await updateMainSPFRecord('_spf.example.co.uk', spfData);
+
+    expect(getAndValidateZone.mock.calls.map(([zoneName]) => zoneName))
+      .toEqual(['_spf.example.co.uk', 'example.co.uk', 'example.co.uk']);
+    expect(updateZone).toHaveBeenCalledWith('example.co.uk', expect.anything());
+  });
+
+  it('should fail when no zone owns the record', async () => {
+    findZoneApex.mockResolvedValue(null);
+    getAndValidateZone.mockRejectedValue(new Error('not found'));
+
+    await expect(updateMainSPFRecord('_spf.example.invalid', spfData))
+      .rejects.toThrow('Could not determine the zone of _spf.example.invalid');
+    expect(updateZone).not.toHaveBeenCalled();
+  });
+});
+
+describe('SPF chunk rotation', () => {
+  const oldChunk = 'v=spf1 ip4:192.0.2.1 ~all';
+  const newChunk = 'v=spf1 ip4:198.51.100.1 ~all';
+  const splitData = { mainRecord: 'v=spf1 include:_spf1 -all', chunkRecords: [newChunk], needsSplit: true };
+  const resolver = { resolveTxt: vi.fn() };
+  let zoneRecords;
+
+  /**
+   * Serve the zone example.co.uk with the given records.
+   * @param {Object[]} records
+   */
+  function mockZone(records) {
+    zoneRecords = records;
+    getAndValidateZone.mockImplementation(async () => (
+      { origin: 'example.co.uk', resourceRecords: structuredClone(zoneRecords) }
+    ));
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    findZoneApex.mockResolvedValue('example.co.uk');
+    createAuthoritativeResolver.mockResolvedValue(resolver);
+    resolver.resolveTxt.mockResolvedValue([[newChunk]]);
+    updateZone.mockImplementation(async (zoneName, zone) => {
+      zoneRecords = zone.resourceRecords;
+      return { status: { type: 'SUCCESS' } };
+    });
+    mockZone([
+      { name: '_spf', type: 'TXT', value: 'v=spf1 include:_spf-v1-1.example.co.uk -all', ttl: 300 },
+      { name: '_spf-v1-1', type: 'TXT', value: oldChunk, ttl: 300 },
+    ]);
+  });
+
+  it('should publish a new generation before switching the main record', async () => {
+    const result = await updateMainSPFRecord('_spf.example.co.uk', splitData);
+
+    expect(updateZone).toHaveBeenCalledTimes(2);
+    const [[, chunkZone], [, mainZone]] = updateZone.mock.calls;
+    expect(chunkZone.resourceRecords).toEqual([
+      { name: '_spf', type: 'TXT', value: 'v=spf1 include:_spf-v1-1.example.co.uk -all', ttl: 300 },
+      { name: '_spf-v1-1', type: 'TXT', value: oldChunk, ttl: 300 },
+      { name: '_spf-v2-1', type: 'TXT', value: newChunk, ttl: 300 },
+    ]);
+    expect(resolver.resolveTxt).toHaveBeenCalledWith('_spf-v2-1.example.co.uk');
+    expect(mainZone.resourceRecords).toContainEqual({
+      name: '_spf', type: 'TXT', value: 'v=spf1 include:_spf-v2-1.example.co.uk -all', ttl: 300,
+    });
+    expect(mainZone.resourceRecords).toContainEqual(expect.objectContaining({ name: '_spf-v1-1' }));
+    expect(Object.keys(result.retiredChunks)).toEqual(['_spf-v1-1.example.co.uk']);
+  });
+
+  it('should remove non-TXT records at the main record name with the main record', async () => {
+    const address = { name: '_spf', type: 'A', value: '192.0.2.53', ttl: 300 };
+    mockZone([...zoneRecords, address]);
+
+    await updateMainSPFRecord('_spf.example.co.uk', splitData);
+
+    const [[, chunkZone], [, mainZone]] = updateZone.mock.calls;
+    expect(chunkZone.resourceRecords).toContainEqual(address);
+    expect(mainZone.resourceRecords).not.toContainEqual(address);
+    const removal = auditDNSUpdate.mock.calls.findIndex(([entry]) => entry.recordType === 'A');
+    expect(auditDNSUpdate.mock.calls[removal][0]).toMatchObject({ before: '192.0.2.53', after: null });
+    expect(auditDNSUpdate.mock.invocationCallOrder[removal])
+      .toBeGreaterThan(updateZone.mock.invocationCallOrder[1]);
+  });
+
+  it('should point chained chunks at the next chunk of their generation', async () => {
+    const lastChunk = 'v=spf1 ip4:203.0.113.1 ~all';
+    resolver.resolveTxt.mockImplementation(async (name) => (
+      name.endsWith('-2.example.co.uk') ? [[lastChunk]] : [['v=spf1 ip4:198.51.100.1 include:',
+        '_spf-v2-2.example.co.uk ~all']]
+    ));
+
+    await updateMainSPFRecord('_spf.example.co.uk', {
+      mainRecord: 'v=spf1 include:_spf1 -all',
+      chunkRecords: ['v=spf1 ip4:198.51.100.1 include:_spf2 ~all', lastChunk],
+      needsSplit: true,
+    });
+
+    expect(updateZone.mock.calls[0][1].resourceRecords).toContainEqual({
+      name: '_spf-v2-1',
+      type: 'TXT',
+      value: 'v=spf1 ip4:198.51.100.1 include:_spf-v2-2.example.co.uk ~all',
+      ttl: 300,
+    });
+    expect(updateZone.mock.calls[1][1].resourceRecords).toContainEqual(expect.objectContaining({
+      name: '_spf', value: 'v=spf1 include:_spf-v2-1.example.co.uk -all',
+    }));
+  });
+
+  it('should leave the main record alone if the new chunks do not appear in DNS', async () => {
+    const timeout = config.spfChunkVerifyTimeout;
+    config.spfChunkVerifyTimeout = 0;
+    resolver.resolveTxt.mockResolvedValue([[oldChunk]]);
+
+    try {
+      await expect(updateMainSPFRecord('_spf.example.co.uk', splitData))
+        .rejects.toThrow('SPF chunk records not visible in DNS after 0s: _spf-v2-1.example.co.uk');
+    } finally {
+      config.spfChunkVerifyTimeout = timeout;
+    }
+    expect(updateZone).toHaveBeenCalledTimes(1);
+  });
+
+  it('should remove retired chunks once their TTL has expired', async () => {
+    mockZone([
+      { name: '_spf', type: 'TXT', value: 'v=spf1 include:_spf-v2-1.example.co.uk -all', ttl: 300 },
+      { name: '_spf-v1-1', type: 'TXT', value: oldChunk, ttl: 300 },
+      { name: '_spf-v2-1', type: 'TXT', value: newChunk, ttl: 300 },
+    ]);
+
+    const waiting = await updateMainSPFRecord('_spf.example.co.uk', splitData, {
+      '_spf-v1-1.example.co.uk': new Date(Date.now() + 60000).toISOString(),
+    });
+    expect(updateZone).not.toHaveBeenCalled();
+    expect(waiting.unchanged).toBe(true);
+
+    const expired = await updateMainSPFRecord('_spf.example.co.uk', splitData, {
+      '_spf-v1-1.example.co.uk': new Date(Date.now() - 1000).toISOString(),
+    });
+    expect(updateZone).toHaveBeenCalledTimes(1);
+    expect(updateZone.mock.calls[0][1].resourceRecords.map(({ name }) => name))
+      .toEqual(['_spf', '_spf-v2-1']);
+    expect(expired.retiredChunks).toEqual({});
+  });
+
+  it('should retire the chunks when the record no longer needs splitting', async () => {
+    const result = await updateMainSPFRecord('_spf.example.co.uk', {
+      mainRecord: 'v=spf1 ip4:192.0.2.1 -all', chunkRecords: [], needsSplit: false,
+    });
+
+    expect(updateZone).toHaveBeenCalledTimes(1);
+    expect(updateZone.mock.calls[0][1].resourceRecords).toHaveLength(2);
+    expect(Object.keys(result.retiredChunks)).toEqual(['_spf-v1-1.example.co.uk']);
+    expect(createAuthoritativeResolver).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,232 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../src/lib/autodns-client.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  getAndValidateZone: vi.fn(),
+  updateZone: vi.fn(async () => ({ status: { type: 'SUCCESS' } })),
+  streamZoneChanges: vi.fn(async () => ({ status: { type: 'SUCCESS' } })),
+}));
+
+vi.mock('../../src/utils/audit.js', () => ({
+  auditDNSUpdate: vi.fn(async () => {}),
+}));
+
+import {
+  getAndValidateZone,
+  updateZone,
+  streamZoneChanges,
+} from '../../src/lib/autodns-client.js';
+import { ZoneChangeset, commitChangeset } from '../../src/lib/zone-changeset.js';
+import { auditDNSUpdate } from '../../src/utils/audit.js';
+import { config } from '../../src/lib/config.js';
+
+/**
+ * Build a zone object with the given records.
+ * @param {Object[]} records
+ * @returns {Object}
+ */
+function buildZone(records) {
+  return { origin: 'example.com', resourceRecords: records.map((r) => ({ ...r })) };
+}
+
+describe('ZoneChangeset.applyTo', () => {
+  it('should add missing records', () => {
+    const zone = buildZone([]);
+    const changeset = new ZoneChangeset('example.com')
+      .upsert({ name: '_dmarc', value: 'v=DMARC1;p=reject', label: 'DMARC' });
+
+    const { added, removed, changes } = changeset.applyTo(zone);
+
+    expect(zone.resourceRecords).toEqual([
+      { name: '_dmarc', type: 'TXT', value: 'v=DMARC1;p=reject', ttl: 300 },
+    ]);
+    expect(added).toHaveLength(1);
+    expect(removed).toHaveLength(0);
+    expect(changes[0]).toMatchObject({ label: 'DMARC', before: null });
+  });
+
+  it('should replace the matched record and report before/after', () => {
+    const zone = buildZone([
+      { name: '_dmarc', type: 'TXT', value: 'v=DMARC1;p=none', ttl: 3600 },
+    ]);
+    const changeset = new ZoneChangeset('example.com')
+      .upsert({ name: '_dmarc', value: 'v=DMARC1;p=reject', label: 'DMARC' });
+
+    const { added, removed, changes } = changeset.applyTo(zone);
+
+    expect(zone.resourceRecords).toHaveLength(1);
+    expect(zone.resourceRecords[0].value).toBe('v=DMARC1;p=reject');
+    expect(removed[0].value).toBe('v=DMARC1;p=none');
+    expect(added[0].value).toBe('v=DMARC1;p=reject');
+    expect(changes[0].before.ttl).toBe(3600);
+  });
+
+  it('should skip upserts that already match', () => {
+    const zone = buildZone([
+      { name: 's1._domainkey', type: 'TXT', value: 'v=DKIM1; p=abc', ttl: 300 },
+    ]);
+    const changeset = new ZoneChangeset('example.com')
+      .upsert({ name: 's1._domainkey', value: 'v=DKIM1; p=abc', label: 'DKIM s1' });
+
+    const { added, removed } = changeset.applyTo(zone);
+
+    expect(added).toHaveLength(0);
+    expect(removed).toHaveLength(0);
+  });
+
+  it('should treat @ and empty names as the apex', () => {
+    const zone = buildZone([{ name: '@', type: 'MX', value: 'mx.example.com', ttl: 300 }]);
+    const changeset = new ZoneChangeset('example.com')
+      .remove({ name: '', type: 'MX', label: 'MX' });
+
+    const { removed } = changeset.applyTo(zone);
+
+    expect(removed).toHaveLength(1);
+    expect(zone.resourceRecords).toHaveLength(0);
+  });
+
+  it('should run guards before applying', () => {
+    const zone = buildZone([]);
+    const changeset = new ZoneChangeset('example.com')
+      .guard(() => {
+        throw new Error('blocked');
+      })
+      .upsert({ name: '_dmarc', value: 'v=DMARC1;p=reject', label: 'DMARC' });
+
+    expect(() => changeset.applyTo(zone)).toThrow('blocked');
+    expect(zone.resourceRecords).toHaveLength(0);
+  });
+});
+
+describe('commitChangeset', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should stream all staged changes with a single request', async () => {
+    getAndValidateZone.mockResolvedValue(buildZone([
+      { name: '_dmarc', type: 'TXT', value: 'v=DMARC1;p=none', ttl: 300 },
+      { name: 'www', type: 'A', value: '192.0.2.1', ttl: 300 },
+    ]));
+    const changeset = new ZoneChangeset('example.com')
+      .upsert({ name: '', value: 'v=spf1 -all', label: 'SPF' })
+      .upsert({ name: '_dmarc', value: 'v=DMARC1;p=reject', label: 'DMARC' })
+      .upsert({ name: 's1._domainkey', value: 'v=DKIM1; p=abc', label: 'DKIM s1' });
+
+    const result = await commitChangeset(changeset);
+
+    expect(result.changed).toBe(true);
+    expect(result.method).toBe('stream');
+    expect(streamZoneChanges).toHaveBeenCalledTimes(1);
+    const [, { adds, rems }] = streamZoneChanges.mock.calls[0];
+    expect(adds).toHaveLength(3);
+    expect(rems).toEqual([
+      { name: '_dmarc', type: 'TXT', value: 'v=DMARC1;p=none', ttl: 300 },
+    ]);
+    expect(updateZone).not.toHaveBeenCalled();
+  });
+
+  it('should skip the update when the zone already matches', async () => {
+    getAndValidateZone.mockResolvedValue(buildZone([
+      { name: '_dmarc', type: 'TXT', value: 'v=DMARC1;p=reject', ttl: 300 },
+    ]));
+    const changeset = new ZoneChangeset('example.com')
+      .upsert({ name: '_dmarc', value: 'v=DMARC1;p=reject', label: 'DMARC' });
+
+    const result = await commitChangeset(changeset);
+
+    expect(result.changed).toBe(false);
+    expect(updateZone).not.toHaveBeenCalled();
+  });
+
+  it('should not touch the API for an empty changeset', async () => {
+    const result = await commitChangeset(new ZoneChangeset('example.com'));
+
+    expect(result.changed).toBe(false);
+    expect(getAndValidateZone).not.toHaveBeenCalled();
+  });
+
+  it('should audit each record change with its before and after values', async () => {
+    getAndValidateZone.mockResolvedValue(buildZone([
+      { name: '_dmarc', type: 'TXT', value: 'v=DMARC1;p=none', ttl: 300 },
+    ]));
+    const changeset = new ZoneChangeset('example.com')
+      .upsert({ name: '_dmarc', value: 'v=DMARC1;p=reject', label: 'DMARC' })
+      .upsert({
+        name: 's1._domainkey', value: 'v=DKIM1; p=abc', label: 'DKIM s1', recordType: 'DKIM',
+      });
+
+    await commitChangeset(changeset);
+
+    expect(auditDNSUpdate).toHaveBeenCalledTimes(2);
+    expect(auditDNSUpdate.mock.calls[0][0]).toMatchObject({
+      domain: 'example.com',
+      recordType: 'DMARC',
+      before: 'v=DMARC1;p=none',
+      after: 'v=DMARC1;p=reject',
+      success: true,
+      metadata: {
+        runId: config.runId,
+        account: config.accounts[0].name,
+        record: '_dmarc.example.com',
+        method: 'stream',
+      },
+    });
+    expect(auditDNSUpdate.mock.calls[1][0]).toMatchObject({
+      recordType: 'DKIM',
+      before: null,
+      after: 'v=DKIM1; p=abc',
+      metadata: { label: 'DKIM s1' },
+    });
+  });
+
+  it('should audit failed commits', async () => {
+    getAndValidateZone.mockResolvedValue(buildZone([]));
+    const changeset = new ZoneChangeset('example.com')
+      .guard(() => {
+        throw new Error('CNAME at apex');
+      })
+      .upsert({ name: '', value: 'v=spf1 -all', label: 'SPF' });
+
+    await expect(commitChangeset(changeset)).rejects.toThrow('CNAME at apex');
+    expect(auditDNSUpdate).toHaveBeenCalledWith(expect.objectContaining({
+      recordType: 'SPF',
+      after: 'v=spf1 -all',
+      success: false,
+      error: 'CNAME at apex',
+    }));
+  });
+
+  it('should propagate stream errors other than an unavailable endpoint', async () => {
+    getAndValidateZone.mockResolvedValue(buildZone([]));
+    streamZoneChanges.mockRejectedValueOnce(Object.assign(new Error('Bad record'), {
+      response: { status: 400 },
+    }));
+    const changeset = new ZoneChangeset('example.com')
+      .upsert({ name: '_dmarc', value: 'v=DMARC1;p=reject', label: 'DMARC' });
+
+    await expect(commitChangeset(changeset)).rejects.toThrow('Bad record');
+    expect(updateZone).not.toHaveBeenCalled();
+    expect(auditDNSUpdate).toHaveBeenCalledWith(expect.objectContaining({
+      success: false, error: 'Bad record',
+    }));
+  });
+
+  it('should fall back to a full zone update when streaming is unavailable', async () => {
+    getAndValidateZone.mockImplementation(async () => buildZone([]));
+    streamZoneChanges.mockRejectedValueOnce(Object.assign(new Error('Not found'), {
+      response: { status: 404 },
+    }));
+    const stage = () => new ZoneChangeset('example.com')
+      .upsert({ name: '_dmarc', value: 'v=DMARC1;p=reject', label: 'DMARC' });
+
+    const first = await commitChangeset(stage());
+    const second = await commitChangeset(stage());
+
+    expect(first.method).toBe('put');
+    expect(second.method).toBe('put');
+    expect(streamZoneChanges).toHaveBeenCalledTimes(1);
+    expect(updateZone).toHaveBeenCalledTimes(2);
+    expect(updateZone.mock.calls[0][1].resourceRecords).toHaveLength(1);
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import {
+  validateZoneTemplates,
+  getDomainTemplates,
+  stageZoneTemplates,
+} from '../../src/lib/zone-templates.js';
+import { ZoneChangeset } from '../../src/lib/zone-changeset.js';
+
+const groups = { customers: ['*.example.org'] };
+
+const zoneTemplates = {
+  templates: {
+    mail: [
+      { name: '@', type: 'MX', values: ['10 mx1.example.net', '20 mx2.example.net'] },
+      { name: 'autodiscover', type: 'CNAME', values: ['autodiscover.example.net'] },
+      { name: '_mta-sts', type: 'TXT', values: ['v=STSv1; id={domain}'] },
+    ],
+    caa: [
+      { name: '@', type: 'CAA', values: ['0 issue "letsencrypt.org"'], ttl: 3600 },
+    ],
+  },
+  assignments: [
+    { groups: ['customers'], templates: ['mail'] },
+    { domains: ['shop.example.org'], templates: ['caa', 'mail'] },
+  ],
+};
+
+describe('validateZoneTemplates', () => {
+  it('should accept a valid definition', () => {
+    expect(validateZoneTemplates(zoneTemplates, groups)).toEqual([]);
+  });
+
+  it('should reject record sets owned by the SPF, DMARC and DKIM checks', () => {
+    const problems = validateZoneTemplates({
+      templates: {
+        bad: [
+          { name: '@', type: 'TXT', values: ['v=spf1 -all'] },
+          { name: '_dmarc', type: 'TXT', values: ['v=DMARC1'] },
+          { name: 'mx', type: 'MX', values: ['mx.example.net'] },
+        ],
+      },
+    }, groups);
+
+    expect(problems).toEqual([
+      'template "bad" entry 1: TXT @ is managed by the SPF check',
+      'template "bad" entry 2: TXT _dmarc is managed by the DMARC check',
+      'template "bad" entry 3: MX values must start with a priority',
+    ]);
+  });
+
+  it('should reject assignments to unknown templates and groups', () => {
+    const problems = validateZoneTemplates({
+      templates: {},
+      assignments: [{ groups: ['nobody'], templates: ['missing'] }],
+    }, groups);
+
+    expect(problems).toEqual([
+      'assignment 1: unknown template "missing"',
+      'assignment 1: unknown domain group "nobody"',
+    ]);
+  });
+});
+
+describe('getDomainTemplates', () => {
+  it('should collect templates of all matching assignments once', () => {
+    expect(getDomainTemplates('shop.example.org', zoneTemplates, groups)).toEqual(['mail', 'caa']);
+    expect(getDomainTemplates('example.com', zoneTemplates, groups)).toEqual([]);
+  });
+});
+
+describe('stageZoneTemplates', () => {
+  it('should replace drifted record sets and keep matching ones', () => {
+    const zone = {
+      resourceRecords: [
+        { name: '', type: 'MX', value: 'MX1.example.net.', pref: 10, ttl: 300 },
+        { name: '', type: 'MX', value: 'old-mx.example.net', pref: 20, ttl: 300 },
+        { name: 'autodiscover', type: 'CNAME', value: 'autodiscover.example.net', ttl: 300 },
+        { name: '', type: 'A', value: '192.0.2.1', ttl: 300 },
+      ],
+    };
+    const changeset = new ZoneChangeset('a.example.org');
+
+    const labels = stageZoneTemplates(changeset, 'a.example.org', ['mail'], zoneTemplates);
+    const { added, removed } = changeset.applyTo(zone);
+
+    expect(labels).toEqual([
+      'template mail: MX @',
+      'template mail: CNAME autodiscover',
+      'template mail: TXT _mta-sts',
+    ]);
+    expect(removed).toEqual([
+      { name: '', type: 'MX', value: 'old-mx.example.net', pref: 20, ttl: 300 },
+    ]);
+    expect(added).toEqual([
+      { name: '', type: 'MX', value: 'mx2.example.net', pref: 20, ttl: 300 },
+      { name: '_mta-sts', type: 'TXT', value: 'v=STSv1; id=a.example.org', ttl: 300 },
+    ]);
+    expect(zone.resourceRecords).toHaveLength(5);
+  });
+
+  it('should refuse two templates defining the same record set', () => {
+    const conflicting = {
+      templates: { a: zoneTemplates.templates.caa, b: zoneTemplates.templates.caa },
+      assignments: [],
+    };
+
+    expect(() => stageZoneTemplates(new ZoneChangeset('example.com'), 'example.com',
+      ['a', 'b'], conflicting)).toThrow('Templates "a" and "b" both define CAA @');
+  });
+
+  it('should stage nothing when templates conflict', () => {
+    const conflicting = {
+      templates: {
+        caa: zoneTemplates.templates.caa,
+        a: zoneTemplates.templates.mail,
+        b: zoneTemplates.templates.mail,
+      },
+      assignments: [],
+    };
+    const changeset = new ZoneChangeset('example.com');
+
+    expect(() => stageZoneTemplates(changeset, 'example.com', ['caa', 'a', 'b'], conflicting))
+      .toThrow('Templates "a" and "b" both define MX @');
+    expect(changeset.isEmpty()).toBe(true);
+  });
+});
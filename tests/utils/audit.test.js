@@ -0,0 +1,172 @@
+import { describe, it, expect, beforeAll, afterEach, afterAll } from 'vitest';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const auditDir = await fs.mkdtemp(path.join(os.tmpdir(), 'audit-'));
+process.env.AUDIT_LOG_DIR = auditDir;
+process.env.AUDIT_HMAC_KEY = 'test-key';
+
+const {
+  auditDNSUpdate,
+  auditApplicationEvent,
+  writeAuditCheckpoint,
+  verifyAuditLogs,
+  queryAuditEntries,
+  diffAuditValues,
+} = await import('../../src/utils/audit.js');
+
+afterAll(async () => {
+  await fs.rm(auditDir, { recursive: true, force: true });
+});
+
+describe('audit hash chain', () => {
+  let file;
+  let original;
+
+  beforeAll(async () => {
+    await auditApplicationEvent({ action: 'RUN_START', success: true });
+    await Promise.all([
+      auditDNSUpdate({ domain: 'a.com', recordType: 'SPF', before: null, after: 'v=spf1 -all', success: true }),
+      auditDNSUpdate({ domain: 'b.com', recordType: 'DMARC', before: null, after: 'v=DMARC1;p=none', success: true }),
+    ]);
+    await auditApplicationEvent({ action: 'RUN_END', success: true });
+    await writeAuditCheckpoint();
+
+    [file] = await fs.readdir(auditDir);
+    original = await fs.readFile(path.join(auditDir, file), 'utf8');
+  });
+
+  afterEach(async () => {
+    await fs.writeFile(path.join(auditDir, file), original, 'utf8');
+  });
+
+  /**
+   * Rewrite the audit file line by line.
+   * @param {function(string[]): string[]} edit
+   */
+  async function editLines(edit) {
+    const lines = original.trim().split('\n');
+    await fs.writeFile(path.join(auditDir, file), `${edit(lines).join('\n')}\n`, 'utf8');
+  }
+
+  it('should chain entries and seal the file with a signed checkpoint', async () => {
+    const entries = original.trim().split('\n').map((l) => JSON.parse(l));
+
+    expect(entries).toHaveLength(5);
+    expect(entries[0].prevHash).toBe('0'.repeat(64));
+    entries.slice(1).forEach((entry, i) => expect(entry.prevHash).toBe(entries[i].hash));
+    expect(entries[4]).toMatchObject({ action: 'CHECKPOINT', hmac: expect.any(String) });
+
+    const result = await verifyAuditLogs();
+    expect(result).toMatchObject({
+      valid: true, files: 1, entries: 5, checkpoints: 1, brokenLink: null, warnings: [],
+    });
+  });
+
+  it('should report a modified entry', async () => {
+    await editLines((lines) => {
+      lines[1] = lines[1].replace('v=spf1 -all', 'v=spf1 +all');
+      return lines;
+    });
+
+    const { valid, brokenLink } = await verifyAuditLogs();
+    expect(valid).toBe(false);
+    expect(brokenLink).toMatchObject({ file, line: 2 });
+    expect(brokenLink.reason).toContain('modified');
+  });
+
+  it('should report a removed entry', async () => {
+    await editLines((lines) => lines.filter((_, i) => i !== 2));
+
+    const { brokenLink } = await verifyAuditLogs();
+    expect(brokenLink).toMatchObject({ file, line: 3 });
+    expect(brokenLink.reason).toContain('previous hash');
+  });
+
+  it('should reject checkpoints signed with another key', async () => {
+    const { valid, brokenLink } = await verifyAuditLogs({ hmacKey: 'other-key' });
+    expect(valid).toBe(false);
+    expect(brokenLink).toMatchObject({ line: 5, reason: 'checkpoint HMAC does not match' });
+  });
+
+  it('should warn about files that are not sealed', async () => {
+    await editLines((lines) => lines.slice(0, -1));
+
+    const { valid, warnings } = await verifyAuditLogs();
+    expect(valid).toBe(true);
+    expect(warnings).toEqual([{ file, reason: 'file does not end with a checkpoint' }]);
+  });
+
+  it('should report unsealed files other than the current log', async () => {
+    const oldFile = 'audit-2000-01-01.json';
+    await fs.writeFile(
+      path.join(auditDir, oldFile), `${original.trim().split('\n').slice(0, -1).join('\n')}\n`, 'utf8',
+    );
+
+    try {
+      const { valid, brokenLink } = await verifyAuditLogs();
+      expect(valid).toBe(false);
+      expect(brokenLink).toEqual({
+        file: oldFile, line: 4, reason: 'file does not end with a checkpoint',
+      });
+    } finally {
+      await fs.rm(path.join(auditDir, oldFile));
+    }
+  });
+
+  it('should report unsigned checkpoints when a key is configured', async () => {
+    await editLines((lines) => {
+      const { hash: _hash, ...checkpoint } = JSON.parse(lines[4]);
+      checkpoint.hmac = null;
+      const hash = crypto.createHash('sha256').update(JSON.stringify(checkpoint)).digest('hex');
+      lines[4] = JSON.stringify({ ...checkpoint, hash });
+      return lines;
+    });
+
+    const { valid, brokenLink } = await verifyAuditLogs();
+    expect(valid).toBe(false);
+    expect(brokenLink).toMatchObject({ file, line: 5, reason: 'checkpoint is not signed' });
+
+    const withoutKey = await verifyAuditLogs({ hmacKey: null });
+    expect(withoutKey.valid).toBe(true);
+  });
+});
+
+describe('queryAuditEntries', () => {
+  it('should filter by domain and record type case-insensitively', async () => {
+    const entries = await queryAuditEntries({ domain: 'A.COM', recordType: 'spf' });
+
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({ domain: 'a.com', after: 'v=spf1 -all' });
+  });
+
+  it('should leave out checkpoints unless asked for', async () => {
+    const all = await queryAuditEntries();
+    const checkpoints = await queryAuditEntries({ action: 'CHECKPOINT' });
+
+    expect(all.map((e) => e.action)).toEqual(['RUN_START', 'DNS_UPDATE', 'DNS_UPDATE', 'RUN_END']);
+    expect(checkpoints).toHaveLength(1);
+  });
+
+  it('should filter by time range and success', async () => {
+    expect(await queryAuditEntries({ to: new Date('2000-01-01') })).toEqual([]);
+    expect(await queryAuditEntries({ success: false })).toEqual([]);
+    expect(await queryAuditEntries({ action: 'dns_update', success: true })).toHaveLength(2);
+  });
+});
+
+describe('diffAuditValues', () => {
+  it('should diff record values term by term', () => {
+    expect(diffAuditValues('v=spf1 include:a.com -all', 'v=spf1 include:b.com -all'))
+      .toEqual({ removed: ['include:a.com'], added: ['include:b.com'] });
+    expect(diffAuditValues('v=DMARC1;p=none', 'v=DMARC1; p=reject'))
+      .toEqual({ removed: ['p=none'], added: ['p=reject'] });
+  });
+
+  it('should treat missing values as empty', () => {
+    expect(diffAuditValues(null, 'v=DMARC1')).toEqual({ removed: [], added: ['v=DMARC1'] });
+    expect(diffAuditValues({ a: 1 }, {})).toEqual({ removed: ['a=1'], added: [] });
+  });
+});